@@ -5,6 +5,7 @@ export type Me = {
   id: string;
   email: string;
   role: "dev" | "pm";
+  is_admin?: boolean;
   full_name: string | null;
 };
 
@@ -4,6 +4,13 @@ import Activity from "./views/Activity.vue";
 import ResetPassword from "./views/ResetPassword.vue";
 import PmDashboard from "./views/PmDashboard.vue";
 import CompleteProfile from "./views/CompleteProfile.vue";
+import Projects from "./views/Projects.vue";
+import ImputeRules from "./views/ImputeRules.vue";
+import Recurring from "./views/Recurring.vue";
+import Absences from "./views/Absences.vue";
+import Webhooks from "./views/Webhooks.vue";
+import Teams from "./views/Teams.vue";
+import Admin from "./views/Admin.vue";
 import { supabase } from "./lib/supabase";
 import { api } from "./lib/api";
 
@@ -15,10 +22,19 @@ const router = createRouter({
     { path: "/reset-password", component: ResetPassword },
     { path: "/complete-profile", component: CompleteProfile },
     { path: "/activity", component: Activity },
+    { path: "/recurring", component: Recurring },
+    { path: "/absences", component: Absences },
 
     // PM
     { path: "/pm", redirect: "/pm-dashboard" },
     { path: "/pm-dashboard", component: PmDashboard },
+    { path: "/pm/projects", component: Projects },
+    { path: "/pm/impute-rules", component: ImputeRules },
+
+    // Admin
+    { path: "/admin", component: Admin },
+    { path: "/admin/teams", component: Teams },
+    { path: "/admin/webhooks", component: Webhooks },
     // fallback
     { path: "/:pathMatch(.*)*", redirect: "/activity" },
   ],
@@ -54,9 +70,14 @@ router.beforeEach(async (to) => {
       }
 
       // routes PM uniquement
-      if (to.path === "/pm" || to.path === "/pm-dashboard") {
+      if (to.path === "/pm" || to.path.startsWith("/pm/") || to.path === "/pm-dashboard") {
         if (role !== "pm") return "/activity";
       }
+
+      // administration
+      if ((to.path === "/admin" || to.path.startsWith("/admin/")) && !me?.data?.is_admin) {
+        return "/activity";
+      }
     } catch {
       return "/login";
     }
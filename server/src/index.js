@@ -4,8 +4,134 @@ import express from "express";
 import cors from "cors";
 import { z } from "zod";
 import ExcelJS from "exceljs";
-import { Mistral } from "@mistralai/mistralai";
 import { createClient } from "@supabase/supabase-js";
+import {
+  addDays,
+  completionForDays,
+  dayKind,
+  daysBetween,
+  eachDay,
+  isValidYmd,
+  parseClosureDays,
+  startOfWeek,
+  todayYmd,
+} from "./lib/calendar.js";
+import {
+  DEFAULT_HOURS_PER_DAY,
+  dayCapacity,
+  expectedHours,
+  hoursToDays,
+  loadWorkSchedules,
+  normalizeWeekHours,
+  WEEKDAY_KEYS,
+  weekHoursForDay,
+} from "./lib/workSchedule.js";
+import {
+  applyTimesheetAction,
+  getTimesheet,
+  isWeekApproved,
+  TIMESHEET_STATUSES,
+  weekBounds,
+} from "./lib/timesheets.js";
+import { findLock, findLockedTarget, loadPeriodLocks, periodLockedMessage } from "./lib/periodLocks.js";
+import {
+  buildDayVersions,
+  loadDayAudit,
+  recordActivityAuditOrUndo,
+  undoActivityChanges,
+  undoActivityChangesAndThrow,
+} from "./lib/audit.js";
+import {
+  budgetAlerts,
+  computeProjectBurn,
+  groupProjectBudgets,
+  loadProjectActivities,
+  loadProjectBudgets,
+  parseBudgetThresholds,
+  PROJECT_BUDGET_COLUMNS,
+} from "./lib/budgets.js";
+import { compareStaffing, loadStaffingPlan, staffingWeekCount, staffingWeeks } from "./lib/staffing.js";
+import {
+  loadPmScope,
+  loadTeamMembers,
+  loadTeamOwners,
+  loadTeams,
+  PM_SCOPE_MODES,
+  TEAM_COLUMNS,
+  TEAM_MEMBER_COLUMNS,
+} from "./lib/teams.js";
+import {
+  findPendingInvitation,
+  INVITATION_COLUMNS,
+  invitationStatus,
+  isEmailAllowed,
+  loadEmailDomains,
+  loadInvitations,
+  normalizeDomain,
+} from "./lib/access.js";
+import {
+  defaultImputeByProject,
+  loadProjects,
+  PROJECT_COLUMNS,
+  projectIsValidOn,
+  renameProjectReferences,
+  resolveRowProjects,
+} from "./lib/projects.js";
+import {
+  compileImputeRules,
+  IMPUTE_RULE_COLUMNS,
+  loadImputeRules,
+  matchImputeRule,
+  ticketPatternError,
+} from "./lib/imputeRules.js";
+import { createWorkItemClient, normalizeTicketId } from "./lib/workItems.js";
+import { applyTicketRefs, extractTicketRefs, normalizeTicketText } from "./lib/ticketRefs.js";
+import { splitWeekText } from "./lib/weekText.js";
+import { createLlmClient } from "./lib/llm.js";
+import { ActivityType, normalizeType } from "./lib/activityTypes.js";
+import { parseActivityTextOffline } from "./lib/offlineParser.js";
+import { loadUserProfile, profilePromptLines, snapRowsToProfile } from "./lib/userProfile.js";
+import {
+  describeRecurring,
+  loadOccurrences,
+  loadRecurring,
+  pendingRecurring,
+  RECURRING_COLUMNS,
+  RECURRING_RULES,
+} from "./lib/recurring.js";
+import { COPY_MODES, DAY_TEMPLATE_COLUMNS, loadDayTemplates, templateRows } from "./lib/dayTemplates.js";
+import {
+  ABSENCE_COLUMNS,
+  ABSENCE_KINDS,
+  loadAbsenceDays,
+  loadAbsences,
+  planAbsenceDays,
+} from "./lib/absences.js";
+import { parseImportFile } from "./lib/activityImport.js";
+import { expandIcsEvents, icsRange, meetingRowsForDay, parseIcsEvents } from "./lib/icsImport.js";
+import { createMailer } from "./lib/mailer.js";
+import {
+  clockIn,
+  DEFAULT_REMINDER_PREFERENCES,
+  loadReminderLog,
+  loadReminderPreferences,
+  planReminders,
+  pmDigestEmail,
+  REMINDER_FREQUENCIES,
+  reminderEmail,
+  reminderPeriod,
+  REMINDER_TIMEZONE,
+} from "./lib/reminders.js";
+import {
+  checkWebhookTarget,
+  generateWebhookSecret,
+  sendWebhook,
+  WEBHOOK_DELIVERY_COLUMNS,
+  WEBHOOK_ENDPOINT_COLUMNS,
+  WEBHOOK_EVENTS,
+  webhookBackoffMs,
+  webhookPayload,
+} from "./lib/webhooks.js";
 
 const app = express();
 
@@ -52,14 +178,22 @@ const SUPABASE_SERVICE_ROLE_KEY = requireEnv("SUPABASE_SERVICE_ROLE_KEY");
 const SUPABASE_ANON_KEY = requireEnv("SUPABASE_ANON_KEY"); // IMPORTANT: needed for user-scoped client
 const MISTRAL_API_KEY = process.env.MISTRAL_API_KEY ?? "";
 const MISTRAL_MODEL = process.env.MISTRAL_MODEL || "mistral-small-latest";
+const LLM_PROVIDER = process.env.LLM_PROVIDER || "mistral";
 
 /**
  * ---------------------------
  * Clients
  * ---------------------------
  */
-const mistral = new Mistral({
-  apiKey: MISTRAL_API_KEY,
+// LLM : mistral (défaut) | openai (endpoint compatible, ex: Ollama) | fake (tests)
+const llm = createLlmClient({
+  provider: LLM_PROVIDER,
+  model: process.env.LLM_MODEL || (LLM_PROVIDER === "mistral" ? MISTRAL_MODEL : ""),
+  apiKey: LLM_PROVIDER === "mistral" ? MISTRAL_API_KEY : (process.env.LLM_API_KEY ?? ""),
+  baseUrl: process.env.LLM_BASE_URL ?? "",
+  timeoutMs: Number(process.env.LLM_TIMEOUT_MS || 30000),
+  retries: Number(process.env.LLM_MAX_RETRIES ?? 2),
+  fakeResponsesFile: process.env.LLM_FAKE_RESPONSES_FILE ?? "",
 });
 
 // Admin: ONLY for auth.getUser(jwt) + admin-only operations
@@ -87,33 +221,48 @@ async function getUserFromBearer(req) {
   const { data, error } = await supabaseAdmin.auth.getUser(jwt);
   if (error || !data?.user) return null;
 
+  // compte désactivé par un admin (ban Supabase) : le jwt encore valide est refusé
+  const bannedUntil = data.user.banned_until ? new Date(data.user.banned_until) : null;
+  if (bannedUntil && bannedUntil > new Date()) return null;
+
   return { user: data.user, jwt };
 }
 
 async function getRole(userId) {
   const { data, error } = await supabaseAdmin
     .from("profiles")
-    .select("role, full_name")
+    .select("role, full_name, is_admin, is_active")
     .eq("id", userId)
     .single();
 
   if (error) throw new Error(error.message || "Role lookup failed");
-  return data; // { role, full_name }
+  return data; // { role, full_name, is_admin, is_active }
 }
 
-function mistralContentToText(content) {
-  if (typeof content === "string") return content;
-  if (Array.isArray(content)) {
-    return content
-      .map((c) => (typeof c === "string" ? c : (c?.text ?? "")))
-      .join("");
-  }
-  return "";
+function llmNotConfigured(res) {
+  return res.status(500).json({
+    error: "LLM_NOT_CONFIGURED",
+    message: `LLM provider "${llm.provider}" is not configured on the backend.`,
+  });
 }
 
 const ADO_BASE_URL = process.env.ADO_BASE_URL || "https://scp-tma-flux.visualstudio.com";
 const ADO_PROJECT_NAME = process.env.ADO_PROJECT_NAME || "Gestion des tickets";
 
+/**
+ * Lookup des work items (validation id_ticket + titre/état/type)
+ * WORK_ITEM_PROVIDER=ado|none (défaut: ado si ADO_PAT est défini)
+ * ADO_API_BASE_URL permet de pointer sur le stub local (npm run ado-stub)
+ */
+const workItems = createWorkItemClient({
+  provider: process.env.WORK_ITEM_PROVIDER || (process.env.ADO_PAT ? "ado" : "none"),
+  baseUrl: process.env.ADO_API_BASE_URL || ADO_BASE_URL,
+  project: ADO_PROJECT_NAME,
+  pat: process.env.ADO_PAT ?? "",
+  timeoutMs: Number(process.env.WORK_ITEM_TIMEOUT_MS || 5000),
+  cacheTtlMs: Number(process.env.WORK_ITEM_CACHE_TTL_MS || 10 * 60 * 1000),
+});
+
 function adoWorkItemUrl(idTicket) {
   const id = String(idTicket ?? "").trim();
   if (!/^\d+$/.test(id)) return ""; // si vide ou non-numérique
@@ -123,122 +272,32 @@ function adoWorkItemUrl(idTicket) {
 /**
  * ---------------------------
  * Hours per day (max)
+ * Valeur par défaut : le plafond réel vient du contrat du user (work_schedules)
  * ---------------------------
  */
-const HOURS_PER_DAY = 7;
+const HOURS_PER_DAY = DEFAULT_HOURS_PER_DAY;
+
+async function getUserSchedules(userId) {
+  // lecture via admin (comme getRole) : le contrat est une donnée de référence
+  const map = await loadWorkSchedules(supabaseAdmin, [userId]);
+  return map.get(userId) ?? [];
+}
+
+function sumHours(rows) {
+  return (rows ?? []).reduce((acc, r) => acc + Number(r?.temps_passe_h ?? 0), 0);
+}
+
+function roundHours(h) {
+  return Math.round(Number(h || 0) * 100) / 100;
+}
 
 /**
  * ---------------------------
- * Activity types (ALIGN with Supabase enum)
- * Supabase enum currently: Travail, Réunion, Support, Congés, Week-end, Autre
+ * Calendar (jours fériés FR + fermetures entreprise)
+ * COMPANY_CLOSURE_DAYS="2025-12-26,2025-05-30"
  * ---------------------------
  */
-const ActivityType = [
-  "Travail",
-  "Réunion",
-  "Support",
-  "Projet",
-  "Congés",
-  "Alternance",
-  "Week-end",
-  "Autre",
-  "Evol",
-  "Ano",
-  "Incident Applicatif",
-  "Non défini",
-];
-
-// Normalisation robuste (accents, tirets, variantes)
-function normalizeType(v) {
-  const s0 = String(v ?? "")
-    .replace(/[\u200B-\u200D\uFEFF]/g, "") // zero-width
-    .trim()
-    .normalize("NFC");
-
-  const simplified = s0
-    .toLowerCase()
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "") // remove accents
-    .replace(/[_/]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-
-  const map = {
-    // ----- Travail
-    travail: "Travail",
-    dev: "Travail",
-    developpement: "Travail",
-    developper: "Travail",
-    "dev sur": "Travail",
-
-    // ----- Réunion
-    reunion: "Réunion",
-    meeting: "Réunion",
-    daily: "Réunion",
-    point: "Réunion",
-    sync: "Réunion",
-
-    // ----- Support (hors incident applicatif)
-    support: "Support",
-    assistance: "Support",
-    debug: "Support",
-    bug: "Support",
-    correction: "Support",
-
-    // ----- Incident Applicatif
-    incident: "Incident Applicatif",
-    "incident applicatif": "Incident Applicatif",
-    "incident appli": "Incident Applicatif",
-    "incident application": "Incident Applicatif",
-
-    // ----- Projet
-    projet: "Projet",
-    project: "Projet",
-
-    // ----- Evol (legacy)
-    evol: "Evol",
-    evolution: "Evol",
-    "evolution technique": "Evol",
-    "feature": "Evol",
-
-    // ----- Ano (legacy)
-    ano: "Ano",
-    anomalie: "Ano",
-    anomalies: "Ano",
-
-    // ----- Ticket Non défini (legacy)
-    "ticket non defini": "Non défini",
-    "non defini": "Non défini",
-    ticket: "Non défini",
-
-    // ----- Congés
-    conge: "Congés",
-    conges: "Congés",
-    cp: "Congés",
-    vacances: "Congés",
-
-    // ----- Alternance
-    alternance: "Alternance",
-    ecole: "Alternance",
-    cfa: "Alternance",
-    cours: "Alternance",
-    formation: "Alternance",    // si le LLM dit “formation”
-    "formation ia": "Alternance",
-
-    // ----- Week-end
-    weekend: "Week-end",
-    "week end": "Week-end",
-    "week-end": "Week-end",
-    we: "Week-end",
-
-    // ----- Autre
-    autre: "Autre",
-    divers: "Autre",
-  };
-
-  if (ActivityType.includes(s0)) return s0;
-  return map[simplified] ?? "Autre";
-}
+const COMPANY_CLOSURE_DAYS = parseClosureDays(process.env.COMPANY_CLOSURE_DAYS);
 
 /**
  * ---------------------------
@@ -246,6 +305,12 @@ function normalizeType(v) {
  * ---------------------------
  */
 
+// YYYY-MM-DD réel (pas de 2026-02-31)
+// fatal : les refine de l'objet parent (écarts, durées) ne voient que des dates valides
+const YmdSchema = z.string().superRefine((v, ctx) => {
+  if (!isValidYmd(v)) ctx.addIssue({ code: "custom", message: "Date invalide (YYYY-MM-DD)", fatal: true });
+});
+
 // Row input coming from client (without day)
 const RowInputSchema = z.object({
   id_ticket: z.string().default(""),
@@ -274,13 +339,15 @@ const RowInputSchema = z.object({
 
 // Row stored/returned with day included
 const RowWithDaySchema = RowInputSchema.extend({
-  day: z.string().min(10), // YYYY-MM-DD
+  day: YmdSchema,
 });
 
 const AiParseSchema = z.object({
   text: z.string().min(1),
-  day: z.string().min(10),
+  day: YmdSchema,
   knownProjects: z.array(z.string()).optional(),
+  // "fast" : parseur hors-ligne (règles), sans appel LLM
+  mode: z.enum(["auto", "fast"]).default("auto"),
 });
 
 /**
@@ -320,6 +387,7 @@ app.get("/api/me", async (req, res) => {
       id: user.id,
       email: user.email,
       role: prof.role,
+      is_admin: !!prof.is_admin,
       full_name: prof.full_name,
     });
   } catch (e) {
@@ -385,29 +453,18 @@ function capRowsToOneDay(rows, maxHours = HOURS_PER_DAY) {
   return scaled;
 }
 
-app.post("/api/ai/parse", async (req, res) => {
-  try {
-    const auth = await getUserFromBearer(req);
-    if (!auth) return res.status(401).json({ error: "Unauthorized" });
-
-    // If Mistral isn't configured, fail clearly (not 401/400 confusing errors)
-    if (!MISTRAL_API_KEY || !String(MISTRAL_API_KEY).trim()) {
-      return res.status(500).json({
-        error: "MISTRAL_NOT_CONFIGURED",
-        message: "MISTRAL_API_KEY is missing on the backend.",
-      });
-    }
-
-    const body = AiParseSchema.parse(req.body);
-    const knownProjects = body.knownProjects ?? [];
-
-    const system = `
+/**
+ * Appel LLM : texte -> lignes brutes (non validées)
+ */
+async function llmParseRows({ day, text, ticketRefs, knownProjects, maxHours, dueHours, profile }) {
+  const habits = profilePromptLines(profile);
+  const system = `
 Tu aides un développeur Keyrus à remplir sa feuille d'activité journalière.
 
 Tu renvoies UNIQUEMENT un JSON valide (aucun texte hors JSON), format EXACT:
 {
   "rows": [
-    { "day":"YYYY-MM-DD", "sujet":"", "projet":"", "temps_passe_h": number, "type":"${ActivityType.join(
+    { "day":"YYYY-MM-DD", "id_ticket":"", "sujet":"", "projet":"", "temps_passe_h": number, "type":"${ActivityType.join(
       "|"
     )}", "impute":"" }
   ]
@@ -419,460 +476,715 @@ Règles:
 - Types autorisés STRICTS: ${JSON.stringify(ActivityType)}
 - Si week-end ou congés -> type "Week-end" ou "Congés", temps_passe_h = 0 et sujet "Week-end"/"Congés".
 - Si type non clair -> "Autre".
+- id_ticket: numéro du ticket ADO (chiffres uniquement, sans "#"), "" si aucun. Ne le répète pas dans "sujet".
+- Un ticket = une ligne : si plusieurs tickets sont cités, fais une ligne par ticket.${
+    ticketRefs.length
+      ? `\n- Tickets détectés dans le texte: ${JSON.stringify(ticketRefs.map((t) => t.id))}`
+      : ""
+  }
 - Projet: choisis au plus proche dans cette liste si pertinent: ${JSON.stringify(
-      knownProjects
-    )}
-- La SOMME de tous les "temps_passe_h" pour la journée DOIT être <= 7 (heures).
-- Si manque temps total -> répartis AU MAXIMUM 7h (par ex: 3.5 + 3.5) si plusieurs lignes, sinon 7h sur une ligne.
+    knownProjects
+  )}${
+    habits.length
+      ? `\n- Habitudes de ce développeur (à privilégier si le texte est ambigu):\n${habits.join("\n")}`
+      : ""
+  }
+- La SOMME de tous les "temps_passe_h" pour la journée DOIT être <= ${maxHours} (heures).
+- Si manque temps total -> répartis AU MAXIMUM ${maxHours}h (par ex: ${maxHours / 2} + ${maxHours / 2}) si plusieurs lignes, sinon ${maxHours}h sur une ligne.
+- 1 journée (1J) = ${maxHours}h pour ce développeur.${
+    dueHours === 0 ? "\n- Ce jour n'est pas travaillé selon son contrat (ne complète pas le temps par défaut)." : ""
+  }
 - La réponse DOIT commencer par { et finir par }.
 `;
 
-    const response = await mistral.chat.complete({
-      model: MISTRAL_MODEL,
-      temperature: 0.2,
-      messages: [
-        { role: "system", content: system },
-        {
-          role: "user",
-          content: `Jour: ${body.day}\nTexte: ${body.text}\nRenvoie le JSON demandé.`,
-        },
-      ],
-    });
+  const parsed = await llm.chatJson({
+    temperature: 0.2,
+    messages: [
+      { role: "system", content: system },
+      {
+        role: "user",
+        content: `Jour: ${day}\nTexte: ${text}\nRenvoie le JSON demandé.`,
+      },
+    ],
+  });
+
+  return Array.isArray(parsed.rows) ? parsed.rows : [];
+}
+
+/**
+ * Texte libre -> lignes d'un jour (LLM ou parseur hors-ligne + post-traitements déterministes).
+ * mode "fast" : parseur hors-ligne uniquement ; "auto" : LLM, repli hors-ligne si absent / en erreur.
+ * profile (loadUserProfile) : habitudes de l'utilisateur, en contexte du prompt puis
+ * pour recaler projets / types approximatifs (snapRowsToProfile).
+ * Le plafond journalier est appliqué par l'appelant (capRowsToOneDay).
+ * Retourne { rows, engine: "llm" | "offline", warning }
+ */
+async function parseDayText({
+  day,
+  text: rawText,
+  knownProjects = [],
+  schedules,
+  projects,
+  profile = null,
+  mode = "auto",
+}) {
+  const maxHours = dayCapacity(schedules, day);
+  const dueHours = expectedHours(schedules, day);
+
+  // Tickets détectés de façon déterministe (le LLM ne fait que répartir)
+  const text = normalizeTicketText(rawText);
+  const ticketRefs = extractTicketRefs(text);
 
-    const content = response?.choices?.[0]?.message?.content;
-    const outText = mistralContentToText(content);
+  let rows = null;
+  let engine = "offline";
+  let warning = "";
 
-    let parsed;
+  if (mode !== "fast" && !llm.configured) {
+    warning = "IA non configurée : analyse hors-ligne (règles).";
+  } else if (mode !== "fast") {
     try {
-      parsed = JSON.parse(outText);
-    } catch {
-      const m = outText.match(/\{[\s\S]*\}/);
-      if (!m) throw new Error("Réponse IA non-JSON.");
-      parsed = JSON.parse(m[0]);
+      rows = await llmParseRows({ day, text, ticketRefs, knownProjects, maxHours, dueHours, profile });
+      engine = "llm";
+    } catch (e) {
+      console.warn(`⚠️ LLM parse failed, offline fallback: ${e?.message || e}`);
+      warning = "IA indisponible : analyse hors-ligne (règles).";
     }
+  }
 
-    const rows = Array.isArray(parsed.rows) ? parsed.rows : [];
+  const validNames = projects.filter((p) => projectIsValidOn(p, day)).map((p) => p.name);
 
-    // Validate + normalize + force correct day
-    const validated = rows.map((r) =>
-      RowWithDaySchema.parse({
-        ...r,
-        day: body.day,
-      })
-    );
+  if (!rows) {
+    const projectNames = knownProjects.length ? knownProjects : validNames;
+    rows = parseActivityTextOffline(text, { maxHours, fillDay: dueHours > 0, projectNames });
+  }
+
+  // id_ticket déplacés / éclatés une ligne par ticket, recalage sur les habitudes,
+  // puis validate + force correct day
+  const snapped = snapRowsToProfile(applyTicketRefs(rows, ticketRefs), profile, { validNames });
+  const validated = snapped.rows.map((r) =>
+    RowWithDaySchema.parse({
+      ...r,
+      id_ticket: String(r.id_ticket ?? ""),
+      sujet: String(r.sujet ?? ""),
+      day,
+    })
+  );
 
-    // Cap dur à 7h max pour la journée
-    const capped = capRowsToOneDay(validated, HOURS_PER_DAY);
+  // Projet hors référentiel -> vidé (la sauvegarde le refuserait)
+  const known = resolveRowProjects(projects, validated, { day });
+  const unknownSet = new Set(known.unknown);
+  return {
+    rows: known.rows.map((r) =>
+      unknownSet.has(String(r.projet ?? "").trim()) ? { ...r, projet: "" } : r
+    ),
+    engine,
+    warning,
+  };
+}
 
-    return res.json({ rows: capped });
+// Profil d'habitudes : optionnel, le parsing fonctionne sans
+async function loadUserProfileSafe(supabaseClient, userId) {
+  try {
+    return await loadUserProfile(supabaseClient, userId, { today: todayYmd() });
   } catch (e) {
-    return res.status(400).json({ error: e?.message || "Bad request" });
+    console.warn(`⚠️ User profile unavailable: ${e?.message || e}`);
+    return null;
   }
-});
+}
 
-app.post("/api/activities/upsertDay", async (req, res) => {
+app.post("/api/ai/parse", async (req, res) => {
   try {
     const auth = await getUserFromBearer(req);
     if (!auth) return res.status(401).json({ error: "Unauthorized" });
 
-    const { user, jwt } = auth;
-    const supabaseUser = supabaseForJwt(jwt);
-
-    const schema = z
-      .object({
-        day: z.string().min(10),
-        rows: z.array(RowInputSchema),
-      })
-      .superRefine((val, ctx) => {
-        const total = (val.rows ?? []).reduce(
-          (acc, r) => acc + Number(r?.temps_passe_h ?? 0),
-          0
-        );
-
-        if (total > HOURS_PER_DAY + 1e-9) {
-          ctx.addIssue({
-            code: z.ZodIssueCode.custom,
-            message: `Total journée > ${HOURS_PER_DAY}h interdit (reçu: ${Math.round(total * 100) / 100}h).`,
-            path: ["rows"],
-          });
-        }
-      });
-
-    const body = schema.parse(req.body);
-
-    // Delete existing activities for that day (as user)
-    const { error: dErr } = await supabaseUser
-      .from("activities")
-      .delete()
-      .eq("user_id", user.id)
-      .eq("day", body.day);
+    const body = AiParseSchema.parse(req.body);
 
-    if (dErr) throw new Error(dErr.message);
+    const supabaseUser = supabaseForJwt(auth.jwt);
+    const schedules = await getUserSchedules(auth.user.id);
+    const projects = await loadProjects(supabaseUser);
+    const profile = await loadUserProfileSafe(supabaseUser, auth.user.id);
 
-    const payload = body.rows.map((r) => ({
-      user_id: user.id,
+    // LLM absent / en erreur -> parseur hors-ligne (engine: "offline" + warning)
+    const { rows, engine, warning } = await parseDayText({
       day: body.day,
-      id_ticket: r.id_ticket ?? "",
-      sujet: r.sujet ?? "",
-      projet: r.projet ?? "",
-      temps_passe_h: r.temps_passe_h ?? 0,
-      type: r.type ?? "Autre",
-      // impute volontairement absent (PM only)
-    }));
-
-    const { data, error } = await supabaseUser
-      .from("activities")
-      .insert(payload)
-      .select();
+      text: body.text,
+      knownProjects: body.knownProjects ?? [],
+      schedules,
+      projects,
+      profile,
+      mode: body.mode,
+    });
 
-    if (error) throw new Error(error.message);
+    // Cap dur au plafond du contrat pour la journée
+    const capped = capRowsToOneDay(rows, dayCapacity(schedules, body.day));
 
-    return res.json({ ok: true, inserted: data?.length ?? 0 });
+    return res.json({ rows: capped, engine, warning });
   } catch (e) {
     return res.status(400).json({ error: e?.message || "Bad request" });
   }
 });
 
 /**
- * POST /api/activities/appendDay
- * Adds rows for a day WITHOUT deleting existing ones.
- * Auth required
+ * Prévisualisation jour par jour (saisie semaine, import agenda) : aucune écriture.
+ * rowsByDay : Map day -> lignes proposées ; le plafond porte sur (existant + ajout).
+ * skipExisting : retire les lignes déjà saisies ce jour (même type + sujet) -> duplicates
  */
-app.post("/api/activities/appendDay", async (req, res) => {
-  try {
-    const auth = await getUserFromBearer(req);
-    if (!auth) return res.status(401).json({ error: "Unauthorized" });
-
-    const { user, jwt } = auth;
-    const supabaseUser = supabaseForJwt(jwt);
+async function buildPreviewDays(
+  supabaseUser,
+  { userId, from, to, rowsByDay, schedules, skipExisting = false }
+) {
+  const { data: existing, error: exErr } = await supabaseUser
+    .from("activities")
+    .select("day, sujet, type, temps_passe_h")
+    .eq("user_id", userId)
+    .gte("day", from)
+    .lte("day", to);
+  if (exErr) throw new Error(exErr.message);
+
+  const existingHours = new Map();
+  const existingKeys = new Set();
+  for (const r of existing ?? []) {
+    existingHours.set(r.day, (existingHours.get(r.day) ?? 0) + Number(r.temps_passe_h || 0));
+    existingKeys.add(`${r.day}|${r.type}|${String(r.sujet ?? "").trim().toLowerCase()}`);
+  }
 
-    // 1) parse input + check sum(rows) <= 7 (au moins)
-    const schema = z
-      .object({
-        day: z.string().min(10),
-        rows: z.array(RowInputSchema).min(1),
-      })
-      .superRefine((val, ctx) => {
-        const added = (val.rows ?? []).reduce(
-          (acc, r) => acc + Number(r?.temps_passe_h ?? 0),
-          0
-        );
+  const locks = await loadPeriodLocks(supabaseAdmin, { from, to });
+  const weekApproved = new Map();
+  for (const d of eachDay(from, to)) {
+    const { weekStart } = weekBounds(d);
+    if (!weekApproved.has(weekStart)) {
+      weekApproved.set(weekStart, await isWeekApproved(supabaseUser, userId, weekStart));
+    }
+  }
 
-        if (added > HOURS_PER_DAY + 1e-9) {
-          ctx.addIssue({
-            code: z.ZodIssueCode.custom,
-            message: `Ajout > ${HOURS_PER_DAY}h interdit (reçu: ${Math.round(added * 100) / 100}h).`,
-            path: ["rows"],
-          });
-        }
-      });
+  return eachDay(from, to).map((d) => {
+    let { kind, label } = dayKind(d, { closures: COMPANY_CLOSURE_DAYS });
+    const dueHours = expectedHours(schedules, d);
+    if (kind === "working" && dueHours === 0) {
+      kind = "off";
+      label = "Non travaillé (contrat)";
+    }
 
-    const body = schema.parse(req.body);
+    const capacity = dayCapacity(schedules, d);
+    const already = roundHours(existingHours.get(d) ?? 0);
+    const remaining = Math.max(0, capacity - already);
 
-    // 2) calcule le total déjà existant sur ce jour (DB)
-    const { data: existing, error: exErr } = await supabaseUser
-      .from("activities")
-      .select("temps_passe_h")
-      .eq("user_id", user.id)
-      .eq("day", body.day);
+    const duplicates = [];
+    const proposed = (rowsByDay.get(d) ?? []).filter((r) => {
+      if (!skipExisting) return true;
+      const dup = existingKeys.has(`${d}|${r.type}|${String(r.sujet ?? "").trim().toLowerCase()}`);
+      if (dup) duplicates.push(r.sujet);
+      return !dup;
+    });
+    const rows = capRowsToOneDay(proposed, remaining);
+    const lock = findLock(locks, userId, d);
+    const approved = weekApproved.get(weekBounds(d).weekStart);
+
+    return {
+      day: d,
+      kind, // working | weekend | holiday | closure | off
+      label,
+      expectedHours: kind === "working" ? dueHours : 0,
+      capacityHours: capacity,
+      existingHours: already,
+      rows,
+      totalHours: roundHours(sumHours(rows)),
+      capped: sumHours(proposed) > remaining,
+      locked: !!lock || approved,
+      lockReason: lock ? periodLockedMessage(lock, d) : approved ? WEEK_APPROVED_MESSAGE : "",
+      ...(skipExisting ? { duplicates } : {}),
+    };
+  });
+}
 
-    if (exErr) throw new Error(exErr.message);
+/**
+ * POST /api/ai/parse-week { day, text, knownProjects }
+ * "lundi et mardi dev SCP, mercredi congé..." -> lignes par jour de la semaine de `day`.
+ * Les jours sont résolus de façon déterministe (splitWeekText), le LLM ne parse
+ * que le texte de chaque segment. Rien n'est écrit : le client prévisualise puis
+ * enregistre jour par jour (appendDay).
+ */
+app.post("/api/ai/parse-week", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
 
-    const existingTotal = (existing ?? []).reduce(
-      (acc, r) => acc + Number(r?.temps_passe_h ?? 0),
-      0
-    );
+    const body = AiParseSchema.parse(req.body);
+    const userId = auth.user.id;
+    const supabaseUser = supabaseForJwt(auth.jwt);
 
-    // 3) calcule le total ajouté
-    const addedTotal = body.rows.reduce(
-      (acc, r) => acc + Number(r?.temps_passe_h ?? 0),
-      0
-    );
+    const split = splitWeekText(body.text, {
+      day: body.day,
+      today: todayYmd(),
+      closures: COMPANY_CLOSURE_DAYS,
+    });
 
-    const finalTotal = existingTotal + addedTotal;
+    const schedules = await getUserSchedules(userId);
+    const projects = await loadProjects(supabaseUser);
+    const profile = await loadUserProfileSafe(supabaseUser, userId);
+
+    // 1 appel LLM par segment, lignes dupliquées sur chacun de ses jours
+    const parsedByDay = new Map();
+    const unassigned = [...split.unassigned];
+    const engines = new Set();
+    let warning = "";
+
+    for (const seg of split.segments) {
+      let rows;
+      try {
+        const parsed = await parseDayText({
+          day: seg.days[0],
+          text: seg.text,
+          knownProjects: body.knownProjects ?? [],
+          schedules,
+          projects,
+          profile,
+          mode: body.mode,
+        });
+        rows = parsed.rows;
+        engines.add(parsed.engine);
+        warning ||= parsed.warning;
+      } catch (e) {
+        unassigned.push({ text: seg.text, reason: `Analyse impossible : ${e?.message || e}` });
+        continue;
+      }
 
-    if (finalTotal > HOURS_PER_DAY + 1e-9) {
-      return res.status(400).json({
-        error: `Total journée > ${HOURS_PER_DAY}h interdit (existant: ${Math.round(existingTotal * 100) / 100}h, ajout: ${Math.round(addedTotal * 100) / 100}h).`,
-      });
+      for (const d of seg.days) {
+        if (!parsedByDay.has(d)) parsedByDay.set(d, []);
+        parsedByDay.get(d).push(...rows.map((r) => ({ ...r, day: d })));
+      }
     }
 
-    // 4) insert (impute absent : PM-only)
-    const payload = body.rows.map((r) => ({
-      user_id: user.id,
-      day: body.day,
-      sujet: r.sujet ?? "",
-      projet: r.projet ?? "",
-      temps_passe_h: r.temps_passe_h ?? 0,
-      type: r.type ?? "Autre",
-    }));
-
-    const { data, error } = await supabaseUser
-      .from("activities")
-      .insert(payload)
-      .select();
-
-    if (error) throw new Error(error.message);
+    const days = await buildPreviewDays(supabaseUser, {
+      userId,
+      from: split.weekStart,
+      to: split.weekEnd,
+      rowsByDay: parsedByDay,
+      schedules,
+    });
 
-    return res.json({ ok: true, inserted: data?.length ?? 0 });
+    return res.json({
+      weekStart: split.weekStart,
+      weekEnd: split.weekEnd,
+      days,
+      unassigned,
+      // jours ouvrés dus, vides et non couverts par le texte
+      missingDays: days
+        .filter((d) => d.kind === "working" && d.expectedHours > 0)
+        .filter((d) => !d.rows.length && d.existingHours === 0)
+        .map((d) => d.day),
+      engine:
+        engines.has("offline") || body.mode === "fast" || !llm.configured ? "offline" : "llm",
+      warning,
+    });
   } catch (e) {
     return res.status(400).json({ error: e?.message || "Bad request" });
   }
 });
 
 /**
- * PM only: upsert for another user/day
+ * ---------------------------
+ * Import agenda (.ics) -> réunions proposées
+ * ---------------------------
+ * POST /api/calendar/ics?day=YYYY-MM-DD&scope=day|week
+ * Corps brut : le fichier .ics. Même réponse que /api/ai/parse-week (prévisualisation,
+ * enregistrement côté client via appendDay) : rien n'est écrit ici.
+ * Réunions qui se chevauchent fusionnées, journées entières = plafond du jour,
+ * événements annulés / "disponible" ignorés, déjà saisis (même sujet) retirés.
  */
-const UpsertForUserSchema = z.object({
-  userId: z.string().min(1),
-  day: z.string().min(10),
-  rows: z.array(RowInputSchema).min(1),
+const IcsQuerySchema = z.object({
+  day: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+  scope: z.enum(["day", "week"]).default("week"),
 });
 
-const UpsertForUserSchemaWithLimit = UpsertForUserSchema.superRefine((val, ctx) => {
-  const total = (val.rows ?? []).reduce(
-    (acc, r) => acc + Number(r?.temps_passe_h ?? 0),
-    0
-  );
-  if (total > HOURS_PER_DAY + 1e-9) {
-    ctx.addIssue({
-      code: z.ZodIssueCode.custom,
-      message: `Total journée > ${HOURS_PER_DAY}h interdit (reçu: ${Math.round(total * 100) / 100}h).`,
-      path: ["rows"],
-    });
-  }
-});
+app.post(
+  "/api/calendar/ics",
+  express.raw({ type: () => true, limit: "5mb" }),
+  async (req, res) => {
+    try {
+      const auth = await getUserFromBearer(req);
+      if (!auth) return res.status(401).json({ error: "Unauthorized" });
 
-app.post("/api/pm/activities/upsertDayForUser", async (req, res) => {
-  try {
-    const auth = await getUserFromBearer(req);
-    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+      const q = IcsQuerySchema.parse(req.query);
+      const userId = auth.user.id;
+      const supabaseUser = supabaseForJwt(auth.jwt);
 
-    const { user, jwt } = auth;
-    const prof = await getRole(user.id);
-    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(400).json({ error: "Fichier vide" });
+      }
 
-    const body = UpsertForUserSchemaWithLimit.parse(req.body);
-    const supabaseUser = supabaseForJwt(jwt);
+      const events = parseIcsEvents(req.body.toString("utf8"));
+      if (!events.length) return res.status(400).json({ error: "Aucun événement dans le fichier .ics" });
 
-    const { error: dErr } = await supabaseUser
-      .from("activities")
-      .delete()
-      .eq("user_id", body.userId)
-      .eq("day", body.day);
-    if (dErr) throw new Error(dErr.message);
+      const { from, to } = icsRange(q.day, q.scope);
+      const { byDay, ignored } = expandIcsEvents(events, { from, to });
 
-    const payload = body.rows.map((r) => ({
-      user_id: body.userId,
-      day: body.day,
-      id_ticket: r.id_ticket ?? "",
-      sujet: r.sujet ?? "",
-      projet: r.projet ?? "",
-      temps_passe_h: r.temps_passe_h ?? 0,
-      type: r.type ?? "Autre",
-      impute: r.impute ?? "",
-    }));
+      const schedules = await getUserSchedules(userId);
+      const projects = await loadProjects(supabaseUser);
+      const profile = await loadUserProfileSafe(supabaseUser, userId);
 
-    const { data, error } = await supabaseUser.from("activities").insert(payload).select();
-    if (error) throw new Error(error.message);
+      const rowsByDay = new Map();
+      const unassigned = [];
+      for (const [d, slot] of byDay) {
+        const { kind, label } = dayKind(d, { closures: COMPANY_CLOSURE_DAYS });
+        const rows = meetingRowsForDay(slot, { day: d, projects, capacity: dayCapacity(schedules, d) });
 
-    return res.json({ ok: true, inserted: data?.length ?? 0 });
-  } catch (e) {
-    return res.status(400).json({ error: e?.message || "Bad request" });
+        if (kind !== "working" || expectedHours(schedules, d) === 0) {
+          for (const r of rows) {
+            unassigned.push({ text: `${d} · ${r.sujet}`, reason: label || "Non travaillé (contrat)" });
+          }
+          continue;
+        }
+
+        // projet encore vide : celui des sujets habituels (même intitulé)
+        const validNames = projects.filter((p) => projectIsValidOn(p, d)).map((p) => p.name);
+        rowsByDay.set(d, snapRowsToProfile(rows, profile, { validNames }).rows);
+      }
+
+      const days = await buildPreviewDays(supabaseUser, {
+        userId,
+        from,
+        to,
+        rowsByDay,
+        schedules,
+        skipExisting: true,
+      });
+
+      return res.json({
+        weekStart: from,
+        weekEnd: to,
+        days,
+        unassigned,
+        missingDays: [],
+        ignored,
+        warning: ignored ? `${ignored} événement(s) annulé(s) ou "disponible" ignoré(s).` : "",
+      });
+    } catch (e) {
+      return res.status(400).json({ error: e?.message || "Bad request" });
+    }
   }
-});
+);
 
 /**
- * POST /api/pm/activities/update-vsa
- * PM only: met à jour uniquement "impute" (Code VSA) sur une liste de lignes
+ * ---------------------------
+ * Day replace (diff by id)
+ * ---------------------------
+ * Les lignes envoyées avec un "id" (reçu via /api/activities/day) sont mises à jour,
+ * celles sans id sont insérées, et celles absentes du payload sont supprimées.
+ * Sans transaction côté supabase-js, chaque étape est compensée en cas d'erreur
+ * pour ne jamais laisser la journée à moitié écrite.
+ * Chaque sauvegarde réussie est tracée dans activity_audit (actorId + reason).
  */
-const UpdateVsaSchema = z.object({
-  rows: z.array(
-    z.object({
-      id: z.string().min(1),      // uuid (string côté JS)
-      impute: z.string().default(""),
-    })
-  ).min(1),
-});
+const ACTIVITY_EDITABLE_FIELDS = ["id_ticket", "sujet", "projet", "temps_passe_h", "type"];
 
-app.post("/api/pm/activities/update-vsa", async (req, res) => {
-  try {
-    const auth = await getUserFromBearer(req);
-    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+function sameActivityValues(a, b, fields) {
+  return fields.every((f) => {
+    if (f === "temps_passe_h") return Number(a?.[f] ?? 0) === Number(b?.[f] ?? 0);
+    return String(a?.[f] ?? "") === String(b?.[f] ?? "");
+  });
+}
 
-    const { user, jwt } = auth;
-    const prof = await getRole(user.id);
-    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+async function replaceDayRows(
+  supabaseClient,
+  { userId, day, rows, withImpute = false, suggestImpute = () => "", actorId, reason = "" }
+) {
+  const fields = withImpute
+    ? [...ACTIVITY_EDITABLE_FIELDS, "impute"]
+    : ACTIVITY_EDITABLE_FIELDS;
+
+  const { data: existing, error: exErr } = await supabaseClient
+    .from("activities")
+    .select("id, user_id, day, id_ticket, sujet, projet, temps_passe_h, type, impute")
+    .eq("user_id", userId)
+    .eq("day", day);
+
+  if (exErr) throw new Error(exErr.message);
+
+  const existingById = new Map((existing ?? []).map((r) => [String(r.id), r]));
+  const seenIds = new Set();
+
+  const toInsert = [];
+  const toUpdate = [];
+
+  for (const r of rows) {
+    const values = {};
+    for (const f of fields) values[f] = r[f] ?? (f === "temps_passe_h" ? 0 : "");
+    if (!values.type) values.type = "Autre";
+
+    if (!r.id) {
+      // Code VSA suggéré (règles / défaut projet) sur les nouvelles lignes
+      const impute = values.impute || suggestImpute({ ...values, user_id: userId, day });
+      toInsert.push({ user_id: userId, day, ...values, ...(impute ? { impute } : {}) });
+      continue;
+    }
 
-    const body = UpdateVsaSchema.parse(req.body);
+    const id = String(r.id);
+    const before = existingById.get(id);
+    if (!before) throw new Error(`Ligne inconnue pour ce jour (id: ${id}).`);
+    if (seenIds.has(id)) throw new Error(`Ligne envoyée deux fois (id: ${id}).`);
+    seenIds.add(id);
 
-    const supabaseUser = supabaseForJwt(jwt);
+    // impute absent de la ligne envoyée : on garde le Code VSA existant
+    if (withImpute && r.impute === undefined) values.impute = before.impute ?? "";
 
-    // updates "one by one" (simple, lisible, OK si volume raisonnable)
-    // si tu veux optimiser ensuite, on passera par RPC SQL + jsonb_to_recordset.
-    let updated = 0;
+    // Code VSA encore vide : on applique la suggestion (jamais d'écrasement)
+    if (!before.impute && !values.impute) {
+      const impute = suggestImpute({ ...before, ...values });
+      if (impute) values.impute = impute;
+    }
 
-    for (const r of body.rows) {
-      const { error } = await supabaseUser
+    if (!sameActivityValues(before, values, Object.keys(values))) {
+      toUpdate.push({ id, before, values });
+    }
+  }
+
+  const toDelete = (existing ?? []).filter((r) => !seenIds.has(String(r.id)));
+
+  // --- apply + compensation
+  let insertedIds = [];
+  let insertedRows = [];
+  const doneUpdates = [];
+
+  async function rollback() {
+    const failures = [];
+    for (const u of doneUpdates.reverse()) {
+      const restore = {};
+      for (const f of Object.keys(u.values)) restore[f] = u.before[f];
+      const { error } = await supabaseClient.from("activities").update(restore).eq("id", u.id);
+      if (error) failures.push(error.message);
+    }
+    if (insertedIds.length) {
+      const { error } = await supabaseClient.from("activities").delete().in("id", insertedIds);
+      if (error) failures.push(error.message);
+    }
+    if (failures.length) throw new Error(failures.join(" ; "));
+  }
+
+  try {
+    if (toInsert.length) {
+      const { data, error } = await supabaseClient
         .from("activities")
-        .update({ impute: r.impute ?? "" })
-        .eq("id", r.id);
+        .insert(toInsert)
+        .select("id, user_id, day, id_ticket, sujet, projet, temps_passe_h, type, impute");
+      if (error) throw new Error(error.message);
+      insertedRows = data ?? [];
+      insertedIds = insertedRows.map((r) => r.id);
+    }
 
+    for (const u of toUpdate) {
+      const { error } = await supabaseClient
+        .from("activities")
+        .update(u.values)
+        .eq("id", u.id)
+        .eq("user_id", userId);
       if (error) throw new Error(error.message);
-      updated += 1;
+      doneUpdates.push(u);
     }
 
-    return res.json({ ok: true, updated });
+    if (toDelete.length) {
+      const { error } = await supabaseClient
+        .from("activities")
+        .delete()
+        .in("id", toDelete.map((r) => r.id));
+      if (error) throw new Error(error.message);
+    }
   } catch (e) {
-    return res.status(400).json({ error: e?.message || "Bad request" });
+    try {
+      await rollback();
+    } catch (rbErr) {
+      console.error(`❌ Rollback failed (${userId} ${day}): ${rbErr?.message || rbErr}`);
+      throw new Error(
+        `${e?.message || e} — annulation incomplète, journée du ${day} possiblement incohérente : ${rbErr?.message || rbErr}`
+      );
+    }
+    throw e;
   }
-});
 
-/**
- * GET /api/projects
- */
-app.get("/api/projects", async (req, res) => {
-  try {
-    const auth = await getUserFromBearer(req);
-    if (!auth) return res.status(401).json({ error: "Unauthorized" });
-
-    const supabaseUser = supabaseForJwt(auth.jwt);
-
-    const { data, error } = await supabaseUser
-      .from("projects")
-      .select("name")
-      .eq("is_active", true)
-      .order("name", { ascending: true });
+  await recordActivityAuditOrUndo(
+    supabaseAdmin,
+    [
+      ...insertedRows.map((r) => ({ action: "insert", activityId: r.id, userId, day, after: r })),
+      ...toUpdate.map((u) => ({
+        action: "update",
+        activityId: u.id,
+        userId,
+        day,
+        before: u.before,
+        after: { ...u.before, ...u.values },
+      })),
+      ...toDelete.map((r) => ({ action: "delete", activityId: r.id, userId, day, before: r })),
+    ],
+    { actorId: actorId ?? userId, reason }
+  );
 
-    if (error) throw new Error(error.message);
-    return res.json({ projects: (data ?? []).map((x) => x.name) });
-  } catch (e) {
-    return res.status(400).json({ error: e?.message || "Bad request" });
-  }
-});
+  return {
+    inserted: toInsert.length,
+    updated: toUpdate.length,
+    deleted: toDelete.length,
+  };
+}
 
 /**
- * GET /api/activities/day?day=YYYY-MM-DD
+ * Code VSA suggéré pour une ligne : règles CP d'abord, puis défaut du projet.
+ * Règles lues via admin (référentiel CP, comme les verrous de période).
  */
-app.get("/api/activities/day", async (req, res) => {
-  try {
-    const auth = await getUserFromBearer(req);
-    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+async function buildImputeSuggester(projects) {
+  const rules = compileImputeRules(await loadImputeRules(supabaseAdmin, { activeOnly: true }));
+  const defaults = defaultImputeByProject(projects);
 
-    const { user, jwt } = auth;
-    const supabaseUser = supabaseForJwt(jwt);
+  return (row) => matchImputeRule(rules, row)?.impute || defaults.get(row.projet) || "";
+}
 
-    const q = z.object({ day: z.string().min(10) }).parse(req.query);
+/**
+ * Tickets ADO : chaque id_ticket nouveau sur le jour doit exister (si le lookup est actif).
+ * Le sujet vide est pré-rempli avec le titre du work item.
+ * ADO indisponible -> on n'empêche pas la saisie.
+ */
+async function resolveRowTickets(rows, { allowed = [] } = {}) {
+  if (!workItems.enabled) return { rows, unknown: [] };
+
+  const allowedSet = new Set(allowed.map((t) => String(t ?? "").trim()));
+  const unknown = new Set();
+  const out = [];
+
+  for (const r of rows) {
+    const raw = String(r.id_ticket ?? "").trim();
+    if (!raw || allowedSet.has(raw)) {
+      out.push(r);
+      continue;
+    }
 
-    const { data, error } = await supabaseUser
-      .from("activities")
-      .select("day, id_ticket, sujet, projet, temps_passe_h, type, impute")
-      .eq("user_id", user.id)
-      .eq("day", q.day)
-      .order("id", { ascending: true });
+    const id = normalizeTicketId(raw);
+    if (!id) {
+      unknown.add(raw);
+      out.push(r);
+      continue;
+    }
 
-    if (error) throw new Error(error.message);
+    let item;
+    try {
+      item = await workItems.lookup(id);
+    } catch (e) {
+      console.warn(`⚠️ Work item lookup failed: ${e?.message || e}`);
+      out.push({ ...r, id_ticket: id });
+      continue;
+    }
 
-    return res.json({ rows: data ?? [] });
-  } catch (e) {
-    return res.status(400).json({ error: e?.message || "Bad request" });
+    if (!item) unknown.add(raw);
+    out.push({
+      ...r,
+      id_ticket: id,
+      sujet: String(r.sujet ?? "").trim() || item?.title || "",
+    });
   }
-});
 
-function startEndOfMonth(year, month1to12) {
-  const start = new Date(Date.UTC(year, month1to12 - 1, 1));
-  const end = new Date(Date.UTC(year, month1to12, 0));
-  const startStr = start.toISOString().slice(0, 10);
-  const endStr = end.toISOString().slice(0, 10);
-  return { startStr, endStr };
+  return { rows: out, unknown: Array.from(unknown) };
 }
 
-function computeMonthlySummaryStats({
-  activities,
-  profiles,
-  year,
-  month,
-}) {
-  // ---- Totaux
-  let totalHours = 0;
+/**
+ * Validation des lignes d'un jour avant écriture :
+ * - "projet" doit être un projet actif (ou déjà présent sur le jour)
+ * - "id_ticket" doit être un work item ADO existant (ou déjà présent sur le jour)
+ * Retourne { rows, suggestImpute } ou null si la réponse 400 a déjà été envoyée.
+ */
+async function validateDayRows(res, supabaseClient, { userId, day, rows }) {
+  const projects = await loadProjects(supabaseClient);
+
+  const { data: existing, error } = await supabaseClient
+    .from("activities")
+    .select("projet, id_ticket")
+    .eq("user_id", userId)
+    .eq("day", day);
+  if (error) throw new Error(error.message);
+
+  const resolved = resolveRowProjects(projects, rows, {
+    day,
+    allowed: (existing ?? []).map((r) => r.projet).filter(Boolean),
+  });
 
-  const byType = {};
-  const byProject = {};
-  const byUser = {};
+  if (resolved.unknown.length) {
+    res.status(400).json({
+      error: `Projet inconnu ou archivé : ${resolved.unknown.join(", ")}`,
+      code: "UNKNOWN_PROJECT",
+      unknown: resolved.unknown,
+    });
+    return null;
+  }
 
-  for (const p of profiles) {
-    byUser[p.id] = {
-      userId: p.id,
-      name: p.full_name || p.id,
-      totalHours: 0,
-      days: new Set(),
-    };
+  const tickets = await resolveRowTickets(resolved.rows, {
+    allowed: (existing ?? []).map((r) => r.id_ticket).filter(Boolean),
+  });
+
+  if (tickets.unknown.length) {
+    res.status(400).json({
+      error: `Ticket ADO introuvable : ${tickets.unknown.join(", ")}`,
+      code: "UNKNOWN_TICKET",
+      unknown: tickets.unknown,
+    });
+    return null;
   }
 
-  for (const a of activities) {
-    const h = Number(a.temps_passe_h || 0);
-    totalHours += h;
+  return { rows: tickets.rows, suggestImpute: await buildImputeSuggester(projects) };
+}
 
-    // by type
-    byType[a.type] ??= { hours: 0 };
-    byType[a.type].hours += h;
+/**
+ * Clôture de période : 423 Locked si un des (userId, day) est dans une période close.
+ * Lecture des verrous via admin (donnée de référence, comme les contrats).
+ */
+async function rejectIfPeriodLocked(res, targets) {
+  const locked = await findLockedTarget(supabaseAdmin, targets);
+  if (!locked) return false;
 
-    // by project
-    if (a.projet) {
-      byProject[a.projet] ??= { hours: 0 };
-      byProject[a.projet].hours += h;
-    }
+  res.status(423).json({ error: locked.message, code: "PERIOD_LOCKED", day: locked.day });
+  return true;
+}
 
-    // by user
-    const u = byUser[a.user_id];
-    if (u) {
-      u.totalHours += h;
-      u.days.add(a.day);
-    }
-  }
+/**
+ * Périmètre CP (équipes gérées, cf. lib/teams.js)
+ * PM_SCOPE : auto (défaut, restreint dès la première équipe créée) | teams | all
+ * teamId : restreint à une équipe du CP (sélecteur du dashboard) ; null = équipe non gérée
+ */
+const PM_SCOPE = process.env.PM_SCOPE || "auto";
+if (!PM_SCOPE_MODES.includes(PM_SCOPE)) throw new Error(`PM_SCOPE inconnu: ${PM_SCOPE}`);
 
-  const totalDays = Math.round((totalHours / HOURS_PER_DAY) * 100) / 100;
+async function getPmScope(pmId, { teamId } = {}) {
+  return loadPmScope(supabaseAdmin, pmId, { teamId, mode: PM_SCOPE });
+}
 
-  // enrich byType
-  for (const t of Object.keys(byType)) {
-    byType[t].days = byType[t].hours / HOURS_PER_DAY;
-    byType[t].percent =
-      totalHours > 0
-        ? Math.round((byType[t].hours / totalHours) * 100)
-        : 0;
-  }
+// Filtre SQL sur les membres de la période ; le filtre au jour près se fait avec scope.filterRows
+function scopeQuery(q, scope, { from, to, column = "user_id" } = {}) {
+  const ids = scope.usersIn(from, to);
+  return ids ? q.in(column, ids) : q;
+}
 
-  const topProjects = Object.entries(byProject)
-    .map(([project, v]) => ({
-      project,
-      hours: v.hours,
-      days: v.hours / HOURS_PER_DAY,
-    }))
-    .sort((a, b) => b.hours - a.hours)
-    .slice(0, 5);
+function scopeProfiles(profiles, scope, { from, to } = {}) {
+  const ids = scope.usersIn(from, to);
+  return ids ? (profiles ?? []).filter((p) => ids.includes(String(p.id))) : profiles ?? [];
+}
 
-  const usersWithMissingDays = Object.values(byUser).filter(
-    (u) => u.days.size < 20 // volontairement simple, ajustable
-  );
+// 403 si un (user, jour) ciblé sort des équipes du CP ; true = réponse déjà envoyée
+function rejectIfOutOfScope(res, scope, targets) {
+  const out = targets.find((t) => !scope.covers(t.userId, t.day));
+  if (!out) return false;
 
-  return {
-    period: { year, month },
-    totals: {
-      hours: Math.round(totalHours * 10) / 10,
-      days: totalDays,
-    },
-    byType,
-    topProjects,
-    alerts: {
-      usersWithMissingDays: usersWithMissingDays.length,
-    },
-  };
+  res.status(403).json({
+    error: "Hors du périmètre de vos équipes.",
+    code: "OUT_OF_SCOPE",
+    userId: out.userId,
+    ...(out.day ? { day: out.day } : {}),
+  });
+  return true;
 }
 
-/**
- * GET /api/activities/month?year=YYYY&month=M
- */
-app.get("/api/activities/month", async (req, res) => {
+const WEEK_APPROVED_MESSAGE =
+  "Semaine validée par le CP : modification impossible (demande une réouverture).";
+
+// Row input with optional DB id (diff par id)
+const RowUpsertSchema = RowInputSchema.extend({
+  id: z.string().min(1).optional(),
+});
+
+app.post("/api/activities/upsertDay", async (req, res) => {
   try {
     const auth = await getUserFromBearer(req);
     if (!auth) return res.status(401).json({ error: "Unauthorized" });
@@ -880,58 +1192,72 @@ app.get("/api/activities/month", async (req, res) => {
     const { user, jwt } = auth;
     const supabaseUser = supabaseForJwt(jwt);
 
-    const q = z
-      .object({
-        year: z.coerce.number().int().min(2000).max(2100),
-        month: z.coerce.number().int().min(1).max(12),
-      })
-      .parse(req.query);
-
-    const { startStr, endStr } = startEndOfMonth(q.year, q.month);
+    const schema = z.object({
+      day: YmdSchema,
+      rows: z.array(RowUpsertSchema),
+    });
 
-    const { data, error } = await supabaseUser
-      .from("activities")
-      .select("day, temps_passe_h")
-      .eq("user_id", user.id)
-      .gte("day", startStr)
-      .lte("day", endStr);
+    const body = schema.parse(req.body);
 
-    if (error) throw new Error(error.message);
+    if (await rejectIfPeriodLocked(res, [{ userId: user.id, day: body.day }])) return;
 
-    const map = new Map();
-    for (const a of data ?? []) {
-      const k = a.day;
-      const prev = map.get(k) ?? { totalHours: 0, linesCount: 0 };
-      prev.totalHours += Number(a.temps_passe_h || 0);
-      prev.linesCount += 1;
-      map.set(k, prev);
+    if (await isWeekApproved(supabaseUser, user.id, body.day)) {
+      return res.status(409).json({ error: WEEK_APPROVED_MESSAGE, code: "WEEK_APPROVED" });
     }
 
-    const daysInMonth = new Date(q.year, q.month, 0).getDate();
-    const days = [];
-    for (let d = 1; d <= daysInMonth; d++) {
-      const date = new Date(Date.UTC(q.year, q.month - 1, d));
-      const yyyyMMdd = date.toISOString().slice(0, 10);
-
-      const agg = map.get(yyyyMMdd) ?? { totalHours: 0, linesCount: 0 };
-      days.push({
-        day: yyyyMMdd,
-        totalHours: Math.round(agg.totalHours * 10) / 10,
-        linesCount: agg.linesCount,
+    // plafond journée selon le contrat du user
+    const schedules = await getUserSchedules(user.id);
+    const maxHours = dayCapacity(schedules, body.day);
+    const total = sumHours(body.rows);
+    if (total > maxHours + 1e-9) {
+      return res.status(400).json({
+        error: `Total journée > ${maxHours}h interdit (reçu: ${roundHours(total)}h).`,
       });
     }
 
-    return res.json({ year: q.year, month: q.month, days });
+    const checked = await validateDayRows(res, supabaseUser, {
+      userId: user.id,
+      day: body.day,
+      rows: body.rows,
+    });
+    if (!checked) return;
+
+    // impute volontairement ignoré (PM only) : conservé sur les lignes existantes
+    const result = await replaceDayRows(supabaseUser, {
+      userId: user.id,
+      day: body.day,
+      rows: checked.rows,
+      suggestImpute: checked.suggestImpute,
+      actorId: user.id,
+    });
+
+    // récurrences pas encore générées ce jour (dans la limite du plafond)
+    const recurring = await materializeRecurringDaySafe(supabaseUser, {
+      userId: user.id,
+      day: body.day,
+      schedules,
+    });
+
+    emitDayWebhook("day.saved", {
+      userId: user.id,
+      day: body.day,
+      actorId: user.id,
+      source: "upsertDay",
+      result,
+    });
+
+    return res.json({ ok: true, ...result, recurring });
   } catch (e) {
     return res.status(400).json({ error: e?.message || "Bad request" });
   }
 });
 
 /**
- * GET /api/activities/export?year=YYYY&month=M
- * CSV export
+ * POST /api/activities/appendDay
+ * Adds rows for a day WITHOUT deleting existing ones.
+ * Auth required
  */
-app.get("/api/activities/export", async (req, res) => {
+app.post("/api/activities/appendDay", async (req, res) => {
   try {
     const auth = await getUserFromBearer(req);
     if (!auth) return res.status(401).json({ error: "Unauthorized" });
@@ -939,116 +1265,3716 @@ app.get("/api/activities/export", async (req, res) => {
     const { user, jwt } = auth;
     const supabaseUser = supabaseForJwt(jwt);
 
-    const q = z.object({
-      year: z.coerce.number().int().min(2000).max(2100),
-      month: z.coerce.number().int().min(1).max(12),
-    }).parse(req.query);
+    // 1) parse input + check sum(rows) <= plafond du contrat (au moins)
+    const schema = z.object({
+      day: YmdSchema,
+      rows: z.array(RowInputSchema).min(1),
+    });
 
-    const { startStr, endStr } = startEndOfMonth(q.year, q.month);
+    const body = schema.parse(req.body);
 
-    const { data, error } = await supabaseUser
+    if (await rejectIfPeriodLocked(res, [{ userId: user.id, day: body.day }])) return;
+
+    if (await isWeekApproved(supabaseUser, user.id, body.day)) {
+      return res.status(409).json({ error: WEEK_APPROVED_MESSAGE, code: "WEEK_APPROVED" });
+    }
+
+    const schedules = await getUserSchedules(user.id);
+    const maxHours = dayCapacity(schedules, body.day);
+
+    // 2) calcule le total déjà existant sur ce jour (DB)
+    const { data: existing, error: exErr } = await supabaseUser
       .from("activities")
-      .select("day, id_ticket, sujet, projet, temps_passe_h, type, impute")
+      .select("temps_passe_h")
       .eq("user_id", user.id)
-      .gte("day", startStr)
-      .lte("day", endStr)
-      .order("day", { ascending: true });
+      .eq("day", body.day);
 
-    if (error) throw new Error(error.message);
+    if (exErr) throw new Error(exErr.message);
 
-    function sanitizeCsvCell(v) {
-      let s = String(v ?? "")
-        .replaceAll(";", ",")
-        .replaceAll("\n", " ")
-        .replaceAll("\r", " ");
+    const existingTotal = (existing ?? []).reduce(
+      (acc, r) => acc + Number(r?.temps_passe_h ?? 0),
+      0
+    );
 
-      // protège Excel injection
-      if (/^[=+\-@]/.test(s)) s = "'" + s;
-      return s;
+    // 3) calcule le total ajouté
+    const addedTotal = sumHours(body.rows);
+
+    if (addedTotal > maxHours + 1e-9) {
+      return res.status(400).json({
+        error: `Ajout > ${maxHours}h interdit (reçu: ${roundHours(addedTotal)}h).`,
+      });
     }
-    const header = "day;id_ticket;ticket_url;sujet;projet;temps_passe_h;type;impute";
 
-    const lines = (data ?? []).map((r) => {
-      const url = adoWorkItemUrl(r.id_ticket); // attention: doit gérer "" / null
-      return [
-        r.day,
-        r.id_ticket,
-        url,
-        r.sujet,
-        r.projet,
-        r.temps_passe_h,
-        r.type,
-        r.impute,
-      ].map(sanitizeCsvCell).join(";");
+    const finalTotal = existingTotal + addedTotal;
+
+    if (finalTotal > maxHours + 1e-9) {
+      return res.status(400).json({
+        error: `Total journée > ${maxHours}h interdit (existant: ${roundHours(existingTotal)}h, ajout: ${roundHours(addedTotal)}h).`,
+      });
+    }
+
+    const checked = await validateDayRows(res, supabaseUser, {
+      userId: user.id,
+      day: body.day,
+      rows: body.rows,
     });
+    if (!checked) return;
 
-    const csv = [header, ...lines].join("\n");
+    // 4) insert (impute PM-only : seul le Code VSA suggéré par les règles / le projet est posé)
+    const payload = checked.rows.map((r) => {
+      const impute = checked.suggestImpute({ ...r, user_id: user.id, day: body.day });
+      return {
+        user_id: user.id,
+        day: body.day,
+        id_ticket: r.id_ticket ?? "",
+        sujet: r.sujet ?? "",
+        projet: r.projet ?? "",
+        temps_passe_h: r.temps_passe_h ?? 0,
+        type: r.type ?? "Autre",
+        ...(impute ? { impute } : {}),
+      };
+    });
 
-    res.setHeader("Content-Type", "text/csv; charset=utf-8");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="activities_${q.year}-${String(q.month).padStart(2, "0")}.csv"`
+    const { data, error } = await supabaseUser
+      .from("activities")
+      .insert(payload)
+      .select();
+
+    if (error) throw new Error(error.message);
+
+    await recordActivityAuditOrUndo(
+      supabaseAdmin,
+      (data ?? []).map((r) => ({
+        action: "insert",
+        activityId: r.id,
+        userId: user.id,
+        day: body.day,
+        after: r,
+      })),
+      { actorId: user.id }
     );
-    return res.send("\uFEFF" + csv);
+
+    const recurring = await materializeRecurringDaySafe(supabaseUser, {
+      userId: user.id,
+      day: body.day,
+      schedules,
+    });
+
+    emitDayWebhook("day.saved", {
+      userId: user.id,
+      day: body.day,
+      actorId: user.id,
+      source: "appendDay",
+      result: { inserted: data?.length ?? 0 },
+    });
+
+    return res.json({ ok: true, inserted: data?.length ?? 0, recurring });
   } catch (e) {
     return res.status(400).json({ error: e?.message || "Bad request" });
   }
 });
 
-app.get("/api/activities/export-xlsx", async (req, res) => {
+/**
+ * PM only: upsert for another user/day
+ */
+const UpsertForUserSchema = z.object({
+  userId: z.string().min(1),
+  day: YmdSchema,
+  rows: z.array(RowUpsertSchema).min(1),
+  reason: z.string().default(""), // tracé dans l'historique
+});
+
+app.post("/api/pm/activities/upsertDayForUser", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = UpsertForUserSchema.parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const scope = await getPmScope(user.id);
+    if (rejectIfOutOfScope(res, scope, [{ userId: body.userId, day: body.day }])) return;
+    if (await rejectIfPeriodLocked(res, [{ userId: body.userId, day: body.day }])) return;
+
+    const maxHours = dayCapacity(await getUserSchedules(body.userId), body.day);
+    const total = sumHours(body.rows);
+    if (total > maxHours + 1e-9) {
+      return res.status(400).json({
+        error: `Total journée > ${maxHours}h interdit (reçu: ${roundHours(total)}h).`,
+      });
+    }
+
+    const checked = await validateDayRows(res, supabaseUser, {
+      userId: body.userId,
+      day: body.day,
+      rows: body.rows,
+    });
+    if (!checked) return;
+
+    const result = await replaceDayRows(supabaseUser, {
+      userId: body.userId,
+      day: body.day,
+      rows: checked.rows,
+      withImpute: true,
+      suggestImpute: checked.suggestImpute,
+      actorId: user.id,
+      reason: body.reason.trim(),
+    });
+
+    emitDayWebhook("day.pm_edited", {
+      userId: body.userId,
+      day: body.day,
+      actorId: user.id,
+      source: body.reason.trim() || "upsertDayForUser",
+      result,
+    });
+
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/activities/update-vsa
+ * PM only: met à jour uniquement "impute" (Code VSA) sur une liste de lignes
+ */
+const UpdateVsaSchema = z.object({
+  rows: z.array(
+    z.object({
+      id: z.string().min(1),      // uuid (string côté JS)
+      impute: z.string().default(""),
+    })
+  ).min(1),
+});
+
+app.post("/api/pm/activities/update-vsa", async (req, res) => {
   try {
     const auth = await getUserFromBearer(req);
     if (!auth) return res.status(401).json({ error: "Unauthorized" });
 
     const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = UpdateVsaSchema.parse(req.body);
+
     const supabaseUser = supabaseForJwt(jwt);
 
+    // période clôturée : on vérifie le jour/user de chaque ligne ciblée
+    const { data: targets, error: tErr } = await supabaseUser
+      .from("activities")
+      .select("id, user_id, day, id_ticket, sujet, projet, temps_passe_h, type, impute")
+      .in("id", body.rows.map((r) => r.id));
+    if (tErr) throw new Error(tErr.message);
+
+    const targetDays = (targets ?? []).map((t) => ({ userId: t.user_id, day: t.day }));
+    if (rejectIfOutOfScope(res, await getPmScope(user.id), targetDays)) return;
+    if (await rejectIfPeriodLocked(res, targetDays)) return;
+
+    // updates "one by one" (simple, lisible, OK si volume raisonnable)
+    // si tu veux optimiser ensuite, on passera par RPC SQL + jsonb_to_recordset.
+    let updated = 0;
+    const targetById = new Map((targets ?? []).map((t) => [String(t.id), t]));
+    const changes = [];
+
+    try {
+      for (const r of body.rows) {
+        // ids absents de targets : invisibles ou inexistants, rien à mettre à jour
+        const before = targetById.get(String(r.id));
+        if (!before) continue;
+
+        const { error } = await supabaseUser
+          .from("activities")
+          .update({ impute: r.impute ?? "" })
+          .eq("id", before.id);
+
+        if (error) throw new Error(error.message);
+        updated += 1;
+
+        if (String(before.impute ?? "") !== String(r.impute ?? "")) {
+          changes.push({
+            action: "update",
+            activityId: before.id,
+            userId: before.user_id,
+            day: before.day,
+            before,
+            after: { ...before, impute: r.impute ?? "" },
+          });
+        }
+      }
+    } catch (e) {
+      await undoActivityChangesAndThrow(supabaseAdmin, changes, e);
+    }
+
+    await recordActivityAuditOrUndo(supabaseAdmin, changes, {
+      actorId: user.id,
+      reason: "Code VSA",
+    });
+    emitVsaWebhook(changes, { actorId: user.id, source: "update-vsa" });
+
+    return res.json({ ok: true, updated });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Activity history (audit)
+ * ---------------------------
+ */
+
+/**
+ * GET /api/activities/history?day=YYYY-MM-DD
+ * Historique du jour pour le user connecté (une version par sauvegarde)
+ */
+app.get("/api/activities/history", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const q = z.object({ day: z.string().regex(/^\d{4}-\d{2}-\d{2}$/) }).parse(req.query);
+
+    // lecture admin filtrée sur le user connecté (table audit non exposée en RLS)
+    const entries = await loadDayAudit(supabaseAdmin, { userId: auth.user.id, day: q.day });
+
+    const { data: current, error } = await supabaseForJwt(auth.jwt)
+      .from("activities")
+      .select("id, id_ticket, sujet, projet, temps_passe_h, type, impute")
+      .eq("user_id", auth.user.id)
+      .eq("day", q.day);
+    if (error) throw new Error(error.message);
+
+    return res.json({ day: q.day, versions: buildDayVersions(entries, { current }) });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/pm/activities/history?userId=UUID&day=YYYY-MM-DD
+ * PM only: versions + diff (changes) de chaque sauvegarde, et état actuel
+ */
+app.get("/api/pm/activities/history", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
     const q = z.object({
-      year: z.coerce.number().int().min(2000).max(2100),
-      month: z.coerce.number().int().min(1).max(12),
+      userId: z.string().min(1),
+      day: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
     }).parse(req.query);
 
-    const { startStr, endStr } = startEndOfMonth(q.year, q.month);
+    const scope = await getPmScope(user.id);
+    if (rejectIfOutOfScope(res, scope, [{ userId: q.userId, day: q.day }])) return;
 
-    const { data, error } = await supabaseUser
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const { data: current, error } = await supabaseUser
       .from("activities")
-      .select("day, id_ticket, sujet, projet, temps_passe_h, type, impute")
-      .eq("user_id", user.id)
-      .gte("day", startStr)
-      .lte("day", endStr)
-      .order("day", { ascending: true })
+      .select("id, day, id_ticket, sujet, projet, temps_passe_h, type, impute")
+      .eq("user_id", q.userId)
+      .eq("day", q.day)
       .order("id", { ascending: true });
+    if (error) throw new Error(error.message);
+
+    const entries = await loadDayAudit(supabaseAdmin, { userId: q.userId, day: q.day });
+
+    return res.json({
+      userId: q.userId,
+      day: q.day,
+      current: current ?? [],
+      versions: buildDayVersions(entries, { current }),
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/activities/restore { userId, day, batchId, reason }
+ * PM only: remet le jour dans l'état d'une version passée (tracé comme une édition CP)
+ */
+app.post("/api/pm/activities/restore", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({
+      userId: z.string().min(1),
+      day: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+      batchId: z.string().min(1),
+      reason: z.string().default(""),
+    }).parse(req.body);
+
+    const scope = await getPmScope(user.id);
+    if (rejectIfOutOfScope(res, scope, [{ userId: body.userId, day: body.day }])) return;
+    if (await rejectIfPeriodLocked(res, [{ userId: body.userId, day: body.day }])) return;
 
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const { data: current, error } = await supabaseUser
+      .from("activities")
+      .select("id, id_ticket, sujet, projet, temps_passe_h, type, impute")
+      .eq("user_id", body.userId)
+      .eq("day", body.day);
     if (error) throw new Error(error.message);
 
-    const wb = new ExcelJS.Workbook();
-    wb.creator = "Activity AI";
-    wb.created = new Date();
+    // lignes antérieures à l'audit incluses (sinon la restauration les supprimerait)
+    const entries = await loadDayAudit(supabaseAdmin, { userId: body.userId, day: body.day });
+    const version = buildDayVersions(entries, { current }).find((v) => v.batchId === body.batchId);
+    if (!version) return res.status(404).json({ error: "Version introuvable pour ce jour." });
 
-    const ws = wb.addWorksheet(`activities_${q.year}-${String(q.month).padStart(2, "0")}`);
+    // lignes encore présentes -> update (même id), lignes supprimées depuis -> ré-insertion
+    const currentIds = new Set((current ?? []).map((r) => String(r.id)));
+    const rows = version.rows.map(({ id, ...values }) =>
+      currentIds.has(String(id)) ? { id: String(id), ...values } : values
+    );
 
-    // Colonnes Excel
-    ws.columns = [
-      { header: "Date", key: "day", width: 12 },
-      { header: "ID Ticket", key: "id_ticket", width: 18 },
-      { header: "Sujet", key: "sujet", width: 50 },
-      { header: "Projet", key: "projet", width: 18 },
-      { header: "Charge réelle (h)", key: "temps_passe_h", width: 16 },
-      { header: "Type", key: "type", width: 20 },
-      { header: "Code VSA", key: "impute", width: 18 },
-    ];
+    const result = await replaceDayRows(supabaseUser, {
+      userId: body.userId,
+      day: body.day,
+      rows,
+      withImpute: true,
+      actorId: user.id,
+      reason: `Restauration version du ${version.at}${body.reason.trim() ? ` : ${body.reason.trim()}` : ""}`,
+    });
 
-    // Header style + filter
-    ws.getRow(1).font = { bold: true };
-    ws.autoFilter = {
-      from: { row: 1, column: 1 },
-      to: { row: 1, column: ws.columns.length },
+    emitDayWebhook("day.pm_edited", {
+      userId: body.userId,
+      day: body.day,
+      actorId: user.id,
+      source: "restore",
+      result,
+    });
+
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Work schedules (contrats de temps de travail, datés)
+ * ---------------------------
+ */
+const WeekHoursSchema = z.object({
+  mon: z.coerce.number().min(0).max(24).default(0),
+  tue: z.coerce.number().min(0).max(24).default(0),
+  wed: z.coerce.number().min(0).max(24).default(0),
+  thu: z.coerce.number().min(0).max(24).default(0),
+  fri: z.coerce.number().min(0).max(24).default(0),
+  sat: z.coerce.number().min(0).max(24).default(0),
+  sun: z.coerce.number().min(0).max(24).default(0),
+});
+
+const WorkScheduleSchema = z
+  .object({
+    id: z.string().min(1).optional(),
+    userId: z.string().min(1),
+    valid_from: YmdSchema,
+    valid_to: YmdSchema.nullable().optional(),
+    hours: WeekHoursSchema,
+  })
+  .refine((v) => !v.valid_to || v.valid_to >= v.valid_from, {
+    message: "valid_to doit être >= valid_from",
+    path: ["valid_to"],
+  });
+
+/**
+ * GET /api/work-schedule
+ * Contrat(s) du user connecté + semaine applicable aujourd'hui
+ */
+app.get("/api/work-schedule", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const schedules = await getUserSchedules(auth.user.id);
+    const today = new Date().toISOString().slice(0, 10);
+
+    return res.json({ schedules, current: weekHoursForDay(schedules, today) });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/pm/work-schedules?userId=UUID
+ */
+app.get("/api/pm/work-schedules", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const q = z.object({ userId: z.string().min(1) }).parse(req.query);
+    if (rejectIfOutOfScope(res, await getPmScope(auth.user.id), [{ userId: q.userId }])) return;
+
+    const schedules = await getUserSchedules(q.userId);
+
+    return res.json({ userId: q.userId, schedules });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/work-schedules
+ * PM only: crée (ou met à jour si id) un contrat daté pour un user
+ */
+app.post("/api/pm/work-schedules", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = WorkScheduleSchema.parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    if (rejectIfOutOfScope(res, await getPmScope(user.id), [{ userId: body.userId }])) return;
+
+    const payload = {
+      user_id: body.userId,
+      valid_from: body.valid_from,
+      valid_to: body.valid_to ?? null,
+      hours: normalizeWeekHours(body.hours),
     };
 
-    // Format colonnes
-    ws.getColumn("temps_passe_h").numFmt = "0.00";
+    const q = body.id
+      ? supabaseUser.from("work_schedules").update(payload).eq("id", body.id).eq("user_id", body.userId)
+      : supabaseUser.from("work_schedules").insert(payload);
 
-    // Data rows + Hyperlink sur ID Ticket
+    const { data, error } = await q.select().single();
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true, schedule: data });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/work-schedules/delete
+ */
+app.post("/api/pm/work-schedules/delete", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const { data: schedule, error: sErr } = await supabaseUser
+      .from("work_schedules")
+      .select("id, user_id")
+      .eq("id", body.id)
+      .maybeSingle();
+    if (sErr) throw new Error(sErr.message);
+    if (!schedule) return res.status(404).json({ error: "Contrat introuvable" });
+    if (rejectIfOutOfScope(res, await getPmScope(user.id), [{ userId: schedule.user_id }])) return;
+
+    const { error } = await supabaseUser.from("work_schedules").delete().eq("id", body.id);
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Timesheets (semaine: draft -> submitted -> approved / rejected)
+ * ---------------------------
+ */
+
+/**
+ * GET /api/timesheets/week?day=YYYY-MM-DD
+ * Statut de la semaine contenant ce jour (user connecté)
+ */
+app.get("/api/timesheets/week", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const q = z.object({ day: YmdSchema }).parse(req.query);
+    const { weekStart, weekEnd } = weekBounds(q.day);
+
+    const ts = await getTimesheet(supabaseUser, user.id, weekStart);
+
+    return res.json({ weekStart, weekEnd, ...ts });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/timesheets/submit { day }
+ * Le dev déclare sa semaine terminée
+ */
+app.post("/api/timesheets/submit", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const body = z.object({ day: YmdSchema }).parse(req.body);
+    const { weekStart, weekEnd } = weekBounds(body.day);
+
+    const ts = await applyTimesheetAction(supabaseUser, {
+      userId: user.id,
+      weekStart,
+      action: "submit",
+      actorId: user.id,
+    });
+
+    return res.json({ ok: true, weekStart, weekEnd, ...ts });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/pm/timesheets?status=submitted
+ * PM only: file de validation (avec nom + heures saisies sur la semaine)
+ */
+app.get("/api/pm/timesheets", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const q = z.object({
+      status: z.enum(TIMESHEET_STATUSES).default("submitted"),
+      teamId: z.string().min(1).optional(),
+    }).parse(req.query);
+
+    const scope = await getPmScope(user.id, { teamId: q.teamId });
+    if (!scope) return res.status(403).json({ error: "Équipe non gérée" });
+
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const { data: allSheets, error: tErr } = await scopeQuery(
+      supabaseUser
+        .from("timesheets")
+        .select("id, user_id, week_start, status, comment, submitted_at, reviewed_at, reviewed_by")
+        .eq("status", q.status)
+        .order("week_start", { ascending: true }),
+      scope
+    );
+    if (tErr) throw new Error(tErr.message);
+    const sheets = (allSheets ?? []).filter((ts) => weekInScope(scope, ts.user_id, ts.week_start));
+
+    const { data: profiles, error: pErr } = await supabaseUser
+      .from("profiles")
+      .select("id, full_name");
+    if (pErr) throw new Error(pErr.message);
+
+    const nameById = new Map(
+      (profiles ?? []).map((p) => [p.id, (p.full_name ?? "").trim() || p.id])
+    );
+
+    const items = [];
+    for (const ts of sheets ?? []) {
+      const { weekEnd } = weekBounds(ts.week_start);
+
+      const { data: acts, error: aErr } = await supabaseUser
+        .from("activities")
+        .select("day, temps_passe_h")
+        .eq("user_id", ts.user_id)
+        .gte("day", ts.week_start)
+        .lte("day", weekEnd);
+      if (aErr) throw new Error(aErr.message);
+
+      items.push({
+        ...ts,
+        name: nameById.get(ts.user_id) ?? ts.user_id,
+        weekEnd,
+        filledDays: new Set((acts ?? []).map((a) => a.day)).size,
+        totalHours: Math.round(sumHours(acts) * 10) / 10,
+      });
+    }
+
+    return res.json({ status: q.status, timesheets: items });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+// membre de l'équipe sur au moins un jour de la semaine
+function weekInScope(scope, userId, weekStart) {
+  const { weekStart: from, weekEnd: to } = weekBounds(weekStart);
+  return eachDay(from, to).some((d) => scope.covers(userId, d));
+}
+
+const TimesheetReviewSchema = z
+  .object({
+    userId: z.string().min(1),
+    weekStart: YmdSchema,
+    decision: z.enum(["approve", "reject"]),
+    comment: z.string().default(""),
+  })
+  .refine((v) => v.decision !== "reject" || v.comment.trim().length > 0, {
+    message: "Un commentaire est obligatoire pour refuser une semaine.",
+    path: ["comment"],
+  });
+
+/**
+ * POST /api/pm/timesheets/review { userId, weekStart, decision, comment }
+ */
+app.post("/api/pm/timesheets/review", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = TimesheetReviewSchema.parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    if (!weekInScope(await getPmScope(user.id), body.userId, body.weekStart)) {
+      return res.status(403).json({ error: "Hors du périmètre de vos équipes.", code: "OUT_OF_SCOPE" });
+    }
+
+    const ts = await applyTimesheetAction(supabaseUser, {
+      userId: body.userId,
+      weekStart: weekBounds(body.weekStart).weekStart,
+      action: body.decision,
+      comment: body.comment.trim(),
+      actorId: user.id,
+    });
+
+    return res.json({ ok: true, timesheet: ts });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/timesheets/reopen { userId, weekStart, comment? }
+ * PM only: repasse la semaine en draft (saisie dev à nouveau possible)
+ */
+app.post("/api/pm/timesheets/reopen", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({
+      userId: z.string().min(1),
+      weekStart: YmdSchema,
+      comment: z.string().default(""),
+    }).parse(req.body);
+
+    if (!weekInScope(await getPmScope(user.id), body.userId, body.weekStart)) {
+      return res.status(403).json({ error: "Hors du périmètre de vos équipes.", code: "OUT_OF_SCOPE" });
+    }
+
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const ts = await applyTimesheetAction(supabaseUser, {
+      userId: body.userId,
+      weekStart: weekBounds(body.weekStart).weekStart,
+      action: "reopen",
+      comment: body.comment.trim(),
+      actorId: user.id,
+    });
+
+    return res.json({ ok: true, timesheet: ts });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Period locks (clôture de période, PM)
+ * ---------------------------
+ * CP restreint à des équipes : "toute l'équipe" = un verrou par membre de ses équipes
+ * sur la période (les verrous globaux user_id null restent réservés au périmètre complet).
+ */
+const PeriodLockSchema = z
+  .object({
+    from: YmdSchema,
+    to: YmdSchema,
+    userId: z.string().min(1).nullable().optional(), // null/absent = toute l'équipe
+    reason: z.string().default(""),
+  })
+  .refine((v) => v.to >= v.from, { message: "to doit être >= from", path: ["to"] });
+
+/**
+ * GET /api/pm/period-locks?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+app.get("/api/pm/period-locks", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const q = z
+      .object({ from: YmdSchema, to: YmdSchema, teamId: z.string().min(1).optional() })
+      .parse(req.query);
+
+    const scope = await getPmScope(auth.user.id, { teamId: q.teamId });
+    if (!scope) return res.status(403).json({ error: "Équipe non gérée" });
+
+    const members = scope.usersIn(q.from, q.to);
+    const locks = (await loadPeriodLocks(supabaseForJwt(auth.jwt), q)).filter(
+      (l) => !l.user_id || !members || members.includes(String(l.user_id))
+    );
+
+    return res.json({ from: q.from, to: q.to, locks });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/period-locks { from, to, userId?, reason }
+ */
+app.post("/api/pm/period-locks", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = PeriodLockSchema.parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const scope = await getPmScope(user.id);
+    const members = scope.usersIn(body.from, body.to); // null = périmètre complet
+    if (body.userId && members && !members.includes(body.userId)) {
+      return res.status(403).json({ error: "Hors du périmètre de vos équipes.", code: "OUT_OF_SCOPE" });
+    }
+
+    const userIds = body.userId ? [body.userId] : members ?? [null];
+    if (!userIds.length) {
+      return res.status(400).json({ error: "Aucun membre dans vos équipes sur la période." });
+    }
+
+    const { data, error } = await supabaseUser
+      .from("period_locks")
+      .insert(
+        userIds.map((userId) => ({
+          from_day: body.from,
+          to_day: body.to,
+          user_id: userId,
+          reason: body.reason.trim(),
+          created_by: user.id,
+        }))
+      )
+      .select();
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true, lock: data?.[0] ?? null, locks: data ?? [] });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/period-locks/delete { id }
+ * Réouverture de la période
+ */
+app.post("/api/pm/period-locks/delete", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const { data: lock, error: lErr } = await supabaseUser
+      .from("period_locks")
+      .select("id, user_id, from_day, to_day")
+      .eq("id", body.id)
+      .maybeSingle();
+    if (lErr) throw new Error(lErr.message);
+    if (!lock) return res.status(404).json({ error: "Clôture introuvable" });
+
+    const scope = await getPmScope(user.id);
+    const members = scope.usersIn(lock.from_day, lock.to_day);
+    if (members && (!lock.user_id || !members.includes(String(lock.user_id)))) {
+      return res.status(403).json({ error: "Hors du périmètre de vos équipes.", code: "OUT_OF_SCOPE" });
+    }
+
+    const { error } = await supabaseUser.from("period_locks").delete().eq("id", body.id);
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/projects
+ * projects : noms des projets actifs aujourd'hui (compat)
+ * items    : détail pour les listes de saisie (groupées par client)
+ */
+app.get("/api/projects", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const supabaseUser = supabaseForJwt(auth.jwt);
+    const today = new Date().toISOString().slice(0, 10);
+
+    const items = (await loadProjects(supabaseUser, { activeOnly: true }))
+      .filter((p) => projectIsValidOn(p, today))
+      .map((p) => ({ name: p.name, code: p.code ?? "", client: p.client ?? "" }));
+
+    return res.json({ projects: items.map((x) => x.name), items });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Équipes
+ * ---------------------------
+ * Un CP gère (owner) des équipes ; ses routes PM, exports et synthèses sont
+ * restreints aux membres de ces équipes (cf. getPmScope). Appartenance datée :
+ * un user peut changer d'équipe ou appartenir à plusieurs équipes au fil du temps.
+ * Composition (équipes, CP, membres) gérée par les admins uniquement : un CP ne
+ * peut pas élargir lui-même son périmètre.
+ */
+const TeamSchema = z
+  .object({
+    id: z.string().min(1).optional(), // absent = création
+    name: z.string().trim().min(1).max(120),
+    description: z.string().trim().max(2000).default(""),
+    ownerId: z.string().min(1).optional(), // CP de la nouvelle équipe (création uniquement)
+  })
+  .refine((v) => v.id || v.ownerId, { message: "CP de l'équipe requis", path: ["ownerId"] });
+
+const TeamMemberSchema = z
+  .object({
+    teamId: z.string().min(1),
+    userId: z.string().min(1),
+    fromDay: YmdSchema.nullable().default(null),
+    toDay: YmdSchema.nullable().default(null),
+  })
+  .refine((v) => !v.fromDay || !v.toDay || v.toDay >= v.fromDay, {
+    message: "toDay doit être >= fromDay",
+    path: ["toDay"],
+  });
+
+// true si l'équipe existe ; sinon 404 déjà envoyé
+async function requireTeam(res, teamId) {
+  const [team] = await loadTeams(supabaseAdmin, { teamIds: [teamId] });
+  if (team) return true;
+
+  res.status(404).json({ error: "Équipe introuvable" });
+  return false;
+}
+
+async function loadTeamMember(id) {
+  const { data, error } = await supabaseAdmin
+    .from("team_members")
+    .select(TEAM_MEMBER_COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// équipes + owners + membres datés
+async function teamsWithPeople(teams) {
+  const teamIds = teams.map((t) => String(t.id));
+  const [owners, members] = await Promise.all([
+    loadTeamOwners(supabaseAdmin, { teamIds }),
+    loadTeamMembers(supabaseAdmin, { teamIds }),
+  ]);
+
+  return teams.map((t) => ({
+    ...t,
+    owners: owners.filter((o) => String(o.team_id) === String(t.id)).map((o) => o.user_id),
+    members: members.filter((m) => String(m.team_id) === String(t.id)),
+  }));
+}
+
+/**
+ * GET /api/pm/teams
+ * Équipes gérées par le CP (sélecteur du dashboard).
+ */
+app.get("/api/pm/teams", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const scope = await getPmScope(auth.user.id);
+    return res.json({
+      teams: await teamsWithPeople(scope.teams),
+      restricted: scope.restricted,
+      scopeMode: PM_SCOPE,
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/admin/teams
+ * Toutes les équipes (owners + membres datés) et profils pour les sélecteurs.
+ */
+app.get("/api/admin/teams", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const [teams, { data: profiles, error }] = await Promise.all([
+      loadTeams(supabaseAdmin),
+      supabaseAdmin
+        .from("profiles")
+        .select("id, full_name, role, is_active")
+        .order("full_name", { ascending: true }),
+    ]);
+    if (error) throw new Error(error.message);
+
+    return res.json({
+      teams: await teamsWithPeople(teams),
+      profiles: profiles ?? [],
+      scopeMode: PM_SCOPE,
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/admin/teams { id?, name, description, ownerId? }
+ * Création : ownerId (CP) obligatoire, une équipe a toujours au moins un CP.
+ */
+app.post("/api/admin/teams", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const { id, ownerId, ...body } = TeamSchema.parse(req.body);
+    if (!id) {
+      const owner = await getRole(ownerId);
+      if (owner?.role !== "pm") {
+        return res.status(400).json({ error: "Seul un CP peut gérer une équipe." });
+      }
+    }
+
+    // Nom unique (insensible à la casse)
+    const existing = await loadTeams(supabaseAdmin);
+    const clash = existing.find(
+      (t) => String(t.id) !== id && t.name.trim().toLowerCase() === body.name.toLowerCase()
+    );
+    if (clash) {
+      return res.status(409).json({ error: `L'équipe "${clash.name}" existe déjà.` });
+    }
+
+    const q = id
+      ? supabaseAdmin.from("teams").update(body).eq("id", id)
+      : supabaseAdmin.from("teams").insert(body);
+
+    const { data, error } = await q.select(TEAM_COLUMNS).maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!data) return res.status(404).json({ error: "Équipe introuvable" });
+
+    if (!id) {
+      const { error: oErr } = await supabaseAdmin
+        .from("team_owners")
+        .insert({ team_id: data.id, user_id: ownerId });
+      if (oErr) {
+        // pas d'équipe sans CP : la création est annulée
+        const { error: rbErr } = await supabaseAdmin.from("teams").delete().eq("id", data.id);
+        if (rbErr) console.error(`❌ Team rollback failed (${data.name}): ${rbErr.message}`);
+        throw new Error(oErr.message);
+      }
+    }
+
+    return res.json({ ok: true, team: data });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/admin/teams/delete { id }
+ * Supprime l'équipe, ses owners et ses membres (cascade) ; les saisies restent.
+ */
+app.post("/api/admin/teams/delete", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+    if (!(await requireTeam(res, body.id))) return;
+
+    const { error } = await supabaseAdmin.from("teams").delete().eq("id", body.id);
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/admin/teams/owners { teamId, userId, action: "add" | "remove" }
+ * Owners = CP uniquement ; une équipe garde au moins un owner.
+ */
+app.post("/api/admin/teams/owners", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const body = z
+      .object({
+        teamId: z.string().min(1),
+        userId: z.string().min(1),
+        action: z.enum(["add", "remove"]),
+      })
+      .parse(req.body);
+    if (!(await requireTeam(res, body.teamId))) return;
+
+    if (body.action === "add") {
+      const target = await getRole(body.userId);
+      if (target?.role !== "pm") {
+        return res.status(400).json({ error: "Seul un CP peut gérer une équipe." });
+      }
+
+      const { error } = await supabaseAdmin
+        .from("team_owners")
+        .upsert({ team_id: body.teamId, user_id: body.userId }, { onConflict: "team_id,user_id" });
+      if (error) throw new Error(error.message);
+      return res.json({ ok: true });
+    }
+
+    const owners = await loadTeamOwners(supabaseAdmin, { teamIds: [body.teamId] });
+    if (owners.length <= 1 && owners.some((o) => String(o.user_id) === body.userId)) {
+      return res.status(409).json({ error: "Une équipe doit garder au moins un CP." });
+    }
+
+    const { error } = await supabaseAdmin
+      .from("team_owners")
+      .delete()
+      .eq("team_id", body.teamId)
+      .eq("user_id", body.userId);
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/admin/teams/members { teamId, userId, fromDay, toDay }
+ * Ajoute une période d'appartenance (null = sans borne).
+ */
+app.post("/api/admin/teams/members", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const body = TeamMemberSchema.parse(req.body);
+    if (!(await requireTeam(res, body.teamId))) return;
+
+    const current = await loadTeamMembers(supabaseAdmin, {
+      teamIds: [body.teamId],
+      userId: body.userId,
+    });
+    const overlap = current.find(
+      (m) =>
+        (!body.toDay || !m.from_day || m.from_day <= body.toDay) &&
+        (!body.fromDay || !m.to_day || m.to_day >= body.fromDay)
+    );
+    if (overlap) {
+      return res.status(409).json({ error: "Déjà membre de l'équipe sur cette période." });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("team_members")
+      .insert({
+        team_id: body.teamId,
+        user_id: body.userId,
+        from_day: body.fromDay,
+        to_day: body.toDay,
+      })
+      .select(TEAM_MEMBER_COLUMNS)
+      .single();
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true, member: data });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/admin/teams/members/end { id, toDay }
+ * Clôt une appartenance (départ de l'équipe) ; l'historique reste visible.
+ */
+app.post("/api/admin/teams/members/end", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ id: z.string().min(1), toDay: YmdSchema }).parse(req.body);
+
+    const member = await loadTeamMember(body.id);
+    if (!member) return res.status(404).json({ error: "Membre introuvable" });
+
+    if (member.from_day && body.toDay < member.from_day) {
+      return res.status(400).json({ error: "toDay doit être >= fromDay" });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("team_members")
+      .update({ to_day: body.toDay })
+      .eq("id", body.id)
+      .select(TEAM_MEMBER_COLUMNS)
+      .single();
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true, member: data });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/admin/teams/members/delete { id }
+ * Supprime une appartenance saisie par erreur (pour un départ : /members/end).
+ */
+app.post("/api/admin/teams/members/delete", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+
+    const member = await loadTeamMember(body.id);
+    if (!member) return res.status(404).json({ error: "Membre introuvable" });
+
+    const { error } = await supabaseAdmin.from("team_members").delete().eq("id", body.id);
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Projects admin (PM)
+ * ---------------------------
+ * Archivage = is_active=false (les saisies existantes restent lisibles/éditables).
+ * Un renommage réécrit les références par nom (activités, récurrences, règles
+ * Code VSA) : budgets et plan de charge gardent l'historique.
+ */
+const ProjectSchema = z
+  .object({
+    id: z.string().min(1).optional(), // absent = création
+    name: z.string().trim().min(1).max(120),
+    code: z.string().trim().max(40).default(""),
+    client: z.string().trim().max(120).default(""),
+    description: z.string().trim().max(2000).default(""),
+    is_active: z.boolean().default(true),
+    default_impute: z.string().trim().max(120).default(""),
+    valid_from: YmdSchema.nullable().default(null),
+    valid_to: YmdSchema.nullable().default(null),
+  })
+  .refine((v) => !v.valid_from || !v.valid_to || v.valid_to >= v.valid_from, {
+    message: "valid_to doit être >= valid_from",
+    path: ["valid_to"],
+  });
+
+/**
+ * GET /api/pm/projects (tous, y compris archivés)
+ */
+app.get("/api/pm/projects", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const projects = await loadProjects(supabaseForJwt(auth.jwt));
+    return res.json({ projects });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/projects { id?, name, code, client, description, is_active, default_impute, valid_from, valid_to }
+ */
+app.post("/api/pm/projects", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const { id, ...body } = ProjectSchema.parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    // Nom unique (insensible à la casse)
+    const existing = await loadProjects(supabaseUser);
+    const clash = existing.find(
+      (p) => p.id !== id && p.name.trim().toLowerCase() === body.name.toLowerCase()
+    );
+    if (clash) {
+      return res.status(409).json({ error: `Le projet "${clash.name}" existe déjà.` });
+    }
+
+    const q = id
+      ? supabaseUser.from("projects").update(body).eq("id", id)
+      : supabaseUser.from("projects").insert(body);
+
+    const { data, error } = await q.select(PROJECT_COLUMNS).maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!data) return res.status(404).json({ error: "Projet introuvable" });
+
+    const previous = id ? existing.find((p) => p.id === id) : null;
+    if (previous && previous.name !== data.name) {
+      try {
+        await renameProjectReferences(supabaseAdmin, previous.name, data.name);
+      } catch (e) {
+        // références inchangées : le projet reprend son ancien nom
+        const { error: rbErr } = await supabaseUser
+          .from("projects")
+          .update({ name: previous.name })
+          .eq("id", id);
+        if (rbErr) {
+          console.error(`❌ Project rename rollback failed (${previous.name}): ${rbErr.message}`);
+          throw new Error(
+            `${e?.message || e} — annulation incomplète, projet renommé sans ses saisies : ${rbErr.message}`
+          );
+        }
+        throw e;
+      }
+    }
+
+    return res.json({ ok: true, project: data });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/projects/delete { id }
+ * Suppression réservée aux projets jamais utilisés (sinon : archiver)
+ */
+app.post("/api/pm/projects/delete", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const { data: project, error: pErr } = await supabaseUser
+      .from("projects")
+      .select("id, name")
+      .eq("id", body.id)
+      .maybeSingle();
+    if (pErr) throw new Error(pErr.message);
+    if (!project) return res.status(404).json({ error: "Projet introuvable" });
+
+    const { count, error: cErr } = await supabaseAdmin
+      .from("activities")
+      .select("id", { count: "exact", head: true })
+      .eq("projet", project.name);
+    if (cErr) throw new Error(cErr.message);
+
+    if (count) {
+      return res.status(409).json({
+        error: `Projet utilisé par ${count} activité(s) : archivez-le plutôt que de le supprimer.`,
+      });
+    }
+
+    const { error } = await supabaseUser.from("projects").delete().eq("id", body.id);
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Budgets projets + burn-down (PM)
+ * ---------------------------
+ * BUDGET_ALERT_THRESHOLDS="80,100" : seuils (% du budget consommé) par défaut,
+ * surchargeables par projet.
+ */
+const BUDGET_ALERT_THRESHOLDS = parseBudgetThresholds(process.env.BUDGET_ALERT_THRESHOLDS);
+
+const ProjectBudgetSchema = z
+  .object({
+    projectId: z.string().min(1),
+    budgetDays: z.number().positive().max(100000).nullable(), // null = supprimer le budget
+    startDay: YmdSchema.nullable().default(null),
+    thresholds: z.array(z.number().int().min(1).max(1000)).max(10).nullable().default(null),
+    splits: z
+      .array(
+        z.object({
+          dimension: z.enum(["type", "impute"]),
+          value: z.string().trim().min(1).max(120),
+          budgetDays: z.number().positive().max(100000),
+        })
+      )
+      .max(100)
+      .default([]),
+  })
+  .superRefine((v, ctx) => {
+    const seen = new Set();
+    const sums = { type: 0, impute: 0 };
+    for (const s of v.splits) {
+      const key = `${s.dimension}|${s.value.toLowerCase()}`;
+      if (seen.has(key)) {
+        ctx.addIssue({ code: "custom", path: ["splits"], message: `Découpage en double : ${s.value}` });
+      }
+      seen.add(key);
+      sums[s.dimension] += s.budgetDays;
+    }
+    for (const [dimension, sum] of Object.entries(sums)) {
+      const total = Math.round(sum * 100) / 100;
+      if (v.budgetDays !== null && total > v.budgetDays) {
+        const label = dimension === "type" ? "type" : "Code VSA";
+        ctx.addIssue({
+          code: "custom",
+          path: ["splits"],
+          message: `Découpage par ${label} (${total} j) > budget total (${v.budgetDays} j)`,
+        });
+      }
+    }
+  });
+
+/**
+ * GET /api/pm/budgets : budgets par projet + seuils par défaut
+ */
+app.get("/api/pm/budgets", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const budgets = groupProjectBudgets(await loadProjectBudgets(supabaseAdmin));
+
+    return res.json({
+      thresholds: BUDGET_ALERT_THRESHOLDS,
+      budgets: Array.from(budgets.entries()).map(([projectId, b]) => ({ projectId, ...b })),
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/budgets { projectId, budgetDays, startDay, thresholds, splits[] }
+ * Remplace le budget du projet (budgetDays null = suppression).
+ */
+app.post("/api/pm/budgets", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = ProjectBudgetSchema.parse(req.body);
+
+    const { data: project, error: pErr } = await supabaseForJwt(auth.jwt)
+      .from("projects")
+      .select("id, name")
+      .eq("id", body.projectId)
+      .maybeSingle();
+    if (pErr) throw new Error(pErr.message);
+    if (!project) return res.status(404).json({ error: "Projet introuvable" });
+
+    // lignes actuelles, remises en place si la nouvelle saisie est refusée (pas de transaction ;
+    // unique(project_id, dimension, dim_value) impose de supprimer avant d'insérer)
+    const previous = await loadProjectBudgets(supabaseAdmin, { projectIds: [project.id] });
+
+    const { error: dErr } = await supabaseAdmin
+      .from("project_budgets")
+      .delete()
+      .eq("project_id", project.id);
+    if (dErr) throw new Error(dErr.message);
+
+    if (body.budgetDays === null) return res.json({ ok: true, budget: null });
+
+    const meta = { project_id: project.id, updated_by: auth.user.id, updated_at: new Date().toISOString() };
+    const lines = [
+      {
+        ...meta,
+        dimension: "total",
+        dim_value: "",
+        budget_days: body.budgetDays,
+        start_day: body.startDay,
+        alert_thresholds: body.thresholds?.length ? parseBudgetThresholds(body.thresholds) : null,
+      },
+      ...body.splits.map((s) => ({
+        ...meta,
+        dimension: s.dimension,
+        dim_value: s.value,
+        budget_days: s.budgetDays,
+        start_day: null,
+        alert_thresholds: null,
+      })),
+    ];
+
+    const { data, error } = await supabaseAdmin
+      .from("project_budgets")
+      .insert(lines)
+      .select(PROJECT_BUDGET_COLUMNS);
+    if (error) {
+      const { error: rbErr } = previous.length
+        ? await supabaseAdmin.from("project_budgets").insert(previous)
+        : { error: null };
+      if (rbErr) {
+        console.error(`❌ Budget rollback failed (${project.name}): ${rbErr.message}`);
+        throw new Error(
+          `${error.message} — annulation incomplète, budget de ${project.name} supprimé : ${rbErr.message}`
+        );
+      }
+      throw new Error(error.message);
+    }
+
+    const budget = groupProjectBudgets(data).get(String(project.id)) ?? null;
+    return res.json({ ok: true, budget: budget && { projectId: project.id, ...budget } });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/pm/budgets/report?projectId=&paceWeeks=4&includeArchived=0&teamId=
+ * Consommé vs budget (total + découpage), série hebdo, date de fin projetée, alertes.
+ * Consommé limité aux saisies des membres des équipes du CP (ou de teamId).
+ */
+app.get("/api/pm/budgets/report", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const q = z
+      .object({
+        projectId: z.string().min(1).optional(),
+        paceWeeks: z.coerce.number().int().min(1).max(26).default(4),
+        includeArchived: z.enum(["0", "1"]).default("0"),
+        teamId: z.string().min(1).optional(),
+      })
+      .parse(req.query);
+
+    const scope = await getPmScope(auth.user.id, { teamId: q.teamId });
+    if (!scope) return res.status(403).json({ error: "Équipe non gérée" });
+
+    const supabaseUser = supabaseForJwt(auth.jwt);
+    const budgets = groupProjectBudgets(
+      await loadProjectBudgets(supabaseAdmin, q.projectId ? { projectIds: [q.projectId] } : {})
+    );
+
+    const projects = (await loadProjects(supabaseUser)).filter(
+      (p) => budgets.has(String(p.id)) && (q.includeArchived === "1" || p.is_active)
+    );
+
+    const activities = scope.filterRows(
+      await loadProjectActivities(
+        supabaseUser,
+        projects.map((p) => p.name),
+        { userIds: scope.usersIn() }
+      )
+    );
+    const schedulesByUser = await loadWorkSchedules(
+      supabaseAdmin,
+      Array.from(new Set(activities.map((a) => a.user_id)))
+    );
+
+    const byProject = new Map();
+    for (const a of activities) {
+      if (!byProject.has(a.projet)) byProject.set(a.projet, []);
+      byProject.get(a.projet).push(a);
+    }
+
+    const today = todayYmd();
+    const reports = projects.map((project) =>
+      computeProjectBurn({
+        project,
+        budget: budgets.get(String(project.id)),
+        activities: byProject.get(project.name) ?? [],
+        daysOf: (a) => hoursToDays(a.temps_passe_h, dayCapacity(schedulesByUser.get(a.user_id), a.day)),
+        today,
+        thresholds: BUDGET_ALERT_THRESHOLDS,
+        paceWeeks: q.paceWeeks,
+      })
+    );
+
+    return res.json({
+      today,
+      thresholds: BUDGET_ALERT_THRESHOLDS,
+      restricted: scope.restricted,
+      projects: reports,
+      alerts: budgetAlerts(reports),
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Plan de charge vs réalisé (PM)
+ * ---------------------------
+ * Prévu saisi par semaine (user × projet), comparé aux activités saisies.
+ */
+const STAFFING_MAX_WEEKS = 53;
+
+const StaffingRangeSchema = z
+  .object({
+    from: YmdSchema,
+    to: YmdSchema,
+    userId: z.string().min(1).optional(),
+    projectId: z.string().min(1).optional(),
+    teamId: z.string().min(1).optional(),
+  })
+  .refine((v) => v.to >= v.from, { message: "to doit être >= from", path: ["to"] })
+  .refine((v) => staffingWeekCount(v.from, v.to) <= STAFFING_MAX_WEEKS, {
+    message: `Période limitée à ${STAFFING_MAX_WEEKS} semaines`,
+    path: ["to"],
+  });
+
+const StaffingEntrySchema = z.object({
+  userId: z.string().min(1),
+  projectId: z.string().min(1),
+  week: YmdSchema, // ramenée au lundi
+  plannedDays: z.number().min(0).max(7), // 0 = supprimer
+  note: z.string().trim().max(500).default(""),
+});
+
+async function buildStaffingReport(supabaseUser, { from, to, userId, projectId, scope }) {
+  const [projects, allPlan] = await Promise.all([
+    loadProjects(supabaseUser),
+    loadStaffingPlan(supabaseAdmin, { from, to, userId, projectId }),
+  ]);
+  const plan = allPlan.filter((p) => weekInScope(scope, p.user_id, p.week));
+
+  const { data: profiles, error: pErr } = await supabaseUser.from("profiles").select("id, full_name");
+  if (pErr) throw new Error(pErr.message);
+  const nameById = new Map((profiles ?? []).map((p) => [p.id, (p.full_name ?? "").trim() || p.id]));
+
+  const weeks = staffingWeeks(from, to);
+  let actsQ = supabaseUser
+    .from("activities")
+    .select("user_id, day, projet, temps_passe_h")
+    .gte("day", weeks[0])
+    .lte("day", addDays(weeks[weeks.length - 1], 6))
+    .neq("projet", "");
+  if (userId) actsQ = actsQ.eq("user_id", userId);
+  if (projectId) {
+    const project = projects.find((p) => String(p.id) === projectId);
+    if (!project) throw new Error("Projet introuvable");
+    actsQ = actsQ.eq("projet", project.name);
+  }
+
+  const { data: allActivities, error: aErr } = await scopeQuery(actsQ, scope, { from, to });
+  if (aErr) throw new Error(aErr.message);
+  const activities = scope.filterRows(allActivities);
+
+  const schedulesByUser = await loadWorkSchedules(
+    supabaseAdmin,
+    Array.from(new Set((activities ?? []).map((a) => a.user_id)))
+  );
+
+  return compareStaffing({
+    plan,
+    activities,
+    projects,
+    nameOf: (id) => nameById.get(id) ?? id,
+    daysOf: (a) => hoursToDays(a.temps_passe_h, dayCapacity(schedulesByUser.get(a.user_id), a.day)),
+    from,
+    to,
+  });
+}
+
+/**
+ * GET /api/pm/staffing?from=&to=&userId=&projectId= : lignes de plan de la période
+ */
+app.get("/api/pm/staffing", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const q = StaffingRangeSchema.parse(req.query);
+    const scope = await getPmScope(auth.user.id, { teamId: q.teamId });
+    if (!scope) return res.status(403).json({ error: "Équipe non gérée" });
+
+    const plan = (await loadStaffingPlan(supabaseAdmin, q)).filter((p) =>
+      weekInScope(scope, p.user_id, p.week)
+    );
+
+    return res.json({ weeks: staffingWeeks(q.from, q.to), plan });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/staffing { entries: [{ userId, projectId, week, plannedDays, note }] }
+ * Upsert par (user, projet, semaine) ; plannedDays = 0 supprime la ligne.
+ */
+app.post("/api/pm/staffing", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ entries: z.array(StaffingEntrySchema).min(1).max(2000) }).parse(req.body);
+
+    const projectIds = new Set((await loadProjects(supabaseForJwt(auth.jwt))).map((p) => String(p.id)));
+    const unknown = body.entries.filter((e) => !projectIds.has(e.projectId));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Projet inconnu : ${unknown[0].projectId}` });
+    }
+
+    // dernière valeur gagnante si la même cellule est envoyée deux fois
+    const byCell = new Map();
+    for (const e of body.entries) {
+      const week = startOfWeek(e.week);
+      byCell.set(`${e.userId}|${e.projectId}|${week}`, { ...e, week });
+    }
+    const entries = Array.from(byCell.values());
+
+    const scope = await getPmScope(auth.user.id);
+    const outside = entries.find((e) => !weekInScope(scope, e.userId, e.week));
+    if (outside) {
+      return res.status(403).json({
+        error: "Hors du périmètre de vos équipes.",
+        code: "OUT_OF_SCOPE",
+        userId: outside.userId,
+        week: outside.week,
+      });
+    }
+
+    const now = new Date().toISOString();
+    const upserts = entries
+      .filter((e) => e.plannedDays > 0)
+      .map((e) => ({
+        user_id: e.userId,
+        project_id: e.projectId,
+        week: e.week,
+        planned_days: e.plannedDays,
+        note: e.note,
+        updated_by: auth.user.id,
+        updated_at: now,
+      }));
+
+    if (upserts.length) {
+      const { error } = await supabaseAdmin
+        .from("staffing_plan")
+        .upsert(upserts, { onConflict: "user_id,project_id,week" });
+      if (error) throw new Error(error.message);
+    }
+
+    const removals = entries.filter((e) => e.plannedDays === 0);
+    for (const e of removals) {
+      const { error } = await supabaseAdmin
+        .from("staffing_plan")
+        .delete()
+        .eq("user_id", e.userId)
+        .eq("project_id", e.projectId)
+        .eq("week", e.week);
+      if (error) throw new Error(error.message);
+    }
+
+    return res.json({ ok: true, saved: upserts.length, deleted: removals.length });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+app.post("/api/pm/staffing/delete", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+
+    const { data: line, error: lErr } = await supabaseAdmin
+      .from("staffing_plan")
+      .select("id, user_id, week")
+      .eq("id", body.id)
+      .maybeSingle();
+    if (lErr) throw new Error(lErr.message);
+    if (!line) return res.status(404).json({ error: "Ligne introuvable" });
+    if (!weekInScope(await getPmScope(auth.user.id), line.user_id, line.week)) {
+      return res.status(403).json({ error: "Hors du périmètre de vos équipes.", code: "OUT_OF_SCOPE" });
+    }
+
+    const { error } = await supabaseAdmin.from("staffing_plan").delete().eq("id", body.id);
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/pm/staffing/report?from=&to=&userId=&projectId=
+ * Prévu vs réalisé par semaine (user × projet), par personne, par projet, avec écarts.
+ */
+app.get("/api/pm/staffing/report", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const q = StaffingRangeSchema.parse(req.query);
+    const scope = await getPmScope(auth.user.id, { teamId: q.teamId });
+    if (!scope) return res.status(403).json({ error: "Équipe non gérée" });
+
+    const report = await buildStaffingReport(supabaseForJwt(auth.jwt), { ...q, scope });
+
+    return res.json({ from: q.from, to: q.to, ...report });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+app.get("/api/pm/staffing/report-xlsx", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const q = StaffingRangeSchema.parse(req.query);
+    const scope = await getPmScope(auth.user.id, { teamId: q.teamId });
+    if (!scope) return res.status(403).json({ error: "Équipe non gérée" });
+
+    const report = await buildStaffingReport(supabaseForJwt(auth.jwt), { ...q, scope });
+
+    // --- Excel
+    const wb = new ExcelJS.Workbook();
+    const varianceFont = (v) =>
+      v > 0 ? { color: { argb: "FFDC2626" } } : v < 0 ? { color: { argb: "FF2563EB" } } : {};
+
+    // Grille : une paire prévu / réalisé par semaine
+    const grid = wb.addWorksheet("Grille");
+    grid.columns = [
+      { header: "Nom", key: "name", width: 22 },
+      { header: "Projet", key: "project", width: 22 },
+      ...report.weeks.flatMap((w) => [
+        { header: `${w} prévu`, key: `p_${w}`, width: 10 },
+        { header: `${w} réel`, key: `a_${w}`, width: 10 },
+      ]),
+      { header: "Prévu (j)", key: "plannedDays", width: 10 },
+      { header: "Réalisé (j)", key: "actualDays", width: 11 },
+      { header: "Écart (j)", key: "varianceDays", width: 10 },
+    ];
+    grid.getRow(1).font = { bold: true };
+    grid.views = [{ state: "frozen", xSplit: 2, ySplit: 1 }];
+
+    for (const r of report.rows) {
+      const values = { name: r.name, project: r.project };
+      for (const c of r.cells) {
+        values[`p_${c.week}`] = c.plannedDays || null;
+        values[`a_${c.week}`] = c.actualDays || null;
+      }
+      const row = grid.addRow({
+        ...values,
+        plannedDays: r.plannedDays,
+        actualDays: r.actualDays,
+        varianceDays: r.varianceDays,
+      });
+      row.getCell("varianceDays").font = varianceFont(r.varianceDays);
+      for (const c of r.cells) {
+        if (c.varianceDays) row.getCell(`a_${c.week}`).font = varianceFont(c.varianceDays);
+      }
+    }
+
+    const summarySheet = (title, keyCol, rows) => {
+      const ws = wb.addWorksheet(title);
+      ws.columns = [
+        keyCol,
+        { header: "Prévu (j)", key: "plannedDays", width: 10 },
+        { header: "Réalisé (j)", key: "actualDays", width: 11 },
+        { header: "Écart (j)", key: "varianceDays", width: 10 },
+        { header: "Écart (%)", key: "variancePct", width: 10 },
+      ];
+      ws.getRow(1).font = { bold: true };
+      for (const r of rows) {
+        const row = ws.addRow(r);
+        row.getCell("varianceDays").font = varianceFont(r.varianceDays);
+      }
+      ws.addRow({ [keyCol.key]: "Total", ...report.totals }).font = { bold: true };
+    };
+
+    summarySheet("Par personne", { header: "Nom", key: "name", width: 22 }, report.byUser);
+    summarySheet("Par projet", { header: "Projet", key: "project", width: 22 }, report.byProject);
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="plan_de_charge_${q.from}_to_${q.to}.xlsx"`
+    );
+
+    await wb.xlsx.write(res);
+    return res.end();
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Impute rules (Code VSA automatique, PM)
+ * ---------------------------
+ * Appliquées à la sauvegarde (lignes sans Code VSA) et en lot via preview/apply.
+ * Dès que des équipes existent, un CP ne gère que les règles ciblant un membre de ses
+ * équipes ; les règles communes (sans dev) et l'ordre d'évaluation, qui s'appliquent à
+ * tout le monde, sont réservés aux admins.
+ */
+const ImputeRuleSchema = z
+  .object({
+    id: z.string().min(1).optional(), // absent = création (en fin de liste)
+    name: z.string().trim().max(120).default(""),
+    projet: z.string().trim().max(120).default(""),
+    type: z.union([z.enum(ActivityType), z.literal("")]).default(""),
+    ticket_pattern: z.string().trim().max(200).default(""),
+    user_id: z.string().min(1).nullable().default(null),
+    from_day: YmdSchema.nullable().default(null),
+    to_day: YmdSchema.nullable().default(null),
+    impute: z.string().trim().min(1).max(120),
+    is_active: z.boolean().default(true),
+  })
+  .refine((v) => !v.from_day || !v.to_day || v.to_day >= v.from_day, {
+    message: "to_day doit être >= from_day",
+    path: ["to_day"],
+  })
+  .superRefine((v, ctx) => {
+    const err = ticketPatternError(v.ticket_pattern);
+    if (err) ctx.addIssue({ code: "custom", path: ["ticket_pattern"], message: `Regex invalide : ${err}` });
+  });
+
+const ImputeRunSchema = z
+  .object({
+    from: YmdSchema,
+    to: YmdSchema,
+    userId: z.string().min(1).nullable().optional(), // absent = tous les devs
+    overwrite: z.boolean().default(false), // remplace aussi les codes déjà saisis
+    ids: z.array(z.string().min(1)).optional(), // apply : sous-ensemble de la preview
+  })
+  .refine((v) => v.to >= v.from, { message: "to doit être >= from", path: ["to"] });
+
+/**
+ * Dry-run : lignes dont le Code VSA changerait en appliquant les règles
+ */
+async function previewImputeRules(supabaseClient, { from, to, userId, overwrite }) {
+  const rules = compileImputeRules(await loadImputeRules(supabaseClient, { activeOnly: true }));
+
+  let q = supabaseClient
+    .from("activities")
+    .select("id, user_id, day, id_ticket, sujet, projet, temps_passe_h, type, impute")
+    .gte("day", from)
+    .lte("day", to)
+    .order("day", { ascending: true })
+    .order("id", { ascending: true });
+  if (userId) q = q.eq("user_id", userId);
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+
+  const locks = await loadPeriodLocks(supabaseAdmin, { from, to });
+
+  const out = [];
+  for (const r of data ?? []) {
+    const rule = matchImputeRule(rules, r);
+    if (!rule) continue;
+
+    const current = String(r.impute ?? "").trim();
+    if (current === rule.impute) continue;
+    if (current && !overwrite) continue;
+
+    out.push({
+      row: r,
+      current,
+      suggested: rule.impute,
+      ruleId: rule.id,
+      ruleName: rule.name ?? "",
+      locked: !!findLock(locks, r.user_id, r.day),
+    });
+  }
+  return out;
+}
+
+function imputeRuleEditable(rule, scope, prof) {
+  return !scope.restricted || !!prof.is_admin || (!!rule.user_id && scope.covers(rule.user_id));
+}
+
+// true si la règle sort du périmètre du CP ; 403 déjà envoyé
+function rejectImputeRule(res, rule, scope, prof) {
+  if (imputeRuleEditable(rule, scope, prof)) return false;
+
+  res.status(403).json({
+    error: rule.user_id
+      ? "Règle hors du périmètre de vos équipes."
+      : "Règle commune à tous les devs : réservée aux admins.",
+    code: "OUT_OF_SCOPE",
+  });
+  return true;
+}
+
+/**
+ * GET /api/pm/impute-rules
+ * Règles communes + règles des membres des équipes du CP ; editable / canReorder
+ * indiquent ce que le CP peut modifier.
+ */
+app.get("/api/pm/impute-rules", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const scope = await getPmScope(auth.user.id);
+    const rules = (await loadImputeRules(supabaseForJwt(auth.jwt)))
+      .filter((r) => !r.user_id || prof.is_admin || scope.covers(r.user_id))
+      .map((r) => ({ ...r, editable: imputeRuleEditable(r, scope, prof) }));
+
+    return res.json({ rules, canReorder: !scope.restricted || !!prof.is_admin });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/impute-rules { id?, name, projet, type, ticket_pattern, user_id, from_day, to_day, impute, is_active }
+ */
+app.post("/api/pm/impute-rules", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const { id, ...body } = ImputeRuleSchema.parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+    const scope = await getPmScope(user.id);
+    if (rejectImputeRule(res, body, scope, prof)) return;
+
+    const existing = await loadImputeRules(supabaseUser);
+    let q;
+    if (id) {
+      const rule = existing.find((r) => String(r.id) === id);
+      if (!rule) return res.status(404).json({ error: "Règle introuvable" });
+      if (rejectImputeRule(res, rule, scope, prof)) return;
+
+      q = supabaseUser.from("impute_rules").update(body).eq("id", id);
+    } else {
+      const position = existing.reduce((m, r) => Math.max(m, Number(r.position ?? 0)), 0) + 1;
+      q = supabaseUser.from("impute_rules").insert({ ...body, position });
+    }
+
+    const { data, error } = await q.select(IMPUTE_RULE_COLUMNS).maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!data) return res.status(404).json({ error: "Règle introuvable" });
+
+    return res.json({ ok: true, rule: data });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/impute-rules/reorder { ids: [...] } (ordre d'évaluation)
+ */
+app.post("/api/pm/impute-rules/reorder", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ ids: z.array(z.string().min(1)).min(1) }).parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    // l'ordre est commun à toutes les règles
+    const scope = await getPmScope(user.id);
+    if (scope.restricted && !prof.is_admin) {
+      return res.status(403).json({ error: "Ordre des règles : réservé aux admins.", code: "OUT_OF_SCOPE" });
+    }
+
+    for (const [i, id] of body.ids.entries()) {
+      const { error } = await supabaseUser
+        .from("impute_rules")
+        .update({ position: i + 1 })
+        .eq("id", id);
+      if (error) throw new Error(error.message);
+    }
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/impute-rules/delete { id }
+ */
+app.post("/api/pm/impute-rules/delete", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const rule = (await loadImputeRules(supabaseUser)).find((r) => String(r.id) === body.id);
+    if (!rule) return res.status(404).json({ error: "Règle introuvable" });
+    if (rejectImputeRule(res, rule, await getPmScope(user.id), prof)) return;
+
+    const { error } = await supabaseUser.from("impute_rules").delete().eq("id", body.id);
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/impute-rules/preview { from, to, userId?, overwrite }
+ * Dry-run : rien n'est écrit
+ */
+app.post("/api/pm/impute-rules/preview", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = ImputeRunSchema.parse(req.body);
+    const scope = await getPmScope(auth.user.id);
+    const changes = (await previewImputeRules(supabaseForJwt(auth.jwt), body)).filter((c) =>
+      scope.covers(c.row.user_id, c.row.day)
+    );
+
+    return res.json({
+      from: body.from,
+      to: body.to,
+      changes: changes.map((c) => ({
+        id: c.row.id,
+        user_id: c.row.user_id,
+        day: c.row.day,
+        id_ticket: c.row.id_ticket ?? "",
+        sujet: c.row.sujet ?? "",
+        projet: c.row.projet ?? "",
+        type: c.row.type ?? "",
+        current: c.current,
+        suggested: c.suggested,
+        ruleId: c.ruleId,
+        ruleName: c.ruleName,
+        locked: c.locked,
+      })),
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/impute-rules/apply { from, to, userId?, overwrite, ids? }
+ * Recalcule la preview côté serveur puis écrit (périodes clôturées ignorées)
+ */
+app.post("/api/pm/impute-rules/apply", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = ImputeRunSchema.parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const wanted = body.ids ? new Set(body.ids.map(String)) : null;
+    const scope = await getPmScope(user.id);
+    const changes = (await previewImputeRules(supabaseUser, body)).filter(
+      (c) => (!wanted || wanted.has(String(c.row.id))) && scope.covers(c.row.user_id, c.row.day)
+    );
+
+    let updated = 0;
+    let skippedLocked = 0;
+    const audit = [];
+
+    try {
+      for (const c of changes) {
+        if (c.locked) {
+          skippedLocked += 1;
+          continue;
+        }
+
+        const { error } = await supabaseUser
+          .from("activities")
+          .update({ impute: c.suggested })
+          .eq("id", c.row.id);
+        if (error) throw new Error(error.message);
+        updated += 1;
+
+        audit.push({
+          action: "update",
+          activityId: c.row.id,
+          userId: c.row.user_id,
+          day: c.row.day,
+          before: c.row,
+          after: { ...c.row, impute: c.suggested },
+        });
+      }
+    } catch (e) {
+      await undoActivityChangesAndThrow(supabaseAdmin, audit, e);
+    }
+
+    await recordActivityAuditOrUndo(supabaseAdmin, audit, {
+      actorId: user.id,
+      reason: "Règles Code VSA",
+    });
+    emitVsaWebhook(audit, { actorId: user.id, source: "impute-rules" });
+
+    return res.json({ ok: true, updated, skippedLocked });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/work-items/:id
+ * Détail du work item ADO (titre, état, type, area path) + type d'activité suggéré
+ */
+app.get("/api/work-items/:id", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const id = normalizeTicketId(req.params.id);
+    if (!id) return res.status(400).json({ error: "id_ticket invalide (numérique attendu)" });
+
+    if (!workItems.enabled) {
+      return res.json({ enabled: false, workItem: null, url: adoWorkItemUrl(id) });
+    }
+
+    let workItem;
+    try {
+      workItem = await workItems.lookup(id);
+    } catch (e) {
+      return res.status(502).json({ error: `ADO indisponible : ${e?.message || e}` });
+    }
+    if (!workItem) return res.status(404).json({ error: `Ticket ADO ${id} introuvable` });
+
+    return res.json({ enabled: true, workItem, url: adoWorkItemUrl(id) });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Activités récurrentes
+ * ---------------------------
+ * Générées dans la journée à son chargement (GET /api/activities/day) et après
+ * chaque sauvegarde, uniquement sur les jours ouvrés dus par le contrat, hors
+ * période clôturée / semaine validée, et dans la limite du plafond du jour.
+ */
+const RECURRING_REASON = "Activité récurrente";
+
+const RecurringSchema = z
+  .object({
+    id: z.string().min(1).optional(),
+    sujet: z.string().trim().min(1),
+    projet: z.string().default(""),
+    id_ticket: z.string().default(""),
+    type: RowInputSchema.shape.type,
+    temps_passe_h: z.coerce.number().positive().max(24),
+    rule: z.enum(RECURRING_RULES).default("weekdays"),
+    weekdays: z.array(z.enum(WEEKDAY_KEYS)).default([]),
+    interval_weeks: z.coerce.number().int().min(1).max(52).default(1),
+    from_day: YmdSchema,
+    to_day: YmdSchema.nullable().optional(),
+    is_active: z.boolean().default(true),
+  })
+  .refine((r) => r.rule !== "weekly" || r.weekdays.length > 0, {
+    message: "Choisis au moins un jour de la semaine",
+  })
+  .refine((r) => !r.to_day || r.to_day >= r.from_day, {
+    message: "La date de fin doit être après la date de début",
+  });
+
+const RecurringOccurrenceSchema = z.object({
+  id: z.string().min(1), // recurring_activities.id
+  day: YmdSchema,
+});
+
+/**
+ * Insère les occurrences dues ce jour (non traitées) tant que le plafond le permet.
+ * L'occurrence est réservée avant l'insert (unique recurring_id + day) : deux chargements
+ * simultanés ne dupliquent pas la ligne. Retourne le nombre de lignes générées.
+ */
+async function materializeRecurringDay(supabaseClient, { userId, day, schedules }) {
+  if (dayKind(day, { closures: COMPANY_CLOSURE_DAYS }).kind !== "working") return 0;
+  if (expectedHours(schedules, day) <= 0) return 0;
+
+  const recs = await loadRecurring(supabaseClient, userId, { activeOnly: true });
+  if (!recs.length) return 0;
+
+  const occurrences = await loadOccurrences(supabaseClient, userId, day);
+  const due = pendingRecurring(recs, occurrences, day);
+  if (!due.length) return 0;
+
+  if (await findLockedTarget(supabaseAdmin, [{ userId, day }])) return 0;
+  if (await isWeekApproved(supabaseClient, userId, day)) return 0;
+
+  const { data: existing, error: exErr } = await supabaseClient
+    .from("activities")
+    .select("temps_passe_h")
+    .eq("user_id", userId)
+    .eq("day", day);
+  if (exErr) throw new Error(exErr.message);
+
+  let remaining = dayCapacity(schedules, day) - sumHours(existing ?? []);
+  const projects = await loadProjects(supabaseClient);
+  const suggestImpute = await buildImputeSuggester(projects);
+  const inserted = [];
+  const occIds = [];
+  // occurrences retirées aussi : la génération sera retentée
+  const undoGenerated = async () => {
+    if (inserted.length) {
+      const { error } = await supabaseAdmin.from("activities").delete().in("id", inserted.map((r) => r.id));
+      if (error) throw new Error(error.message);
+    }
+    if (occIds.length) {
+      const { error } = await supabaseAdmin.from("recurring_occurrences").delete().in("id", occIds);
+      if (error) throw new Error(error.message);
+    }
+  };
+
+  try {
+    for (const rec of due) {
+      const hours = Number(rec.temps_passe_h || 0);
+      // ne rentre pas : retentée au prochain chargement
+      if (hours > remaining + 1e-9) continue;
+
+      const { data: occ, error: occErr } = await supabaseClient
+        .from("recurring_occurrences")
+        .insert({ recurring_id: rec.id, user_id: userId, day, status: "done" })
+        .select("id")
+        .single();
+      // 23505 : déjà générée par un autre appel
+      if (occErr) {
+        if (occErr.code === "23505") continue;
+        throw new Error(occErr.message);
+      }
+      occIds.push(occ.id);
+
+      const { rows: resolved, unknown } = resolveRowProjects(
+        projects,
+        [{ projet: rec.projet ?? "" }],
+        { day }
+      );
+      const row = {
+        user_id: userId,
+        day,
+        id_ticket: rec.id_ticket ?? "",
+        sujet: rec.sujet ?? "",
+        projet: unknown.length ? "" : resolved[0].projet,
+        temps_passe_h: hours,
+        type: rec.type ?? "Autre",
+      };
+      const impute = suggestImpute(row);
+
+      const { data: act, error: actErr } = await supabaseClient
+        .from("activities")
+        .insert({ ...row, ...(impute ? { impute } : {}) })
+        .select()
+        .single();
+      if (actErr) throw new Error(actErr.message);
+      inserted.push(act);
+
+      const { error: linkErr } = await supabaseClient
+        .from("recurring_occurrences")
+        .update({ activity_id: act.id })
+        .eq("id", occ.id);
+      if (linkErr) throw new Error(linkErr.message);
+
+      remaining -= hours;
+    }
+  } catch (e) {
+    // rien ne reste hors historique : lignes et occurrences déjà créées retirées
+    try {
+      await undoGenerated();
+    } catch (undoErr) {
+      console.error(`❌ Recurring rollback failed (${userId} ${day}): ${undoErr?.message || undoErr}`);
+      throw new Error(
+        `${e?.message || e} — annulation incomplète, journée du ${day} possiblement incohérente : ${undoErr?.message || undoErr}`
+      );
+    }
+    throw e;
+  }
+
+  if (inserted.length) {
+    await recordActivityAuditOrUndo(
+      supabaseAdmin,
+      inserted.map((r) => ({ action: "insert", activityId: r.id, userId, day, after: r })),
+      { actorId: userId, reason: RECURRING_REASON, undo: undoGenerated }
+    );
+  }
+  return inserted.length;
+}
+
+// La génération ne doit jamais empêcher de charger / sauvegarder la journée
+async function materializeRecurringDaySafe(supabaseClient, opts) {
+  try {
+    return await materializeRecurringDay(supabaseClient, opts);
+  } catch (e) {
+    console.warn(`⚠️ Recurring activities not generated (${opts.day}): ${e?.message || e}`);
+    return 0;
+  }
+}
+
+/**
+ * GET /api/recurring
+ * Récurrences du user connecté
+ */
+app.get("/api/recurring", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const items = await loadRecurring(supabaseForJwt(auth.jwt), auth.user.id);
+    return res.json({ items: items.map((r) => ({ ...r, label: describeRecurring(r) })) });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/recurring
+ * Crée (ou met à jour si id) une récurrence. Ne touche pas aux jours déjà générés.
+ */
+app.post("/api/recurring", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const body = RecurringSchema.parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const projects = await loadProjects(supabaseUser);
+    const { rows: resolved, unknown } = resolveRowProjects(projects, [{ projet: body.projet }], {
+      day: body.from_day,
+    });
+    if (unknown.length) {
+      return res.status(400).json({
+        error: `Projet inconnu ou inactif : ${unknown.join(", ")}`,
+        code: "UNKNOWN_PROJECT",
+        projects: unknown,
+      });
+    }
+
+    const payload = {
+      user_id: user.id,
+      sujet: body.sujet,
+      projet: resolved[0].projet,
+      id_ticket: body.id_ticket.trim(),
+      type: body.type,
+      temps_passe_h: body.temps_passe_h,
+      rule: body.rule,
+      weekdays: body.rule === "weekly" ? body.weekdays : [],
+      interval_weeks: body.interval_weeks,
+      from_day: body.from_day,
+      to_day: body.to_day ?? null,
+      is_active: body.is_active,
+    };
+
+    const q = body.id
+      ? supabaseUser
+          .from("recurring_activities")
+          .update(payload)
+          .eq("id", body.id)
+          .eq("user_id", user.id)
+      : supabaseUser.from("recurring_activities").insert(payload);
+
+    const { data, error } = await q.select(RECURRING_COLUMNS).single();
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true, item: { ...data, label: describeRecurring(data) } });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/recurring/delete { id }
+ * Les lignes déjà générées restent (ce sont des saisies comme les autres).
+ */
+app.post("/api/recurring/delete", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+    const supabaseUser = supabaseForJwt(auth.jwt);
+
+    const { error } = await supabaseUser
+      .from("recurring_activities")
+      .delete()
+      .eq("id", body.id)
+      .eq("user_id", auth.user.id);
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/recurring/skip { id, day }
+ * Ignore une occurrence : la ligne générée ce jour est supprimée et ne sera plus recréée.
+ */
+app.post("/api/recurring/skip", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const body = RecurringOccurrenceSchema.parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    if (await rejectIfPeriodLocked(res, [{ userId: user.id, day: body.day }])) return;
+
+    if (await isWeekApproved(supabaseUser, user.id, body.day)) {
+      return res.status(409).json({ error: WEEK_APPROVED_MESSAGE, code: "WEEK_APPROVED" });
+    }
+
+    const recs = await loadRecurring(supabaseUser, user.id);
+    if (!recs.some((r) => String(r.id) === body.id)) {
+      return res.status(404).json({ error: "Récurrence introuvable" });
+    }
+
+    const occ = (await loadOccurrences(supabaseUser, user.id, body.day)).find(
+      (o) => String(o.recurring_id) === body.id
+    );
+
+    let deleted = null;
+    if (occ?.activity_id) {
+      const { data, error } = await supabaseUser
+        .from("activities")
+        .delete()
+        .eq("id", occ.activity_id)
+        .eq("user_id", user.id)
+        .select();
+      if (error) throw new Error(error.message);
+      deleted = data?.[0] ?? null;
+    }
+
+    // audit avant de marquer l'occurrence : en cas d'échec, la ligne est ré-insérée telle quelle
+    if (deleted) {
+      await recordActivityAuditOrUndo(
+        supabaseAdmin,
+        [{ action: "delete", activityId: deleted.id, userId: user.id, day: body.day, before: deleted }],
+        { actorId: user.id, reason: `${RECURRING_REASON} ignorée` }
+      );
+    }
+
+    const { error: occErr } = occ
+      ? await supabaseUser
+          .from("recurring_occurrences")
+          .update({ status: "skipped", activity_id: null })
+          .eq("id", occ.id)
+      : await supabaseUser
+          .from("recurring_occurrences")
+          .insert({ recurring_id: body.id, user_id: user.id, day: body.day, status: "skipped" });
+    if (occErr) throw new Error(occErr.message);
+
+    return res.json({ ok: true, deleted: deleted ? 1 : 0 });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/recurring/unskip { id, day }
+ * Rétablit une occurrence ignorée (regénérée si le plafond le permet)
+ */
+app.post("/api/recurring/unskip", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const body = RecurringOccurrenceSchema.parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    if (await rejectIfPeriodLocked(res, [{ userId: user.id, day: body.day }])) return;
+
+    if (await isWeekApproved(supabaseUser, user.id, body.day)) {
+      return res.status(409).json({ error: WEEK_APPROVED_MESSAGE, code: "WEEK_APPROVED" });
+    }
+
+    const { error } = await supabaseUser
+      .from("recurring_occurrences")
+      .delete()
+      .eq("recurring_id", body.id)
+      .eq("user_id", user.id)
+      .eq("day", body.day)
+      .eq("status", "skipped");
+    if (error) throw new Error(error.message);
+
+    const generated = await materializeRecurringDay(supabaseUser, {
+      userId: user.id,
+      day: body.day,
+      schedules: await getUserSchedules(user.id),
+    });
+
+    return res.json({ ok: true, generated });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Modèles de journée & copie jour / semaine
+ * ---------------------------
+ * mode "replace" : la journée cible devient exactement les lignes copiées ;
+ * mode "merge"   : les lignes sont ajoutées à l'existant.
+ * Jours cibles ignorés (avec raison) : week-end / férié / fermeture, non travaillé
+ * au contrat, période clôturée, semaine validée, plafond du jour dépassé.
+ * Une source vide ne vide jamais la cible.
+ */
+const TemplateRowSchema = RowInputSchema.omit({ impute: true });
+
+const DayTemplateSchema = z.object({
+  id: z.string().min(1).optional(),
+  name: z.string().trim().min(1).max(80),
+  rows: z.array(TemplateRowSchema).min(1),
+});
+
+const CopyModeSchema = z.enum(COPY_MODES).default("merge");
+
+async function writeRowsToDays(supabaseClient, { userId, targets, mode, reason }) {
+  const list = (targets ?? []).filter((t) => t?.day).sort((a, b) => a.day.localeCompare(b.day));
+  if (!list.length) return [];
+
+  const schedules = await getUserSchedules(userId);
+  const locks = await loadPeriodLocks(supabaseAdmin, {
+    from: list[0].day,
+    to: list[list.length - 1].day,
+  });
+  const projects = await loadProjects(supabaseClient);
+  const suggestImpute = await buildImputeSuggester(projects);
+
+  const results = [];
+  for (const { day, rows } of list) {
+    const skip = (why) => results.push({ day, status: "skipped", reason: why });
+
+    const { kind, label } = dayKind(day, { closures: COMPANY_CLOSURE_DAYS });
+    if (kind !== "working") {
+      skip(label);
+      continue;
+    }
+    if (expectedHours(schedules, day) === 0) {
+      skip("Non travaillé (contrat)");
+      continue;
+    }
+
+    const lock = findLock(locks, userId, day);
+    if (lock) {
+      skip(periodLockedMessage(lock, day));
+      continue;
+    }
+    if (await isWeekApproved(supabaseClient, userId, day)) {
+      skip(WEEK_APPROVED_MESSAGE);
+      continue;
+    }
+    if (!rows?.length) {
+      skip("Aucune ligne à copier");
+      continue;
+    }
+
+    const { data: existing, error } = await supabaseClient
+      .from("activities")
+      .select("id, id_ticket, sujet, projet, temps_passe_h, type")
+      .eq("user_id", userId)
+      .eq("day", day);
+    if (error) throw new Error(error.message);
+
+    // projet archivé / hors validité à la date cible -> non défini
+    const resolved = resolveRowProjects(projects, templateRows(rows), {
+      day,
+      allowed: (existing ?? []).map((r) => r.projet).filter(Boolean),
+    });
+    const unknown = new Set(resolved.unknown);
+    const added = resolved.rows.map((r) => (unknown.has(r.projet) ? { ...r, projet: "" } : r));
+
+    const kept = mode === "merge" ? (existing ?? []) : [];
+    const maxHours = dayCapacity(schedules, day);
+    const total = sumHours(kept) + sumHours(added);
+    if (total > maxHours + 1e-9) {
+      skip(`Total journée > ${maxHours}h (${roundHours(total)}h)`);
+      continue;
+    }
+
+    const result = await replaceDayRows(supabaseClient, {
+      userId,
+      day,
+      rows: [...kept, ...added],
+      suggestImpute,
+      actorId: userId,
+      reason,
+    });
+    results.push({ day, status: "written", reason: "", ...result });
+    emitDayWebhook("day.saved", { userId, day, actorId: userId, source: reason, result });
+  }
+  return results;
+}
+
+function copySummary(days) {
+  return {
+    written: days.filter((d) => d.status === "written").length,
+    skipped: days.filter((d) => d.status === "skipped").length,
+  };
+}
+
+async function loadUserRows(supabaseClient, userId, { from, to }) {
+  const { data, error } = await supabaseClient
+    .from("activities")
+    .select("day, id_ticket, sujet, projet, temps_passe_h, type")
+    .eq("user_id", userId)
+    .gte("day", from)
+    .lte("day", to)
+    .order("id", { ascending: true });
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+/**
+ * GET /api/templates
+ */
+app.get("/api/templates", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const templates = await loadDayTemplates(supabaseForJwt(auth.jwt), auth.user.id);
+    return res.json({ templates });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/templates { id?, name, rows }
+ * Crée (ou met à jour si id) un modèle de journée
+ */
+app.post("/api/templates", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const body = DayTemplateSchema.parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const payload = {
+      user_id: user.id,
+      name: body.name,
+      rows: templateRows(body.rows),
+      updated_at: new Date().toISOString(),
+    };
+
+    const q = body.id
+      ? supabaseUser.from("day_templates").update(payload).eq("id", body.id).eq("user_id", user.id)
+      : supabaseUser.from("day_templates").insert(payload);
+
+    const { data, error } = await q.select(DAY_TEMPLATE_COLUMNS).single();
+    if (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({ error: `Un modèle "${body.name}" existe déjà` });
+      }
+      throw new Error(error.message);
+    }
+
+    return res.json({ ok: true, template: data });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/templates/delete { id }
+ */
+app.post("/api/templates/delete", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+
+    const { error } = await supabaseForJwt(auth.jwt)
+      .from("day_templates")
+      .delete()
+      .eq("id", body.id)
+      .eq("user_id", auth.user.id);
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/templates/apply { id, days: [YYYY-MM-DD], mode }
+ */
+app.post("/api/templates/apply", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const body = z
+      .object({
+        id: z.string().min(1),
+        days: z.array(YmdSchema).min(1).max(31),
+        mode: CopyModeSchema,
+      })
+      .parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const template = (await loadDayTemplates(supabaseUser, user.id)).find(
+      (t) => String(t.id) === body.id
+    );
+    if (!template) return res.status(404).json({ error: "Modèle introuvable" });
+
+    const days = await writeRowsToDays(supabaseUser, {
+      userId: user.id,
+      targets: Array.from(new Set(body.days)).map((day) => ({ day, rows: template.rows ?? [] })),
+      mode: body.mode,
+      reason: `Modèle "${template.name}"`,
+    });
+
+    return res.json({ ok: true, ...copySummary(days), days });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/activities/copy-day { from, to, mode }
+ */
+app.post("/api/activities/copy-day", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const body = z
+      .object({ from: YmdSchema, to: YmdSchema, mode: CopyModeSchema })
+      .parse(req.body);
+    if (body.from === body.to) {
+      return res.status(400).json({ error: "Jour source et jour cible identiques" });
+    }
+
+    const supabaseUser = supabaseForJwt(jwt);
+    const rows = await loadUserRows(supabaseUser, user.id, { from: body.from, to: body.from });
+
+    const days = await writeRowsToDays(supabaseUser, {
+      userId: user.id,
+      targets: [{ day: body.to, rows }],
+      mode: body.mode,
+      reason: `Copie du ${body.from}`,
+    });
+
+    return res.json({ ok: true, ...copySummary(days), days });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/activities/copy-week { from, to, mode }
+ * from / to : un jour quelconque des semaines source et cible (lundi -> lundi, etc.)
+ */
+app.post("/api/activities/copy-week", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const body = z
+      .object({ from: YmdSchema, to: YmdSchema, mode: CopyModeSchema })
+      .parse(req.body);
+
+    const source = weekBounds(body.from);
+    const target = weekBounds(body.to);
+    if (source.weekStart === target.weekStart) {
+      return res.status(400).json({ error: "Semaine source et semaine cible identiques" });
+    }
+
+    const supabaseUser = supabaseForJwt(jwt);
+    const rows = await loadUserRows(supabaseUser, user.id, {
+      from: source.weekStart,
+      to: source.weekEnd,
+    });
+
+    const days = await writeRowsToDays(supabaseUser, {
+      userId: user.id,
+      targets: eachDay(target.weekStart, target.weekEnd).map((day, i) => {
+        const from = addDays(source.weekStart, i);
+        return { day, rows: rows.filter((r) => r.day === from) };
+      }),
+      mode: body.mode,
+      reason: `Copie de la semaine du ${source.weekStart}`,
+    });
+
+    return res.json({
+      ok: true,
+      weekStart: target.weekStart,
+      weekEnd: target.weekEnd,
+      ...copySummary(days),
+      days,
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Absences sur une période
+ * ---------------------------
+ * preview -> plan jour par jour sans écriture ; création -> lignes générées sur les
+ * jours "create" uniquement (les conflits sont signalés, jamais écrasés) ;
+ * annulation -> suppression des seules lignes générées (absence_days).
+ */
+const AbsenceSchema = z
+  .object({
+    kind: z.enum(Object.keys(ABSENCE_KINDS)),
+    from: YmdSchema,
+    to: YmdSchema,
+    startHalf: z.boolean().default(false), // commence l'après-midi
+    endHalf: z.boolean().default(false), // se termine à midi
+    comment: z.string().max(200).default(""),
+  })
+  .refine((a) => a.to >= a.from, { message: "La date de fin doit être après la date de début" })
+  // calcul direct : la liste des jours n'est construite qu'une fois la durée validée
+  .refine((a) => daysBetween(a.from, a.to) < 92, { message: "Période limitée à 3 mois" });
+
+function absenceRecord(body) {
+  return {
+    kind: body.kind,
+    from_day: body.from,
+    to_day: body.to,
+    start_half: body.startHalf,
+    end_half: body.endHalf,
+  };
+}
+
+async function planAbsence(supabaseClient, userId, absence) {
+  const schedules = await getUserSchedules(userId);
+  const locks = await loadPeriodLocks(supabaseAdmin, { from: absence.from_day, to: absence.to_day });
+
+  const { data: existing, error } = await supabaseClient
+    .from("activities")
+    .select("id, day, sujet, projet, temps_passe_h, type")
+    .eq("user_id", userId)
+    .gte("day", absence.from_day)
+    .lte("day", absence.to_day);
+  if (error) throw new Error(error.message);
+
+  const existingByDay = new Map();
+  for (const r of existing ?? []) {
+    if (!existingByDay.has(r.day)) existingByDay.set(r.day, []);
+    existingByDay.get(r.day).push(r);
+  }
+
+  const approvedWeeks = new Map();
+  for (const d of eachDay(absence.from_day, absence.to_day)) {
+    const { weekStart } = weekBounds(d);
+    if (!approvedWeeks.has(weekStart)) {
+      approvedWeeks.set(weekStart, await isWeekApproved(supabaseClient, userId, weekStart));
+    }
+  }
+
+  return planAbsenceDays(absence, {
+    closures: COMPANY_CLOSURE_DAYS,
+    capacityOf: (d) => dayCapacity(schedules, d),
+    expectedOf: (d) => expectedHours(schedules, d),
+    existingByDay,
+    blockedReason: (d) => {
+      const lock = findLock(locks, userId, d);
+      if (lock) return periodLockedMessage(lock, d);
+      return approvedWeeks.get(weekBounds(d).weekStart) ? WEEK_APPROVED_MESSAGE : "";
+    },
+  });
+}
+
+function absencePlanSummary(days) {
+  return {
+    created: days.filter((d) => d.status === "create").length,
+    conflicts: days.filter((d) => d.status === "conflict").length,
+    skipped: days.filter((d) => d.status === "skipped").length,
+    hours: roundHours(
+      days.filter((d) => d.status === "create").reduce((acc, d) => acc + d.hours, 0)
+    ),
+  };
+}
+
+// réponse : pas de lignes existantes complètes, juste le résumé du jour
+function publicAbsenceDay(d) {
+  return {
+    day: d.day,
+    status: d.status,
+    reason: d.reason,
+    hours: d.hours,
+    existing: (d.existing ?? []).map((r) => `${r.sujet || r.type} (${r.temps_passe_h}h)`),
+  };
+}
+
+function absenceLabel(a) {
+  const half = [a.start_half ? "début après-midi" : "", a.end_half ? "fin à midi" : ""]
+    .filter(Boolean)
+    .join(", ");
+  return `${ABSENCE_KINDS[a.kind]?.label ?? a.kind} du ${a.from_day} au ${a.to_day}${half ? ` (${half})` : ""}`;
+}
+
+/**
+ * GET /api/absences
+ */
+app.get("/api/absences", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const supabaseUser = supabaseForJwt(auth.jwt);
+    const absences = await loadAbsences(supabaseUser, auth.user.id);
+    const days = await loadAbsenceDays(
+      supabaseUser,
+      absences.map((a) => a.id)
+    );
+
+    return res.json({
+      absences: absences.map((a) => {
+        const generated = days.filter((d) => String(d.absence_id) === String(a.id));
+        return {
+          ...a,
+          label: absenceLabel(a),
+          days: generated.length,
+          remaining: generated.filter((d) => d.activity_id != null).length,
+        };
+      }),
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/absences/preview { kind, from, to, startHalf, endHalf }
+ */
+app.post("/api/absences/preview", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const body = AbsenceSchema.parse(req.body);
+    const days = await planAbsence(supabaseForJwt(auth.jwt), auth.user.id, absenceRecord(body));
+
+    return res.json({ ...absencePlanSummary(days), days: days.map(publicAbsenceDay) });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/absences { kind, from, to, startHalf, endHalf, comment }
+ * Génère les lignes des jours "create" ; conflits et jours ignorés sont renvoyés.
+ */
+app.post("/api/absences", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const body = AbsenceSchema.parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+    const record = absenceRecord(body);
+
+    const days = await planAbsence(supabaseUser, user.id, record);
+    const toCreate = days.filter((d) => d.status === "create");
+    if (!toCreate.length) {
+      return res.status(409).json({
+        error: "Aucun jour à générer sur cette période (conflits ou jours non ouvrés).",
+        code: "ABSENCE_EMPTY",
+        ...absencePlanSummary(days),
+        days: days.map(publicAbsenceDay),
+      });
+    }
+
+    const { data: absence, error: aErr } = await supabaseUser
+      .from("absences")
+      .insert({ ...record, user_id: user.id, comment: body.comment })
+      .select(ABSENCE_COLUMNS)
+      .single();
+    if (aErr) throw new Error(aErr.message);
+
+    const kind = ABSENCE_KINDS[body.kind];
+    const suggestImpute = await buildImputeSuggester(await loadProjects(supabaseUser));
+    const payload = toCreate.map((d) => {
+      const row = {
+        user_id: user.id,
+        day: d.day,
+        id_ticket: "",
+        sujet: body.comment ? `${kind.sujet} - ${body.comment}` : kind.sujet,
+        projet: "",
+        temps_passe_h: d.hours,
+        type: kind.type,
+      };
+      const impute = suggestImpute(row);
+      return { ...row, ...(impute ? { impute } : {}) };
+    });
+
+    // compensation : pas de transaction côté supabase-js
+    let inserted = [];
+
+    async function rollback() {
+      if (inserted.length) {
+        await supabaseUser.from("activities").delete().in("id", inserted.map((r) => r.id));
+      }
+      await supabaseUser.from("absences").delete().eq("id", absence.id);
+    }
+
+    try {
+      const { data, error } = await supabaseUser.from("activities").insert(payload).select();
+      if (error) throw new Error(error.message);
+      inserted = data ?? [];
+
+      const { error: dErr } = await supabaseUser.from("absence_days").insert(
+        inserted.map((r) => ({ absence_id: absence.id, user_id: user.id, day: r.day, activity_id: r.id }))
+      );
+      if (dErr) throw new Error(dErr.message);
+
+      await recordActivityAuditOrUndo(
+        supabaseAdmin,
+        inserted.map((r) => ({ action: "insert", activityId: r.id, userId: user.id, day: r.day, after: r })),
+        // rollback idempotent : rejoué sans effet par le catch ci-dessous
+        { actorId: user.id, reason: absenceLabel(absence), undo: rollback }
+      );
+    } catch (e) {
+      await rollback().catch(() => {});
+      throw e;
+    }
+    for (const r of inserted) {
+      emitDayWebhook("day.saved", {
+        userId: user.id,
+        day: r.day,
+        actorId: user.id,
+        source: absenceLabel(absence),
+        result: { inserted: 1 },
+      });
+    }
+
+    return res.json({
+      ok: true,
+      absence: { ...absence, label: absenceLabel(absence) },
+      ...absencePlanSummary(days),
+      days: days.map(publicAbsenceDay),
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/absences/cancel { id }
+ * Supprime exactement les lignes générées encore présentes, puis l'absence.
+ */
+app.post("/api/absences/cancel", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const { data: absence, error: aErr } = await supabaseUser
+      .from("absences")
+      .select(ABSENCE_COLUMNS)
+      .eq("id", body.id)
+      .eq("user_id", user.id)
+      .maybeSingle();
+    if (aErr) throw new Error(aErr.message);
+    if (!absence) return res.status(404).json({ error: "Absence introuvable" });
+
+    const generated = (await loadAbsenceDays(supabaseUser, [absence.id])).filter(
+      (d) => d.activity_id != null
+    );
+    const targets = generated.map((d) => ({ userId: user.id, day: d.day }));
+
+    if (await rejectIfPeriodLocked(res, targets)) return;
+    for (const d of generated) {
+      if (await isWeekApproved(supabaseUser, user.id, d.day)) {
+        return res.status(409).json({ error: WEEK_APPROVED_MESSAGE, code: "WEEK_APPROVED", day: d.day });
+      }
+    }
+
+    let deleted = [];
+    if (generated.length) {
+      const { data, error } = await supabaseUser
+        .from("activities")
+        .delete()
+        .in("id", generated.map((d) => d.activity_id))
+        .eq("user_id", user.id)
+        .select();
+      if (error) throw new Error(error.message);
+      deleted = data ?? [];
+    }
+
+    const changes = deleted.map((r) => ({
+      action: "delete",
+      activityId: r.id,
+      userId: user.id,
+      day: r.day,
+      before: r,
+    }));
+    await recordActivityAuditOrUndo(supabaseAdmin, changes, {
+      actorId: user.id,
+      reason: `Annulation : ${absenceLabel(absence)}`,
+      // lignes ré-insérées puis rattachées à nouveau à l'absence (activity_id : on delete set null)
+      undo: async () => {
+        await undoActivityChanges(supabaseAdmin, changes);
+        for (const d of generated) {
+          const { error } = await supabaseAdmin
+            .from("absence_days")
+            .update({ activity_id: d.activity_id })
+            .eq("id", d.id);
+          if (error) throw new Error(error.message);
+        }
+      },
+    });
+
+    const { error: delErr } = await supabaseUser.from("absences").delete().eq("id", absence.id);
+    if (delErr) throw new Error(delErr.message);
+    for (const r of deleted) {
+      emitDayWebhook("day.saved", {
+        userId: user.id,
+        day: r.day,
+        actorId: user.id,
+        source: `Annulation : ${absenceLabel(absence)}`,
+        result: { deleted: 1 },
+      });
+    }
+
+    return res.json({ ok: true, deleted: deleted.length });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/activities/day?day=YYYY-MM-DD
+ */
+app.get("/api/activities/day", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const q = z.object({ day: YmdSchema }).parse(req.query);
+
+    // base de conversion 1J <-> heures pour ce jour (contrat du user)
+    const schedules = await getUserSchedules(user.id);
+
+    // récurrences dues -> lignes générées avant lecture
+    await materializeRecurringDaySafe(supabaseUser, { userId: user.id, day: q.day, schedules });
+
+    const { data, error } = await supabaseUser
+      .from("activities")
+      .select("id, day, id_ticket, sujet, projet, temps_passe_h, type, impute")
+      .eq("user_id", user.id)
+      .eq("day", q.day)
+      .order("id", { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    // occurrences du jour (ligne générée -> bouton "ignorer", ignorée -> "rétablir")
+    const recs = await loadRecurring(supabaseUser, user.id).catch(() => []);
+    const occurrences = recs.length ? await loadOccurrences(supabaseUser, user.id, q.day) : [];
+    const recById = new Map(recs.map((r) => [String(r.id), r]));
+
+    return res.json({
+      rows: data ?? [],
+      hoursPerDay: dayCapacity(schedules, q.day),
+      expectedHours: expectedHours(schedules, q.day),
+      recurring: occurrences
+        .filter((o) => recById.has(String(o.recurring_id)))
+        .map((o) => ({
+          recurringId: String(o.recurring_id),
+          activityId: o.activity_id != null ? String(o.activity_id) : null,
+          status: o.status,
+          sujet: recById.get(String(o.recurring_id)).sujet,
+          label: describeRecurring(recById.get(String(o.recurring_id))),
+        })),
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+function startEndOfMonth(year, month1to12) {
+  const start = new Date(Date.UTC(year, month1to12 - 1, 1));
+  const end = new Date(Date.UTC(year, month1to12, 0));
+  const startStr = start.toISOString().slice(0, 10);
+  const endStr = end.toISOString().slice(0, 10);
+  return { startStr, endStr };
+}
+
+function computeMonthlySummaryStats({
+  activities,
+  profiles,
+  schedulesByUser = new Map(),
+  inScope = () => true, // (userId, day) : membre d'une équipe du CP ce jour-là
+  year,
+  month,
+}) {
+  // ---- Totaux (jours convertis avec le contrat de chaque user)
+  let totalHours = 0;
+  let totalDaysRaw = 0;
+
+  const byType = {};
+  const byProject = {};
+  const byUser = {};
+
+  for (const p of profiles) {
+    byUser[p.id] = {
+      userId: p.id,
+      name: p.full_name || p.id,
+      totalHours: 0,
+      days: new Set(),
+    };
+  }
+
+  for (const a of activities) {
+    const h = Number(a.temps_passe_h || 0);
+    const d = hoursToDays(h, dayCapacity(schedulesByUser.get(a.user_id), a.day));
+    totalHours += h;
+    totalDaysRaw += d;
+
+    // by type
+    byType[a.type] ??= { hours: 0, days: 0 };
+    byType[a.type].hours += h;
+    byType[a.type].days += d;
+
+    // by project
+    if (a.projet) {
+      byProject[a.projet] ??= { hours: 0, days: 0 };
+      byProject[a.projet].hours += h;
+      byProject[a.projet].days += d;
+    }
+
+    // by user
+    const u = byUser[a.user_id];
+    if (u) {
+      u.totalHours += h;
+      u.days.add(a.day);
+    }
+  }
+
+  const totalDays = Math.round(totalDaysRaw * 100) / 100;
+
+  // enrich byType
+  for (const t of Object.keys(byType)) {
+    byType[t].percent =
+      totalHours > 0
+        ? Math.round((byType[t].hours / totalHours) * 100)
+        : 0;
+  }
+
+  const topProjects = Object.entries(byProject)
+    .map(([project, v]) => ({
+      project,
+      hours: v.hours,
+      days: v.days,
+    }))
+    .sort((a, b) => b.hours - a.hours)
+    .slice(0, 5);
+
+  // jours ouvrés attendus (fériés + week-ends + fermetures + jours hors contrat exclus),
+  // jours futurs ignorés
+  const { startStr, endStr } = startEndOfMonth(year, month);
+  const missingByUser = Object.values(byUser)
+    .map((u) => ({
+      userId: u.userId,
+      name: u.name,
+      ...completionForDays(u.days, {
+        from: startStr,
+        to: endStr,
+        closures: COMPANY_CLOSURE_DAYS,
+        isExpected: (d) =>
+          inScope(u.userId, d) && expectedHours(schedulesByUser.get(u.userId), d) > 0,
+      }),
+    }))
+    .filter((u) => u.missingDays.length > 0);
+
+  const expectedWorkingDays = completionForDays([], {
+    from: startStr,
+    to: endStr,
+    closures: COMPANY_CLOSURE_DAYS,
+  }).expectedDays;
+
+  return {
+    period: { year, month },
+    totals: {
+      hours: Math.round(totalHours * 10) / 10,
+      days: totalDays,
+    },
+    byType,
+    topProjects,
+    alerts: {
+      expectedWorkingDays,
+      usersWithMissingDays: missingByUser.length,
+      missingDaysByUser: missingByUser.map((u) => ({
+        userId: u.userId,
+        name: u.name,
+        filledWorkingDays: u.filledWorkingDays,
+        missingDays: u.missingDays,
+      })),
+    },
+  };
+}
+
+/**
+ * GET /api/activities/month?year=YYYY&month=M
+ */
+app.get("/api/activities/month", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const q = z
+      .object({
+        year: z.coerce.number().int().min(2000).max(2100),
+        month: z.coerce.number().int().min(1).max(12),
+      })
+      .parse(req.query);
+
+    const { startStr, endStr } = startEndOfMonth(q.year, q.month);
+
+    const { data, error } = await supabaseUser
+      .from("activities")
+      .select("day, temps_passe_h")
+      .eq("user_id", user.id)
+      .gte("day", startStr)
+      .lte("day", endStr);
+
+    if (error) throw new Error(error.message);
+
+    const map = new Map();
+    for (const a of data ?? []) {
+      const k = a.day;
+      const prev = map.get(k) ?? { totalHours: 0, linesCount: 0 };
+      prev.totalHours += Number(a.temps_passe_h || 0);
+      prev.linesCount += 1;
+      map.set(k, prev);
+    }
+
+    const schedules = await getUserSchedules(user.id);
+    const locks = await loadPeriodLocks(supabaseAdmin, { from: startStr, to: endStr });
+
+    const daysInMonth = new Date(q.year, q.month, 0).getDate();
+    const days = [];
+    for (let d = 1; d <= daysInMonth; d++) {
+      const date = new Date(Date.UTC(q.year, q.month - 1, d));
+      const yyyyMMdd = date.toISOString().slice(0, 10);
+
+      const agg = map.get(yyyyMMdd) ?? { totalHours: 0, linesCount: 0 };
+      let { kind, label } = dayKind(yyyyMMdd, { closures: COMPANY_CLOSURE_DAYS });
+      const dueHours = expectedHours(schedules, yyyyMMdd);
+      const lock = findLock(locks, user.id, yyyyMMdd);
+      if (kind === "working" && dueHours === 0) {
+        kind = "off";
+        label = "Non travaillé (contrat)";
+      }
+
+      days.push({
+        day: yyyyMMdd,
+        kind, // working | weekend | holiday | closure | off
+        label,
+        expectedHours: kind === "working" ? dueHours : 0,
+        capacityHours: dayCapacity(schedules, yyyyMMdd),
+        locked: !!lock,
+        lockReason: lock?.reason ?? "",
+        totalHours: Math.round(agg.totalHours * 10) / 10,
+        linesCount: agg.linesCount,
+      });
+    }
+
+    const completion = completionForDays(
+      days.filter((d) => d.linesCount > 0).map((d) => d.day),
+      {
+        from: startStr,
+        to: endStr,
+        closures: COMPANY_CLOSURE_DAYS,
+        isExpected: (d) => expectedHours(schedules, d) > 0,
+      }
+    );
+
+    return res.json({ year: q.year, month: q.month, days, ...completion });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/activities/export?year=YYYY&month=M
+ * CSV export
+ */
+app.get("/api/activities/export", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const q = z.object({
+      year: z.coerce.number().int().min(2000).max(2100),
+      month: z.coerce.number().int().min(1).max(12),
+    }).parse(req.query);
+
+    const { startStr, endStr } = startEndOfMonth(q.year, q.month);
+
+    const { data, error } = await supabaseUser
+      .from("activities")
+      .select("day, id_ticket, sujet, projet, temps_passe_h, type, impute")
+      .eq("user_id", user.id)
+      .gte("day", startStr)
+      .lte("day", endStr)
+      .order("day", { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    function sanitizeCsvCell(v) {
+      let s = String(v ?? "")
+        .replaceAll(";", ",")
+        .replaceAll("\n", " ")
+        .replaceAll("\r", " ");
+
+      // protège Excel injection
+      if (/^[=+\-@]/.test(s)) s = "'" + s;
+      return s;
+    }
+    const header = "day;id_ticket;ticket_url;sujet;projet;temps_passe_h;type;impute";
+
+    const lines = (data ?? []).map((r) => {
+      const url = adoWorkItemUrl(r.id_ticket); // attention: doit gérer "" / null
+      return [
+        r.day,
+        r.id_ticket,
+        url,
+        r.sujet,
+        r.projet,
+        r.temps_passe_h,
+        r.type,
+        r.impute,
+      ].map(sanitizeCsvCell).join(";");
+    });
+
+    const csv = [header, ...lines].join("\n");
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="activities_${q.year}-${String(q.month).padStart(2, "0")}.csv"`
+    );
+    return res.send("\uFEFF" + csv);
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+app.get("/api/activities/export-xlsx", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const q = z.object({
+      year: z.coerce.number().int().min(2000).max(2100),
+      month: z.coerce.number().int().min(1).max(12),
+    }).parse(req.query);
+
+    const { startStr, endStr } = startEndOfMonth(q.year, q.month);
+
+    const { data, error } = await supabaseUser
+      .from("activities")
+      .select("day, id_ticket, sujet, projet, temps_passe_h, type, impute")
+      .eq("user_id", user.id)
+      .gte("day", startStr)
+      .lte("day", endStr)
+      .order("day", { ascending: true })
+      .order("id", { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    const wb = new ExcelJS.Workbook();
+    wb.creator = "Activity AI";
+    wb.created = new Date();
+
+    const ws = wb.addWorksheet(`activities_${q.year}-${String(q.month).padStart(2, "0")}`);
+
+    // Colonnes Excel
+    ws.columns = [
+      { header: "Date", key: "day", width: 12 },
+      { header: "ID Ticket", key: "id_ticket", width: 18 },
+      { header: "Sujet", key: "sujet", width: 50 },
+      { header: "Projet", key: "projet", width: 18 },
+      { header: "Charge réelle (h)", key: "temps_passe_h", width: 16 },
+      { header: "Type", key: "type", width: 20 },
+      { header: "Code VSA", key: "impute", width: 18 },
+    ];
+
+    // Header style + filter
+    ws.getRow(1).font = { bold: true };
+    ws.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: 1, column: ws.columns.length },
+    };
+
+    // Format colonnes
+    ws.getColumn("temps_passe_h").numFmt = "0.00";
+
+    // Data rows + Hyperlink sur ID Ticket
     for (const r of data ?? []) {
       const row = ws.addRow({
         day: r.day,
@@ -1060,250 +4986,1690 @@ app.get("/api/activities/export-xlsx", async (req, res) => {
         impute: r.impute ?? "",
       });
 
-      const idTicket = String(r.id_ticket ?? "").trim();
-      if (idTicket) {
-        const url = adoWorkItemUrl(idTicket);
-        if (url) {
-          const cell = row.getCell("id_ticket"); // key-based
-          cell.value = { text: idTicket, hyperlink: url };
-          cell.font = { color: { argb: "FF2563EB" }, underline: true };
-        }
-      }
-    }
+      const idTicket = String(r.id_ticket ?? "").trim();
+      if (idTicket) {
+        const url = adoWorkItemUrl(idTicket);
+        if (url) {
+          const cell = row.getCell("id_ticket"); // key-based
+          cell.value = { text: idTicket, hyperlink: url };
+          cell.font = { color: { argb: "FF2563EB" }, underline: true };
+        }
+      }
+    }
+
+    // Response
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="activities_${q.year}-${String(q.month).padStart(2, "0")}.xlsx"`
+    );
+
+    const buffer = await wb.xlsx.writeBuffer();
+    return res.send(Buffer.from(buffer));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Import CSV / XLSX (mêmes colonnes que les exports)
+ * ---------------------------
+ * POST /api/activities/import?dryRun=1&mode=append|replace&filename=...
+ * Corps brut (application/octet-stream) : le fichier tel quel.
+ * - dryRun (défaut) : rapport par ligne, rien n'est écrit
+ * - sinon : écrit jour par jour uniquement si le rapport ne contient aucune erreur
+ * mode "append" ajoute aux lignes existantes, "replace" remplace les jours présents
+ * dans le fichier. Les CP peuvent importer pour plusieurs users (colonnes user_id /
+ * full_name) ; un dev n'importe que pour lui-même, sans Code VSA.
+ * Pas de lookup ADO des tickets ici (volume).
+ */
+const IMPORT_MAX_ROWS = 5000;
+
+const ImportQuerySchema = z.object({
+  dryRun: z
+    .enum(["0", "1", "true", "false"])
+    .default("1")
+    .transform((v) => v === "1" || v === "true"),
+  mode: z.enum(["append", "replace"]).default("append"),
+  format: z.enum(["csv", "xlsx"]).optional(),
+  filename: z.string().default(""),
+});
+
+function zodIssues(error) {
+  return (error?.issues ?? []).map((i) => `${i.path.join(".") || "ligne"} : ${i.message}`);
+}
+
+/**
+ * Valide toutes les lignes ; retourne { rows (rapport), groups (user+jour -> lignes) }
+ */
+async function buildImportReport(supabaseClient, { rows, actorId, isPm, scope, mode }) {
+  let profiles = [];
+  if (isPm) {
+    const { data, error } = await supabaseClient.from("profiles").select("id, full_name");
+    if (error) throw new Error(error.message);
+    profiles = data ?? [];
+  }
+  const profileIds = new Set(profiles.map((p) => String(p.id)));
+  const idsByName = new Map();
+  for (const p of profiles) {
+    const key = String(p.full_name ?? "").trim().toLowerCase();
+    if (!key) continue;
+    if (!idsByName.has(key)) idsByName.set(key, []);
+    idsByName.get(key).push(String(p.id));
+  }
+
+  function resolveUser(r) {
+    const id = String(r.user_id ?? "").trim();
+    const name = String(r.full_name ?? "").trim().toLowerCase();
+
+    if (!isPm) {
+      if (id && id !== actorId) return { error: "Import pour un autre utilisateur réservé au CP" };
+      return { userId: actorId };
+    }
+    if (id) return profileIds.has(id) ? { userId: id } : { error: `Utilisateur inconnu : ${id}` };
+    if (name) {
+      const ids = idsByName.get(name) ?? [];
+      if (ids.length === 1) return { userId: ids[0] };
+      return { error: ids.length ? `Nom ambigu : ${r.full_name}` : `Utilisateur inconnu : ${r.full_name}` };
+    }
+    return { userId: actorId };
+  }
+
+  const projects = await loadProjects(supabaseClient);
+
+  const report = rows.map((r) => {
+    const errors = [];
+    const warnings = [];
+
+    const user = resolveUser(r);
+    if (user.error) errors.push(user.error);
+
+    // date impossible (2026-02-31) : erreur de la ligne, exclue des contrôles par jour
+    const validDay = isValidYmd(r.day);
+    if (!validDay) errors.push(`Date invalide : "${r.day}"`);
+    else if (scope && user.userId && user.userId !== actorId && !scope.covers(user.userId, r.day)) {
+      errors.push("Utilisateur hors du périmètre de vos équipes à cette date");
+    }
+
+    const rawType = String(r.type ?? "").trim();
+    const type = normalizeType(rawType);
+    if (rawType !== type) warnings.push(`Type "${rawType}" -> "${type}"`);
+
+    let impute = String(r.impute ?? "").trim();
+    if (impute && !isPm) {
+      warnings.push("Code VSA ignoré (réservé au CP)");
+      impute = "";
+    }
+
+    const parsed = RowWithDaySchema.safeParse({
+      day: r.day,
+      id_ticket: r.id_ticket,
+      sujet: r.sujet,
+      projet: r.projet,
+      temps_passe_h: r.temps_passe_h,
+      type,
+      impute,
+    });
+    // date impossible déjà signalée ci-dessus
+    if (!parsed.success) {
+      errors.push(...zodIssues({ issues: parsed.error.issues.filter((i) => validDay || i.path[0] !== "day") }));
+    }
+
+    let row = parsed.success && validDay ? parsed.data : null;
+    if (row && !errors.length) {
+      const resolved = resolveRowProjects(projects, [row], { day: row.day });
+      if (resolved.unknown.length) errors.push(`Projet inconnu ou archivé : ${resolved.unknown[0]}`);
+      else row = resolved.rows[0];
+    }
+
+    return { line: r.line, userId: user.userId ?? null, day: r.day, row, errors, warnings };
+  });
+
+  // ---- contrôles par jour (plafond, clôture, semaine validée)
+  const groups = new Map();
+  for (const r of report) {
+    if (!r.userId || !r.row) continue;
+    const key = `${r.userId}|${r.row.day}`;
+    if (!groups.has(key)) groups.set(key, { userId: r.userId, day: r.row.day, lines: [] });
+    groups.get(key).lines.push(r);
+  }
+  if (!groups.size) return { rows: report, groups: [] };
+
+  const list = Array.from(groups.values());
+  const userIds = Array.from(new Set(list.map((g) => g.userId)));
+  const days = list.map((g) => g.day).sort();
+  const from = days[0];
+  const to = days[days.length - 1];
+
+  const schedulesByUser = await loadWorkSchedules(supabaseAdmin, userIds);
+  const locks = await loadPeriodLocks(supabaseAdmin, { from, to });
+
+  const { data: existing, error } = await supabaseClient
+    .from("activities")
+    .select("id, user_id, day, id_ticket, sujet, projet, temps_passe_h, type, impute")
+    .in("user_id", userIds)
+    .gte("day", from)
+    .lte("day", to);
+  if (error) throw new Error(error.message);
+
+  for (const g of list) {
+    g.existing = (existing ?? []).filter(
+      (r) => String(r.user_id) === g.userId && r.day === g.day
+    );
+
+    const groupErrors = [];
+    const lock = findLock(locks, g.userId, g.day);
+    if (lock) groupErrors.push(periodLockedMessage(lock, g.day));
+    // le CP peut corriger une semaine validée (comme upsertDayForUser)
+    else if (!isPm && (await isWeekApproved(supabaseClient, g.userId, g.day))) {
+      groupErrors.push(WEEK_APPROVED_MESSAGE);
+    }
+
+    const maxHours = dayCapacity(schedulesByUser.get(g.userId), g.day);
+    const kept = mode === "append" ? sumHours(g.existing) : 0;
+    const total = kept + sumHours(g.lines.map((l) => l.row));
+    if (total > maxHours + 1e-9) {
+      groupErrors.push(
+        `Total journée > ${maxHours}h (${mode === "append" ? `existant ${roundHours(kept)}h + ` : ""}import ${roundHours(total - kept)}h)`
+      );
+    }
+
+    for (const l of g.lines) l.errors.push(...groupErrors);
+  }
+
+  return { rows: report, groups: list };
+}
+
+function importSummary(report) {
+  return {
+    total: report.length,
+    valid: report.filter((r) => !r.errors.length).length,
+    errors: report.filter((r) => r.errors.length).length,
+    warnings: report.filter((r) => r.warnings.length).length,
+    days: new Set(report.filter((r) => r.userId).map((r) => `${r.userId}|${r.day}`)).size,
+    users: new Set(report.map((r) => r.userId).filter(Boolean)).size,
+  };
+}
+
+app.post(
+  "/api/activities/import",
+  express.raw({ type: () => true, limit: "10mb" }),
+  async (req, res) => {
+    try {
+      const auth = await getUserFromBearer(req);
+      if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+      const { user, jwt } = auth;
+      const q = ImportQuerySchema.parse(req.query);
+      const supabaseUser = supabaseForJwt(jwt);
+      const isPm = (await getRole(user.id)).role === "pm";
+
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(400).json({ error: "Fichier vide" });
+      }
+
+      const parsedRows = await parseImportFile(req.body, { format: q.format, filename: q.filename });
+      if (!parsedRows.length) return res.status(400).json({ error: "Aucune ligne à importer" });
+      if (parsedRows.length > IMPORT_MAX_ROWS) {
+        return res.status(400).json({ error: `Fichier trop volumineux (max ${IMPORT_MAX_ROWS} lignes)` });
+      }
+
+      const { rows: report, groups } = await buildImportReport(supabaseUser, {
+        rows: parsedRows,
+        actorId: user.id,
+        isPm,
+        scope: isPm ? await getPmScope(user.id) : null,
+        mode: q.mode,
+      });
+
+      const summary = importSummary(report);
+      const publicRows = report.map(({ row, ...r }) => ({ ...r, ...(row ? { values: row } : {}) }));
+
+      if (q.dryRun) return res.json({ dryRun: true, mode: q.mode, summary, rows: publicRows });
+
+      if (summary.errors) {
+        return res.status(400).json({
+          error: `${summary.errors} ligne(s) en erreur : rien n'a été importé.`,
+          code: "IMPORT_INVALID",
+          dryRun: false,
+          mode: q.mode,
+          summary,
+          rows: publicRows,
+        });
+      }
+
+      // écriture jour par jour (compensation par jour dans replaceDayRows)
+      const suggestImpute = await buildImputeSuggester(await loadProjects(supabaseUser));
+      const reason = `Import${q.filename ? ` ${q.filename}` : ""}`;
+      const written = [];
+
+      for (const g of groups) {
+        const imported = g.lines.map((l) => l.row);
+        try {
+          const result = await replaceDayRows(supabaseUser, {
+            userId: g.userId,
+            day: g.day,
+            rows: q.mode === "append" ? [...g.existing, ...imported] : imported,
+            withImpute: isPm,
+            suggestImpute,
+            actorId: user.id,
+            reason,
+          });
+          written.push({ userId: g.userId, day: g.day, ...result });
+          emitDayWebhook(g.userId === user.id ? "day.saved" : "day.pm_edited", {
+            userId: g.userId,
+            day: g.day,
+            actorId: user.id,
+            source: reason,
+            result,
+          });
+        } catch (e) {
+          return res.status(500).json({
+            error: `Import interrompu au ${g.day} : ${e?.message || e}`,
+            code: "IMPORT_PARTIAL",
+            summary,
+            written,
+          });
+        }
+      }
+
+      return res.json({ ok: true, dryRun: false, mode: q.mode, summary, rows: publicRows, written });
+    } catch (e) {
+      return res.status(400).json({ error: e?.message || "Bad request" });
+    }
+  }
+);
+
+/**
+ * Profile completion
+ * Domaine autorisé (allowed_email_domains) ou invitation en cours ; le rôle vient de
+ * l'invitation, sinon du profil existant (accordé par un admin), sinon "dev".
+ */
+const CompleteProfileSchema = z.object({
+  full_name: z.string().min(1),
+});
+
+// rôle recopié dans app_metadata (lu par les policies RLS)
+async function syncAuthRole(userId, { role, is_admin }) {
+  const { error } = await supabaseAdmin.auth.admin.updateUserById(userId, {
+    app_metadata: { role, is_admin: !!is_admin },
+  });
+  if (error) throw new Error(error.message);
+}
+
+app.post("/api/profile/complete", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user } = auth;
+    const body = CompleteProfileSchema.parse(req.body);
+
+    const [domains, invitation, { data: existing, error: exErr }] = await Promise.all([
+      loadEmailDomains(supabaseAdmin),
+      findPendingInvitation(supabaseAdmin, user.email),
+      supabaseAdmin.from("profiles").select("role, is_admin").eq("id", user.id).maybeSingle(),
+    ]);
+    if (exErr) throw new Error(exErr.message);
+
+    if (!invitation && !isEmailAllowed(user.email, domains)) {
+      return res.status(403).json({ error: "Email non autorisé : demande une invitation à un admin." });
+    }
+
+    const finalRole = invitation?.role ?? existing?.role ?? "dev";
+    const isAdmin = !!(invitation?.is_admin || existing?.is_admin);
+
+    const { error: upsertErr } = await supabaseAdmin
+      .from("profiles")
+      .upsert(
+        { id: user.id, full_name: body.full_name, role: finalRole, is_admin: isAdmin },
+        { onConflict: "id" }
+      );
+
+    if (upsertErr) throw new Error(upsertErr.message);
+
+    try {
+      await syncAuthRole(user.id, { role: finalRole, is_admin: isAdmin });
+    } catch (e) {
+      await supabaseAdmin
+        .from("profiles")
+        .update({ role: existing?.role ?? "dev", is_admin: !!existing?.is_admin })
+        .eq("id", user.id);
+      throw e;
+    }
+
+    if (invitation) {
+      const { error: invErr } = await supabaseAdmin
+        .from("user_invitations")
+        .update({ accepted_at: new Date().toISOString(), accepted_by: user.id })
+        .eq("id", invitation.id);
+      if (invErr) throw new Error(invErr.message);
+
+      if (invitation.team_id) {
+        const today = todayYmd();
+        const memberships = await loadTeamMembers(supabaseAdmin, {
+          teamIds: [String(invitation.team_id)],
+          userId: user.id,
+        });
+        const covered = memberships.some(
+          (m) => (!m.from_day || m.from_day <= today) && (!m.to_day || m.to_day >= today)
+        );
+        if (!covered) {
+          const { error: tErr } = await supabaseAdmin
+            .from("team_members")
+            .insert({ team_id: invitation.team_id, user_id: user.id, from_day: today, to_day: null });
+          if (tErr) throw new Error(tErr.message);
+        }
+      }
+    }
+
+    emitWebhook("profile.completed", {
+      userId: user.id,
+      email: user.email,
+      fullName: body.full_name,
+      role: finalRole,
+    });
+
+    return res.json({ ok: true, role: finalRole, is_admin: isAdmin });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Administration (admin)
+ * ---------------------------
+ * Droits gérés en base (profiles.role / is_admin / is_active), sans redéploiement.
+ * Premier admin : update profiles set is_admin = true where id = '<uuid>';
+ * Désactivation = ban Supabase (plus de connexion, jwt en cours refusé) + is_active=false.
+ */
+const USER_BAN_DURATION = "876000h"; // ~100 ans
+
+async function loadAuthUsers() {
+  const out = [];
+  const perPage = 1000;
+
+  for (let page = 1; ; page += 1) {
+    const { data, error } = await supabaseAdmin.auth.admin.listUsers({ page, perPage });
+    if (error) throw new Error(error.message);
+
+    const users = data?.users ?? [];
+    out.push(...users);
+    if (users.length < perPage) break;
+  }
+  return out;
+}
+
+async function countActiveAdmins() {
+  const { count, error } = await supabaseAdmin
+    .from("profiles")
+    .select("id", { count: "exact", head: true })
+    .eq("is_admin", true)
+    .neq("is_active", false);
+  if (error) throw new Error(error.message);
+  return count ?? 0;
+}
+
+/**
+ * GET /api/admin/users
+ * Profils + compte Supabase (email, dernière connexion, désactivé)
+ */
+app.get("/api/admin/users", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const [{ data: profiles, error }, authUsers] = await Promise.all([
+      supabaseAdmin.from("profiles").select("id, full_name, role, is_admin, is_active"),
+      loadAuthUsers(),
+    ]);
+    if (error) throw new Error(error.message);
+
+    const accountById = new Map(authUsers.map((u) => [String(u.id), u]));
+    const users = (profiles ?? [])
+      .map((p) => {
+        const account = accountById.get(String(p.id));
+        return {
+          id: String(p.id),
+          email: account?.email ?? "",
+          full_name: p.full_name ?? "",
+          role: p.role,
+          is_admin: !!p.is_admin,
+          is_active: p.is_active !== false,
+          last_sign_in_at: account?.last_sign_in_at ?? null,
+        };
+      })
+      .sort((a, b) => (a.full_name || a.email).localeCompare(b.full_name || b.email));
+
+    return res.json({ users });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/admin/users/role { userId, role?, isAdmin? }
+ * Accorde / retire pm et admin ; le dernier admin actif ne peut pas être retiré.
+ */
+app.post("/api/admin/users/role", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const body = z
+      .object({
+        userId: z.string().min(1),
+        role: z.enum(["dev", "pm"]).optional(),
+        isAdmin: z.boolean().optional(),
+      })
+      .parse(req.body);
+
+    const target = await getRole(body.userId);
+    const next = {
+      role: body.role ?? target.role,
+      is_admin: body.isAdmin ?? !!target.is_admin,
+    };
+
+    if (target.is_admin && !next.is_admin && target.is_active !== false && (await countActiveAdmins()) <= 1) {
+      return res.status(409).json({ error: "Impossible de retirer le dernier admin." });
+    }
+
+    const { error } = await supabaseAdmin.from("profiles").update(next).eq("id", body.userId);
+    if (error) throw new Error(error.message);
+
+    try {
+      await syncAuthRole(body.userId, next);
+    } catch (e) {
+      await supabaseAdmin
+        .from("profiles")
+        .update({ role: target.role, is_admin: !!target.is_admin })
+        .eq("id", body.userId);
+      throw e;
+    }
+
+    return res.json({ ok: true, ...next });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/admin/users/active { userId, active }
+ */
+app.post("/api/admin/users/active", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ userId: z.string().min(1), active: z.boolean() }).parse(req.body);
+    if (!body.active && body.userId === auth.user.id) {
+      return res.status(400).json({ error: "Impossible de désactiver son propre compte." });
+    }
+
+    const { error: banErr } = await supabaseAdmin.auth.admin.updateUserById(body.userId, {
+      ban_duration: body.active ? "none" : USER_BAN_DURATION,
+    });
+    if (banErr) throw new Error(banErr.message);
+
+    const { error } = await supabaseAdmin
+      .from("profiles")
+      .update({ is_active: body.active })
+      .eq("id", body.userId);
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/admin/email-domains
+ * Liste vide = domaines par défaut (keyrus.com)
+ */
+app.get("/api/admin/email-domains", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const domains = await loadEmailDomains(supabaseAdmin);
+    return res.json({ domains });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/admin/email-domains { domain }
+ */
+app.post("/api/admin/email-domains", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ domain: z.string().min(1).max(253) }).parse(req.body);
+    const domain = normalizeDomain(body.domain);
+    if (!domain) return res.status(400).json({ error: "Domaine invalide (ex : keyrus.com)" });
+
+    const { data, error } = await supabaseAdmin
+      .from("allowed_email_domains")
+      .upsert({ domain, created_by: auth.user.id }, { onConflict: "domain", ignoreDuplicates: true })
+      .select("id, domain, created_by, created_at");
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true, domain: data?.[0] ?? null });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/admin/email-domains/delete { id }
+ */
+app.post("/api/admin/email-domains/delete", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+
+    const { error } = await supabaseAdmin.from("allowed_email_domains").delete().eq("id", body.id);
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/admin/invitations
+ * Invitations (avec statut) + équipes pour le sélecteur
+ */
+app.get("/api/admin/invitations", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const [invitations, teams] = await Promise.all([
+      loadInvitations(supabaseAdmin),
+      loadTeams(supabaseAdmin),
+    ]);
+
+    return res.json({
+      invitations: invitations.map((i) => ({ ...i, status: invitationStatus(i) })),
+      teams,
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/admin/invitations { email, role, isAdmin, teamId?, expiresInDays }
+ * Enregistre l'invitation puis envoie le lien Supabase (définition du mot de passe).
+ * Un compte existant n'est pas réinvité (pas de mail) : le rôle s'applique à sa
+ * prochaine complétion de profil.
+ */
+app.post("/api/admin/invitations", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const body = z
+      .object({
+        email: z.string().trim().toLowerCase().email(),
+        role: z.enum(["dev", "pm"]).default("dev"),
+        isAdmin: z.boolean().default(false),
+        teamId: z.string().min(1).nullable().default(null),
+        expiresInDays: z.coerce.number().int().min(1).max(90).default(14),
+      })
+      .parse(req.body);
+
+    if (await findPendingInvitation(supabaseAdmin, body.email)) {
+      return res.status(409).json({ error: "Une invitation est déjà en cours pour cet email." });
+    }
+
+    const existingAccount = (await loadAuthUsers()).some(
+      (u) => String(u.email ?? "").toLowerCase() === body.email
+    );
+
+    const { data: invitation, error } = await supabaseAdmin
+      .from("user_invitations")
+      .insert({
+        email: body.email,
+        role: body.role,
+        is_admin: body.isAdmin,
+        team_id: body.teamId,
+        invited_by: auth.user.id,
+        expires_at: new Date(Date.now() + body.expiresInDays * 24 * 3600 * 1000).toISOString(),
+      })
+      .select(INVITATION_COLUMNS)
+      .single();
+    if (error) throw new Error(error.message);
+
+    const { error: mailErr } = existingAccount
+      ? { error: null }
+      : await supabaseAdmin.auth.admin.inviteUserByEmail(body.email, {
+          redirectTo: `${APP_URL}/reset-password`,
+        });
+
+    return res.json({
+      ok: true,
+      invitation: { ...invitation, status: invitationStatus(invitation) },
+      existingAccount,
+      emailSent: !existingAccount && !mailErr,
+      ...(mailErr ? { emailError: mailErr.message } : {}),
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/admin/invitations/revoke { id }
+ */
+app.post("/api/admin/invitations/revoke", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+
+    const { data, error } = await supabaseAdmin
+      .from("user_invitations")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("id", body.id)
+      .is("accepted_at", null)
+      .select("id");
+    if (error) throw new Error(error.message);
+    if (!data?.length) return res.status(409).json({ error: "Invitation déjà acceptée ou introuvable." });
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/pm/summary?year=YYYY&month=MM
+ * PM only – calculs purs
+ */
+app.get("/api/pm/summary", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const q = z
+      .object({
+        year: z.coerce.number().int(),
+        month: z.coerce.number().int().min(1).max(12),
+        teamId: z.string().min(1).optional(),
+      })
+      .parse(req.query);
+
+    const scope = await getPmScope(user.id, { teamId: q.teamId });
+    if (!scope) return res.status(403).json({ error: "Équipe non gérée" });
+
+    const { startStr, endStr } = startEndOfMonth(q.year, q.month);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const { data: allProfiles, error: pErr } = await supabaseUser
+      .from("profiles")
+      .select("id, full_name");
+    if (pErr) throw new Error(pErr.message);
+    const profiles = scopeProfiles(allProfiles, scope, { from: startStr, to: endStr });
+
+    const { data: allActivities, error: aErr } = await scopeQuery(
+      supabaseUser
+        .from("activities")
+        .select("user_id, day, temps_passe_h, type, projet")
+        .gte("day", startStr)
+        .lte("day", endStr),
+      scope,
+      { from: startStr, to: endStr }
+    );
+    if (aErr) throw new Error(aErr.message);
+    const activities = scope.filterRows(allActivities);
+
+    const schedulesByUser = await loadWorkSchedules(
+      supabaseAdmin,
+      (profiles ?? []).map((p) => p.id)
+    );
+
+    const stats = computeMonthlySummaryStats({
+      profiles,
+      activities,
+      schedulesByUser,
+      inScope: scope.covers,
+      year: q.year,
+      month: q.month,
+    });
+
+    return res.json(stats);
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/summary/ai
+ * Reformulation uniquement
+ */
+app.post("/api/pm/summary/ai", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user } = auth;
+    const prof = await getRole(user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({
+      stats: z.any(),
+    }).parse(req.body);
+
+    const system = `
+Tu es un assistant de rédaction professionnelle.
+Tu ne fais AUCUN calcul.
+Tu reformules uniquement les données fournies.
+
+Structure STRICTE :
+1. Introduction (1 phrase)
+2. Trois faits marquants
+3. Deux points de vigilance
+4. Conclusion (1 phrase)
+
+Aucune supposition. Aucune interprétation humaine.
+`;
+
+    if (!llm.configured) return llmNotConfigured(res);
+
+    const content = await llm.chat({
+      temperature: 0.2,
+      messages: [
+        { role: "system", content: system },
+        {
+          role: "user",
+          content: JSON.stringify(body.stats),
+        },
+      ],
+    });
+
+    return res.json({ summary: content });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * PM Dashboard: GET /api/pm/completion?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+app.get("/api/pm/completion", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const { user, jwt } = auth;
+    const { role } = await getRole(user.id);
+    if (role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const q = z.object({
+      from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+      to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+      teamId: z.string().min(1).optional(),
+    }).parse(req.query);
+    const supabaseUser = supabaseForJwt(jwt);
+
+    const scope = await getPmScope(user.id, { teamId: q.teamId });
+    if (!scope) return res.status(403).json({ error: "Équipe non gérée" });
+
+    const { data: allProfiles, error: pErr } = await supabaseUser
+      .from("profiles")
+      .select("id, full_name, role");
+    if (pErr) throw new Error(pErr.message);
+    const profiles = scopeProfiles(allProfiles, scope, q);
+
+    const { data: allActs, error: aErr } = await scopeQuery(
+      supabaseUser
+        .from("activities")
+        .select("user_id, day, temps_passe_h, type")
+        .gte("day", q.from)
+        .lte("day", q.to),
+      scope,
+      q
+    );
+    if (aErr) throw new Error(aErr.message);
+    const acts = scope.filterRows(allActs);
+
+    const schedulesByUser = await loadWorkSchedules(
+      supabaseAdmin,
+      (profiles ?? []).map((p) => p.id)
+    );
+
+    const map = new Map();
+    for (const prof of profiles ?? []) {
+      map.set(prof.id, {
+        days: new Set(),
+        hours: 0,
+        daysWorked: 0,
+        name: prof.full_name || prof.id,
+        role: prof.role,
+      });
+    }
+
+    for (const a of acts ?? []) {
+      const st = map.get(a.user_id);
+      if (!st) continue;
+      st.days.add(a.day);
+      st.hours += Number(a.temps_passe_h || 0);
+      st.daysWorked += hoursToDays(
+        a.temps_passe_h,
+        dayCapacity(schedulesByUser.get(a.user_id), a.day)
+      );
+    }
+
+    const result = Array.from(map.entries()).map(([userId, st]) => ({
+      userId,
+      name: st.name,
+      role: st.role,
+      filledDays: st.days.size,
+      // jours ouvrés attendus vs remplis (+ dates manquantes jusqu'à aujourd'hui)
+      ...completionForDays(st.days, {
+        from: q.from,
+        to: q.to,
+        closures: COMPANY_CLOSURE_DAYS,
+        isExpected: (d) => scope.covers(userId, d) && expectedHours(schedulesByUser.get(userId), d) > 0,
+      }),
+      totalHours: Math.round(st.hours * 10) / 10,
+      totalDays: Math.round(st.daysWorked * 100) / 100,
+    }));
+
+    return res.json({ from: q.from, to: q.to, users: result });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * ---------------------------
+ * Relances email (saisie manquante)
+ * ---------------------------
+ * SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS / SMTP_FROM
+ * REMINDERS_ENABLED=1 : job planifié (chaque jour ouvré à partir de REMINDER_HOUR,
+ *   heure de REMINDER_TIMEZONE, Europe/Paris par défaut, quel que soit le fuseau du serveur)
+ * APP_URL : lien vers l'application dans les emails
+ * POST /api/pm/reminders/run permet de lancer (ou simuler) le job à la main.
+ */
+const mailer = createMailer({
+  host: process.env.SMTP_HOST ?? "",
+  port: Number(process.env.SMTP_PORT || 587),
+  secure: process.env.SMTP_SECURE === "1",
+  user: process.env.SMTP_USER ?? "",
+  pass: process.env.SMTP_PASS ?? "",
+  from: process.env.SMTP_FROM ?? "",
+});
+
+const REMINDERS_ENABLED = process.env.REMINDERS_ENABLED === "1";
+const REMINDER_HOUR = Number(process.env.REMINDER_HOUR || 16);
+const APP_URL = process.env.APP_URL || allowedOrigins[allowedOrigins.length - 1];
+
+async function loadUserEmails() {
+  const emails = new Map();
+  for (const u of await loadAuthUsers()) if (u.email) emails.set(String(u.id), u.email);
+  return emails;
+}
+
+/**
+ * Réserve un envoi (unique(kind, user_id, period_key)) avant de l'effectuer :
+ * deux exécutions concurrentes n'envoient jamais deux fois. Un envoi en échec peut être retenté.
+ */
+async function claimReminder({ kind, userId, periodKey, missingDays }) {
+  const row = { kind, user_id: userId, period_key: periodKey, missing_days: missingDays, status: "sent" };
+
+  const { data, error } = await supabaseAdmin.from("reminder_log").insert(row).select("id").single();
+  if (!error) return data.id;
+  if (error.code !== "23505") throw new Error(error.message);
+
+  const { data: retried, error: upErr } = await supabaseAdmin
+    .from("reminder_log")
+    .update({ ...row, error: null, sent_at: new Date().toISOString() })
+    .eq("kind", kind)
+    .eq("user_id", userId)
+    .eq("period_key", periodKey)
+    .eq("status", "failed")
+    .select("id");
+  if (upErr) throw new Error(upErr.message);
+  return retried?.[0]?.id ?? null;
+}
+
+async function sendClaimed(claim, message) {
+  const id = await claimReminder(claim);
+  if (!id) return "already_sent";
+
+  try {
+    await mailer.send(message);
+    return "sent";
+  } catch (e) {
+    await supabaseAdmin
+      .from("reminder_log")
+      .update({ status: "failed", error: String(e?.message || e).slice(0, 500) })
+      .eq("id", id);
+    return "failed";
+  }
+}
+
+/**
+ * Job de relance : mail perso aux users en retard + récapitulatif aux CP.
+ * dryRun : plan uniquement (rien n'est envoyé ni journalisé)
+ * caller { id, scope } : lancement par un CP, limité aux membres de ses équipes et à son
+ * propre récapitulatif (sans caller : tout le monde, job planifié)
+ */
+async function runReminders({ today = todayYmd(), dryRun = false, caller = null } = {}) {
+  if (!dryRun && !mailer.configured) throw new Error("SMTP non configuré (SMTP_HOST).");
+
+  // comptes désactivés exclus (ni relance, ni récapitulatif)
+  const { data: profiles, error: pErr } = await supabaseAdmin
+    .from("profiles")
+    .select("id, full_name, role")
+    .neq("is_active", false);
+  if (pErr) throw new Error(pErr.message);
+
+  const ids = (profiles ?? []).map((p) => String(p.id));
+  const emails = await loadUserEmails();
+  const users = (profiles ?? []).map((p) => ({ ...p, id: String(p.id), email: emails.get(String(p.id)) ?? "" }));
+
+  const preferences = await loadReminderPreferences(supabaseAdmin, ids);
+  const schedulesByUser = await loadWorkSchedules(supabaseAdmin, ids);
+  const expectedOf = (userId, d) => expectedHours(schedulesByUser.get(userId), d);
+
+  // période la plus large (semaine ou mois en cours)
+  const weekStart = startOfWeek(today);
+  const monthStart = `${today.slice(0, 7)}-01`;
+  const from = weekStart < monthStart ? weekStart : monthStart;
+
+  const { data: acts, error: aErr } = await supabaseAdmin
+    .from("activities")
+    .select("user_id, day")
+    .gte("day", from)
+    .lte("day", today);
+  if (aErr) throw new Error(aErr.message);
+
+  const filledByUser = new Map();
+  for (const a of acts ?? []) {
+    const key = String(a.user_id);
+    if (!filledByUser.has(key)) filledByUser.set(key, new Set());
+    filledByUser.get(key).add(a.day);
+  }
+
+  const { data: logs, error: lErr } = await supabaseAdmin
+    .from("reminder_log")
+    .select("kind, user_id, period_key")
+    .eq("status", "sent")
+    .in("period_key", [today, weekStart, today.slice(0, 7)]);
+  if (lErr) throw new Error(lErr.message);
+  const sent = new Set((logs ?? []).map((l) => `${l.kind}|${l.user_id}|${l.period_key}`));
+
+  const plan = planReminders({
+    today,
+    users,
+    preferences,
+    filledByUser,
+    sent,
+    expectedOf,
+    closures: COMPANY_CLOSURE_DAYS,
+  }).filter((e) => !caller || e.userId === caller.id || caller.scope.covers(e.userId));
+
+  // ---- récapitulatifs CP (période = fréquence du CP, retards des membres de ses équipes)
+  const pms = users.filter((u) => u.role === "pm" && (!caller || u.id === caller.id));
+  const scopes = new Map(await Promise.all(pms.map(async (pm) => [pm.id, await getPmScope(pm.id)])));
+
+  const digests = pms.map((pm) => {
+    const pref = { ...DEFAULT_REMINDER_PREFERENCES, ...(preferences.get(pm.id) ?? {}) };
+    const base = { userId: pm.id, name: pm.full_name || pm.id, email: pm.email, frequency: pref.frequency };
+    if (pref.opt_out) return { ...base, status: "opt_out", late: [] };
+
+    const period = reminderPeriod(pref.frequency, today, { closures: COMPANY_CLOSURE_DAYS });
+    if (!period) return { ...base, status: "not_due", late: [] };
+
+    const late = users
+      .map((u) => ({
+        userId: u.id,
+        name: u.full_name || u.id,
+        missingDays: completionForDays(filledByUser.get(u.id) ?? new Set(), {
+          from: period.from,
+          to: period.to,
+          closures: COMPANY_CLOSURE_DAYS,
+          until: today,
+          isExpected: (d) => scopes.get(pm.id).covers(u.id, d) && expectedOf(u.id, d) > 0,
+        }).missingDays,
+      }))
+      .filter((u) => u.missingDays.length);
+
+    const entry = { ...base, ...period, late };
+    if (!late.length) return { ...entry, status: "complete" };
+    if (!pm.email) return { ...entry, status: "no_email" };
+    if (sent.has(`pm_digest|${pm.id}|${period.periodKey}`)) return { ...entry, status: "already_sent" };
+    return { ...entry, status: "due" };
+  });
+
+  if (!dryRun) {
+    for (const entry of plan.filter((e) => e.status === "due")) {
+      entry.status = await sendClaimed(
+        { kind: "user", userId: entry.userId, periodKey: entry.periodKey, missingDays: entry.missingDays.length },
+        reminderEmail(entry, { appUrl: APP_URL })
+      );
+    }
+
+    for (const d of digests.filter((e) => e.status === "due")) {
+      d.status = await sendClaimed(
+        { kind: "pm_digest", userId: d.userId, periodKey: d.periodKey, missingDays: d.late.length },
+        pmDigestEmail({ pm: { full_name: d.name, email: d.email }, late: d.late, from: d.from, today, appUrl: APP_URL })
+      );
+    }
+  }
+
+  const all = [...plan, ...digests];
+  return {
+    today,
+    dryRun,
+    smtpConfigured: mailer.configured,
+    users: plan,
+    digests,
+    due: all.filter((e) => e.status === "due").length,
+    sent: all.filter((e) => e.status === "sent").length,
+    failed: all.filter((e) => e.status === "failed").length,
+  };
+}
+
+let lastReminderRun = "";
+
+function startReminderScheduler() {
+  if (!REMINDERS_ENABLED) return;
+  if (!mailer.configured) {
+    console.warn("⚠️ REMINDERS_ENABLED sans SMTP_HOST : relances désactivées");
+    return;
+  }
+
+  const tick = async () => {
+    const { day: today, hour } = clockIn(REMINDER_TIMEZONE);
+    if (lastReminderRun === today || hour < REMINDER_HOUR) return;
+    lastReminderRun = today;
+
+    try {
+      const r = await runReminders({ today });
+      console.log(`📧 Relances ${today} : ${r.sent} envoyée(s), ${r.failed} échec(s)`);
+    } catch (e) {
+      console.warn(`⚠️ Relances ${today} : ${e?.message || e}`);
+    }
+  };
+
+  setInterval(tick, 15 * 60 * 1000).unref();
+  tick();
+}
+
+const ReminderPreferencesSchema = z.object({
+  frequency: z.enum(REMINDER_FREQUENCIES),
+  opt_out: z.boolean().default(false),
+});
+
+/**
+ * GET /api/reminders/preferences : préférences du user (défaut si jamais enregistrées)
+ */
+app.get("/api/reminders/preferences", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prefs = await loadReminderPreferences(supabaseForJwt(auth.jwt), [auth.user.id]);
+    return res.json({
+      ...DEFAULT_REMINDER_PREFERENCES,
+      ...(prefs.get(auth.user.id) ?? {}),
+      frequencies: REMINDER_FREQUENCIES,
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+app.post("/api/reminders/preferences", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const body = ReminderPreferencesSchema.parse(req.body);
+    const { data, error } = await supabaseForJwt(auth.jwt)
+      .from("reminder_preferences")
+      .upsert(
+        { user_id: auth.user.id, ...body, updated_at: new Date().toISOString() },
+        { onConflict: "user_id" }
+      )
+      .select("user_id, frequency, opt_out, updated_at")
+      .single();
+    if (error) throw new Error(error.message);
+
+    return res.json({ ok: true, ...data });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /api/pm/reminders/run { dryRun } : lance le job (PM only) pour les membres
+ * de ses équipes et son récapitulatif
+ */
+app.post("/api/pm/reminders/run", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ dryRun: z.boolean().default(true) }).parse(req.body ?? {});
+    if (!body.dryRun && !mailer.configured) {
+      return res.status(409).json({ error: "SMTP non configuré (SMTP_HOST).", code: "SMTP_NOT_CONFIGURED" });
+    }
+
+    const scope = await getPmScope(auth.user.id);
+    return res.json(await runReminders({ dryRun: body.dryRun, caller: { id: auth.user.id, scope } }));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /api/pm/reminders/log?from=YYYY-MM-DD&to=YYYY-MM-DD : journal des envois (PM only)
+ */
+app.get("/api/pm/reminders/log", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+
+    const prof = await getRole(auth.user.id);
+    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+
+    const q = z
+      .object({
+        from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+        to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+      })
+      .parse(req.query);
 
-    // Response
-    res.setHeader(
-      "Content-Type",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
-    );
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="activities_${q.year}-${String(q.month).padStart(2, "0")}.xlsx"`
+    const scope = await getPmScope(auth.user.id);
+    const log = (await loadReminderLog(supabaseAdmin, q)).filter(
+      (l) => String(l.user_id) === auth.user.id || scope.covers(l.user_id)
     );
 
-    const buffer = await wb.xlsx.writeBuffer();
-    return res.send(Buffer.from(buffer));
+    const { data: profiles, error } = await supabaseAdmin.from("profiles").select("id, full_name");
+    if (error) throw new Error(error.message);
+    const names = new Map((profiles ?? []).map((p) => [String(p.id), p.full_name || p.id]));
+
+    return res.json({
+      smtpConfigured: mailer.configured,
+      schedulerEnabled: REMINDERS_ENABLED && mailer.configured,
+      reminderHour: REMINDER_HOUR,
+      reminderTimeZone: REMINDER_TIMEZONE,
+      log: log.map((l) => ({ ...l, name: names.get(String(l.user_id)) ?? l.user_id })),
+    });
   } catch (e) {
     return res.status(400).json({ error: e?.message || "Bad request" });
   }
 });
 
 /**
- * Profile completion
+ * ---------------------------
+ * Webhooks sortants
+ * ---------------------------
+ * Endpoints déclarés par les admins, événements au choix (WEBHOOK_EVENTS).
+ * Envoi immédiat après l'action (sans bloquer la réponse), puis reprises avec
+ * backoff exponentiel par le worker jusqu'à WEBHOOK_MAX_ATTEMPTS.
+ * En local : npm run webhook-stub (récepteur qui vérifie la signature), avec
+ * WEBHOOK_ALLOW_PRIVATE_HOSTS=1 (sinon localhost / réseau interne refusés, cf. lib/webhooks.js).
  */
-const CompleteProfileSchema = z.object({
-  full_name: z.string().min(1),
-  roleWanted: z.enum(["dev", "pm"]).default("dev"),
-});
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_WORKER_INTERVAL_MS = Number(process.env.WEBHOOK_WORKER_INTERVAL_MS || 30000);
+const WEBHOOK_ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "1";
+
+/**
+ * Une tentative : met à jour la delivery (succès, nouvelle échéance ou abandon)
+ */
+async function attemptWebhookDelivery(endpoint, delivery) {
+  const result = await sendWebhook(endpoint, delivery, {
+    timeoutMs: WEBHOOK_TIMEOUT_MS,
+    allowPrivateHosts: WEBHOOK_ALLOW_PRIVATE_HOSTS,
+  });
+  const attempts = Number(delivery.attempts || 0) + 1;
+  const now = Date.now();
+
+  let status = "pending";
+  if (result.ok) status = "success";
+  else if (attempts >= WEBHOOK_MAX_ATTEMPTS) status = "failed";
+
+  const patch = {
+    status,
+    attempts,
+    last_status_code: result.statusCode,
+    last_error: result.ok ? null : result.error,
+    next_attempt_at: status === "pending" ? new Date(now + webhookBackoffMs(attempts)).toISOString() : null,
+    delivered_at: result.ok ? new Date(now).toISOString() : null,
+  };
 
-function isKeyrusEmail(email) {
-  return typeof email === "string" && email.toLowerCase().endsWith("@keyrus.com");
+  const { data, error } = await supabaseAdmin
+    .from("webhook_deliveries")
+    .update(patch)
+    .eq("id", delivery.id)
+    .select(WEBHOOK_DELIVERY_COLUMNS)
+    .single();
+  if (error) throw new Error(error.message);
+  return data;
 }
 
-function isAllowedPm(email) {
-  const allowed = String(process.env.PM_ALLOWED_EMAILS || "")
-    .split(",")
-    .map((s) => s.trim().toLowerCase())
-    .filter(Boolean);
+/**
+ * Crée une delivery et la tente tout de suite. L'échéance initiale est décalée
+ * pour que le worker ne la reprenne pas pendant ce premier envoi.
+ */
+async function queueWebhookDelivery(endpoint, { event, payload, replayOf = null }) {
+  const { data: delivery, error } = await supabaseAdmin
+    .from("webhook_deliveries")
+    .insert({
+      endpoint_id: endpoint.id,
+      event,
+      event_id: payload.id,
+      payload,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: new Date(Date.now() + webhookBackoffMs(1)).toISOString(),
+      replay_of: replayOf,
+    })
+    .select(WEBHOOK_DELIVERY_COLUMNS)
+    .single();
+  if (error) throw new Error(error.message);
 
-  return allowed.includes(String(email || "").toLowerCase());
+  return attemptWebhookDelivery(endpoint, delivery);
 }
 
-app.post("/api/profile/complete", async (req, res) => {
-  try {
-    const auth = await getUserFromBearer(req);
-    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+async function dispatchWebhook(event, data) {
+  const { data: endpoints, error } = await supabaseAdmin
+    .from("webhook_endpoints")
+    .select("id, url, secret, events, is_active")
+    .eq("is_active", true)
+    .contains("events", [event]);
+  if (error) throw new Error(error.message);
+  if (!endpoints?.length) return;
+
+  // data peut être calculée à la demande (lignes du jour...) : rien à charger sans abonné
+  const payload = webhookPayload(event, typeof data === "function" ? await data() : data);
+  for (const endpoint of endpoints) {
+    await queueWebhookDelivery(endpoint, { event, payload });
+  }
+}
 
-    const { user } = auth;
-    const body = CompleteProfileSchema.parse(req.body);
+/**
+ * Déclenche un événement sans jamais faire échouer la requête en cours
+ */
+function emitWebhook(event, data) {
+  dispatchWebhook(event, data).catch((e) => {
+    console.warn(`⚠️ Webhook ${event} : ${e?.message || e}`);
+  });
+}
 
-    if (!isKeyrusEmail(user.email)) {
-      return res.status(403).json({ error: "Email non autorisé (keyrus.com requis)." });
-    }
+// day.saved / day.pm_edited : lignes du jour après écriture
+function emitDayWebhook(event, { userId, day, actorId, source, result }) {
+  emitWebhook(event, async () => {
+    const { data: rows, error } = await supabaseAdmin
+      .from("activities")
+      .select("id, day, id_ticket, sujet, projet, temps_passe_h, type, impute")
+      .eq("user_id", userId)
+      .eq("day", day);
+    if (error) throw new Error(error.message);
 
-    let finalRole = "dev";
-    if (body.roleWanted === "pm") {
-      if (!isAllowedPm(user.email)) {
-        return res.status(403).json({ error: "Tu n'es pas autorisé à être CP (pm)." });
-      }
-      finalRole = "pm";
+    return {
+      userId,
+      day,
+      actorId,
+      source,
+      inserted: result?.inserted ?? 0,
+      updated: result?.updated ?? 0,
+      deleted: result?.deleted ?? 0,
+      totalHours: roundHours(sumHours(rows ?? [])),
+      rows: rows ?? [],
+    };
+  });
+}
+
+// activity.vsa_updated : changements déjà calculés pour l'audit
+function emitVsaWebhook(changes, { actorId, source }) {
+  if (!changes.length) return;
+  emitWebhook("activity.vsa_updated", {
+    actorId,
+    source,
+    rows: changes.map((c) => ({
+      activityId: c.activityId,
+      userId: c.userId,
+      day: c.day,
+      before: c.before?.impute ?? "",
+      after: c.after?.impute ?? "",
+    })),
+  });
+}
+
+let webhookWorkerRun = null;
+let webhookWorkerLastError = "";
+
+async function retryDueWebhooks() {
+  const { data: due, error } = await supabaseAdmin
+    .from("webhook_deliveries")
+    .select(WEBHOOK_DELIVERY_COLUMNS)
+    .eq("status", "pending")
+    .lte("next_attempt_at", new Date().toISOString())
+    .order("next_attempt_at", { ascending: true })
+    .limit(20);
+  if (error) throw new Error(error.message);
+  if (!due?.length) return;
+
+  const { data: endpoints, error: eErr } = await supabaseAdmin
+    .from("webhook_endpoints")
+    .select("id, url, secret, events, is_active")
+    .in("id", Array.from(new Set(due.map((d) => d.endpoint_id))));
+  if (eErr) throw new Error(eErr.message);
+  const byId = new Map((endpoints ?? []).map((e) => [String(e.id), e]));
+
+  for (const delivery of due) {
+    const endpoint = byId.get(String(delivery.endpoint_id));
+    if (!endpoint?.is_active) {
+      await supabaseAdmin
+        .from("webhook_deliveries")
+        .update({ status: "failed", last_error: "Endpoint désactivé", next_attempt_at: null })
+        .eq("id", delivery.id);
+      continue;
     }
+    await attemptWebhookDelivery(endpoint, delivery);
+  }
+}
 
-    const { error: upsertErr } = await supabaseAdmin
-      .from("profiles")
-      .upsert({ id: user.id, full_name: body.full_name, role: finalRole }, { onConflict: "id" });
+function startWebhookWorker() {
+  const tick = () => {
+    webhookWorkerRun ??= retryDueWebhooks()
+      .then(() => {
+        webhookWorkerLastError = "";
+      })
+      .catch((e) => {
+        // une seule trace tant que l'erreur ne change pas (tables absentes en dev...)
+        const message = String(e?.message || e);
+        if (message !== webhookWorkerLastError) console.warn(`⚠️ Webhooks (reprises) : ${message}`);
+        webhookWorkerLastError = message;
+      })
+      .finally(() => {
+        webhookWorkerRun = null;
+      });
+  };
+  setInterval(tick, WEBHOOK_WORKER_INTERVAL_MS).unref();
+}
 
-    if (upsertErr) throw new Error(upsertErr.message);
+function publicEndpoint(e) {
+  const { secret, ...rest } = e;
+  return { ...rest, secretHint: secret ? `…${String(secret).slice(-4)}` : "" };
+}
 
-    const { error: metaErr } = await supabaseAdmin.auth.admin.updateUserById(user.id, {
-      app_metadata: { role: finalRole },
-    });
+const WebhookEndpointSchema = z.object({
+  id: z.string().min(1).optional(),
+  url: z
+    .string()
+    .url()
+    .refine((u) => /^https?:\/\//i.test(u), { message: "URL http(s) attendue" }),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1),
+  description: z.string().default(""),
+  is_active: z.boolean().default(true),
+});
 
-    if (metaErr) {
-      await supabaseAdmin.from("profiles").update({ role: "dev" }).eq("id", user.id);
-      throw new Error(metaErr.message);
-    }
+/**
+ * GET /api/admin/webhooks : endpoints (secret masqué) + événements disponibles
+ */
+app.get("/api/admin/webhooks", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
 
-    return res.json({ ok: true, role: finalRole });
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const { data, error } = await supabaseAdmin
+      .from("webhook_endpoints")
+      .select(`${WEBHOOK_ENDPOINT_COLUMNS}, secret`)
+      .order("created_at", { ascending: true });
+    if (error) throw new Error(error.message);
+
+    return res.json({ events: WEBHOOK_EVENTS, endpoints: (data ?? []).map(publicEndpoint) });
   } catch (e) {
     return res.status(400).json({ error: e?.message || "Bad request" });
   }
 });
 
 /**
- * GET /api/pm/summary?year=YYYY&month=MM
- * PM only – calculs purs
+ * POST /api/admin/webhooks : création (secret renvoyé une seule fois) ou mise à jour
  */
-app.get("/api/pm/summary", async (req, res) => {
+app.post("/api/admin/webhooks", async (req, res) => {
   try {
     const auth = await getUserFromBearer(req);
     if (!auth) return res.status(401).json({ error: "Unauthorized" });
 
-    const { user, jwt } = auth;
-    const prof = await getRole(user.id);
-    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
 
-    const q = z
-      .object({
-        year: z.coerce.number().int(),
-        month: z.coerce.number().int().min(1).max(12),
-      })
-      .parse(req.query);
+    const { id, ...values } = WebhookEndpointSchema.parse(req.body);
+    const urlError = await checkWebhookTarget(values.url, { allowPrivateHosts: WEBHOOK_ALLOW_PRIVATE_HOSTS });
+    if (urlError) return res.status(400).json({ error: urlError });
 
-    const { startStr, endStr } = startEndOfMonth(q.year, q.month);
-    const supabaseUser = supabaseForJwt(jwt);
+    if (id) {
+      const { data, error } = await supabaseAdmin
+        .from("webhook_endpoints")
+        .update(values)
+        .eq("id", id)
+        .select(`${WEBHOOK_ENDPOINT_COLUMNS}, secret`)
+        .maybeSingle();
+      if (error) throw new Error(error.message);
+      if (!data) return res.status(404).json({ error: "Endpoint introuvable" });
+      return res.json({ ok: true, endpoint: publicEndpoint(data) });
+    }
 
-    const { data: profiles, error: pErr } = await supabaseUser
-      .from("profiles")
-      .select("id, full_name");
-    if (pErr) throw new Error(pErr.message);
+    const secret = generateWebhookSecret();
+    const { data, error } = await supabaseAdmin
+      .from("webhook_endpoints")
+      .insert({ ...values, secret, created_by: auth.user.id })
+      .select(`${WEBHOOK_ENDPOINT_COLUMNS}, secret`)
+      .single();
+    if (error) throw new Error(error.message);
 
-    const { data: activities, error: aErr } = await supabaseUser
-      .from("activities")
-      .select("user_id, day, temps_passe_h, type, projet")
-      .gte("day", startStr)
-      .lte("day", endStr);
-    if (aErr) throw new Error(aErr.message);
+    return res.json({ ok: true, endpoint: publicEndpoint(data), secret });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
 
-    const stats = computeMonthlySummaryStats({
-      profiles,
-      activities,
-      year: q.year,
-      month: q.month,
-    });
+app.post("/api/admin/webhooks/rotate-secret", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
 
-    return res.json(stats);
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
+
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+    const secret = generateWebhookSecret();
+
+    const { data, error } = await supabaseAdmin
+      .from("webhook_endpoints")
+      .update({ secret })
+      .eq("id", body.id)
+      .select("id");
+    if (error) throw new Error(error.message);
+    if (!data?.length) return res.status(404).json({ error: "Endpoint introuvable" });
+
+    return res.json({ ok: true, secret });
   } catch (e) {
     return res.status(400).json({ error: e?.message || "Bad request" });
   }
 });
 
-/**
- * POST /api/pm/summary/ai
- * Reformulation uniquement
- */
-app.post("/api/pm/summary/ai", async (req, res) => {
+app.post("/api/admin/webhooks/delete", async (req, res) => {
   try {
     const auth = await getUserFromBearer(req);
     if (!auth) return res.status(401).json({ error: "Unauthorized" });
 
-    const { user } = auth;
-    const prof = await getRole(user.id);
-    if (prof.role !== "pm") return res.status(403).json({ error: "Forbidden" });
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
 
-    const body = z.object({
-      stats: z.any(),
-    }).parse(req.body);
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+    const { error } = await supabaseAdmin.from("webhook_endpoints").delete().eq("id", body.id);
+    if (error) throw new Error(error.message);
 
-    const system = `
-Tu es un assistant de rédaction professionnelle.
-Tu ne fais AUCUN calcul.
-Tu reformules uniquement les données fournies.
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
 
-Structure STRICTE :
-1. Introduction (1 phrase)
-2. Trois faits marquants
-3. Deux points de vigilance
-4. Conclusion (1 phrase)
+/**
+ * POST /api/admin/webhooks/test { id } : événement "ping" envoyé tout de suite
+ */
+app.post("/api/admin/webhooks/test", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
 
-Aucune supposition. Aucune interprétation humaine.
-`;
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
 
-    const response = await mistral.chat.complete({
-      model: MISTRAL_MODEL,
-      temperature: 0.2,
-      messages: [
-        { role: "system", content: system },
-        {
-          role: "user",
-          content: JSON.stringify(body.stats),
-        },
-      ],
-    });
+    const body = z.object({ id: z.string().min(1) }).parse(req.body);
+    const { data: endpoint, error } = await supabaseAdmin
+      .from("webhook_endpoints")
+      .select("id, url, secret, events, is_active")
+      .eq("id", body.id)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!endpoint) return res.status(404).json({ error: "Endpoint introuvable" });
 
-    const content = mistralContentToText(
-      response?.choices?.[0]?.message?.content
-    );
+    const payload = webhookPayload("ping", { actorId: auth.user.id });
+    const delivery = await queueWebhookDelivery(endpoint, { event: "ping", payload });
 
-    return res.json({ summary: content });
+    return res.json({ ok: delivery.status === "success", delivery });
   } catch (e) {
     return res.status(400).json({ error: e?.message || "Bad request" });
   }
 });
 
 /**
- * PM Dashboard: GET /api/pm/completion?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * GET /api/admin/webhooks/deliveries?endpointId=&status=&limit=
  */
-app.get("/api/pm/completion", async (req, res) => {
+app.get("/api/admin/webhooks/deliveries", async (req, res) => {
   try {
     const auth = await getUserFromBearer(req);
     if (!auth) return res.status(401).json({ error: "Unauthorized" });
 
-    const { user, jwt } = auth;
-    const { role } = await getRole(user.id);
-    if (role !== "pm") return res.status(403).json({ error: "Forbidden" });
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
 
-    const q = z.object({ from: z.string().min(10), to: z.string().min(10) }).parse(req.query);
-    const supabaseUser = supabaseForJwt(jwt);
+    const q = z
+      .object({
+        endpointId: z.string().min(1).optional(),
+        status: z.enum(["pending", "success", "failed"]).optional(),
+        limit: z.coerce.number().int().min(1).max(500).default(100),
+      })
+      .parse(req.query);
 
-    const { data: profiles, error: pErr } = await supabaseUser
-      .from("profiles")
-      .select("id, full_name, role");
-    if (pErr) throw new Error(pErr.message);
+    let query = supabaseAdmin
+      .from("webhook_deliveries")
+      .select(WEBHOOK_DELIVERY_COLUMNS)
+      .order("created_at", { ascending: false })
+      .limit(q.limit);
+    if (q.endpointId) query = query.eq("endpoint_id", q.endpointId);
+    if (q.status) query = query.eq("status", q.status);
 
-    const { data: acts, error: aErr } = await supabaseUser
-      .from("activities")
-      .select("user_id, day, temps_passe_h, type")
-      .gte("day", q.from)
-      .lte("day", q.to);
-    if (aErr) throw new Error(aErr.message);
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
 
-    const map = new Map();
-    for (const prof of profiles ?? []) {
-      map.set(prof.id, {
-        days: new Set(),
-        hours: 0,
-        name: prof.full_name || prof.id,
-        role: prof.role,
-      });
-    }
+    return res.json({ deliveries: data ?? [] });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Bad request" });
+  }
+});
 
-    for (const a of acts ?? []) {
-      const st = map.get(a.user_id);
-      if (!st) continue;
-      st.days.add(a.day);
-      st.hours += Number(a.temps_passe_h || 0);
-    }
+/**
+ * POST /api/admin/webhooks/replay { deliveryId } : renvoie le même événement
+ * (même id d'événement, nouvelle delivery) ; le destinataire peut dédoublonner sur "id".
+ */
+app.post("/api/admin/webhooks/replay", async (req, res) => {
+  try {
+    const auth = await getUserFromBearer(req);
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
 
-    const result = Array.from(map.entries()).map(([userId, st]) => ({
-      userId,
-      name: st.name,
-      role: st.role,
-      filledDays: st.days.size,
-      totalHours: Math.round(st.hours * 10) / 10,
-    }));
+    const prof = await getRole(auth.user.id);
+    if (!prof.is_admin) return res.status(403).json({ error: "Forbidden" });
 
-    return res.json({ from: q.from, to: q.to, users: result });
+    const body = z.object({ deliveryId: z.string().min(1) }).parse(req.body);
+
+    const { data: original, error } = await supabaseAdmin
+      .from("webhook_deliveries")
+      .select(WEBHOOK_DELIVERY_COLUMNS)
+      .eq("id", body.deliveryId)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!original) return res.status(404).json({ error: "Delivery introuvable" });
+
+    const { data: endpoint, error: eErr } = await supabaseAdmin
+      .from("webhook_endpoints")
+      .select("id, url, secret, events, is_active")
+      .eq("id", original.endpoint_id)
+      .maybeSingle();
+    if (eErr) throw new Error(eErr.message);
+    if (!endpoint) return res.status(404).json({ error: "Endpoint supprimé" });
+    if (!endpoint.is_active) return res.status(409).json({ error: "Endpoint désactivé" });
+
+    const delivery = await queueWebhookDelivery(endpoint, {
+      event: original.event,
+      payload: original.payload,
+      replayOf: original.id,
+    });
+
+    return res.json({ ok: delivery.status === "success", delivery });
   } catch (e) {
     return res.status(400).json({ error: e?.message || "Bad request" });
   }
@@ -1324,10 +6690,13 @@ app.get("/api/pm/activities", async (req, res) => {
 
     const q = z.object({
       userId: z.string().min(1),
-      from: z.string().min(10),
-      to: z.string().min(10),
+      from: YmdSchema,
+      to: YmdSchema,
     }).parse(req.query);
 
+    const scope = await getPmScope(user.id);
+    if (rejectIfOutOfScope(res, scope, [{ userId: q.userId }])) return;
+
     const supabaseUser = supabaseForJwt(jwt);
 
     const { data, error } = await supabaseUser
@@ -1340,7 +6709,15 @@ app.get("/api/pm/activities", async (req, res) => {
       .order("id", { ascending: true });
 
     if (error) throw new Error(error.message);
-    return res.json({ userId: q.userId, from: q.from, to: q.to, rows: data ?? [] });
+
+    // conversion heures -> jours selon le contrat du dev
+    const schedules = await getUserSchedules(q.userId);
+    const rows = scope.filterRows(data).map((r) => ({
+      ...r,
+      temps_passe_j: hoursToDays(r.temps_passe_h, dayCapacity(schedules, r.day)),
+    }));
+
+    return res.json({ userId: q.userId, from: q.from, to: q.to, rows });
   } catch (e) {
     return res.status(400).json({ error: e?.message || "Bad request" });
   }
@@ -1365,8 +6742,12 @@ app.get("/api/pm/export-range", async (req, res) => {
       from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
       to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
       userId: z.string().optional(),
+      teamId: z.string().min(1).optional(),
     }).parse(req.query);
 
+    const scope = await getPmScope(user.id, { teamId: q.teamId });
+    if (!scope) return res.status(403).json({ error: "Équipe non gérée" });
+
     const supabaseUser = supabaseForJwt(jwt);
 
     // profiles map
@@ -1390,8 +6771,9 @@ app.get("/api/pm/export-range", async (req, res) => {
 
     if (q.userId) actsQ = actsQ.eq("user_id", q.userId);
 
-    const { data: acts, error: aErr } = await actsQ;
+    const { data: allActs, error: aErr } = await scopeQuery(actsQ, scope, q);
     if (aErr) throw new Error(aErr.message);
+    const acts = scope.filterRows(allActs);
 
     // CSV safe cells
     function sanitizeCsvCell(v) {
@@ -1454,9 +6836,13 @@ app.get("/api/pm/export", async (req, res) => {
       .object({
         year: z.coerce.number().int().min(2000).max(2100),
         month: z.coerce.number().int().min(1).max(12),
+        teamId: z.string().min(1).optional(),
       })
       .parse(req.query);
 
+    const scope = await getPmScope(user.id, { teamId: q.teamId });
+    if (!scope) return res.status(403).json({ error: "Équipe non gérée" });
+
     const { startStr, endStr } = startEndOfMonth(q.year, q.month);
 
     // On utilise un client user-scoped (jwt du PM) pour respecter RLS
@@ -1473,16 +6859,21 @@ app.get("/api/pm/export", async (req, res) => {
       (profiles ?? []).map((p) => [p.id, (p.full_name ?? "").trim() || p.id])
     );
 
-    // 2) Activities du mois (tous users)
-    const { data: acts, error: aErr } = await supabaseUser
-      .from("activities")
-      .select("user_id, day, id_ticket, sujet, projet, temps_passe_h, type, impute")
-      .gte("day", startStr)
-      .lte("day", endStr)
-      .order("user_id", { ascending: true })
-      .order("day", { ascending: true });
+    // 2) Activities du mois (membres des équipes du CP)
+    const { data: allActs, error: aErr } = await scopeQuery(
+      supabaseUser
+        .from("activities")
+        .select("user_id, day, id_ticket, sujet, projet, temps_passe_h, type, impute")
+        .gte("day", startStr)
+        .lte("day", endStr)
+        .order("user_id", { ascending: true })
+        .order("day", { ascending: true }),
+      scope,
+      { from: startStr, to: endStr }
+    );
 
     if (aErr) throw new Error(aErr.message);
+    const acts = scope.filterRows(allActs);
 
     // 3) CSV
     const header = "full_name;user_id;day;id_ticket;ticket_url;sujet;projet;temps_passe_h;type;impute";
@@ -1547,8 +6938,12 @@ app.get("/api/pm/export-range-xlsx", async (req, res) => {
       from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
       to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
       userId: z.string().optional(),
+      teamId: z.string().min(1).optional(),
     }).parse(req.query);
 
+    const scope = await getPmScope(user.id, { teamId: q.teamId });
+    if (!scope) return res.status(403).json({ error: "Équipe non gérée" });
+
     const supabaseUser = supabaseForJwt(jwt);
 
     // profiles map
@@ -1572,8 +6967,9 @@ app.get("/api/pm/export-range-xlsx", async (req, res) => {
 
     if (q.userId) actsQ = actsQ.eq("user_id", q.userId);
 
-    const { data: acts, error: aErr } = await actsQ;
+    const { data: allActs, error: aErr } = await scopeQuery(actsQ, scope, q);
     if (aErr) throw new Error(aErr.message);
+    const acts = scope.filterRows(allActs);
 
     // --- Excel
     const wb = new ExcelJS.Workbook();
@@ -1648,8 +7044,12 @@ app.get("/api/pm/export-xlsx", async (req, res) => {
     const q = z.object({
       year: z.coerce.number().int().min(2000).max(2100),
       month: z.coerce.number().int().min(1).max(12),
+      teamId: z.string().min(1).optional(),
     }).parse(req.query);
 
+    const scope = await getPmScope(user.id, { teamId: q.teamId });
+    if (!scope) return res.status(403).json({ error: "Équipe non gérée" });
+
     const { startStr, endStr } = startEndOfMonth(q.year, q.month);
     const supabaseUser = supabaseForJwt(jwt);
 
@@ -1662,15 +7062,20 @@ app.get("/api/pm/export-xlsx", async (req, res) => {
       (profiles ?? []).map((p) => [p.id, (p.full_name ?? "").trim() || p.id])
     );
 
-    const { data: acts, error: aErr } = await supabaseUser
-      .from("activities")
-      .select("user_id, day, id_ticket, sujet, projet, temps_passe_h, type, impute")
-      .gte("day", startStr)
-      .lte("day", endStr)
-      .order("user_id", { ascending: true })
-      .order("day", { ascending: true });
+    const { data: allActs, error: aErr } = await scopeQuery(
+      supabaseUser
+        .from("activities")
+        .select("user_id, day, id_ticket, sujet, projet, temps_passe_h, type, impute")
+        .gte("day", startStr)
+        .lte("day", endStr)
+        .order("user_id", { ascending: true })
+        .order("day", { ascending: true }),
+      scope,
+      { from: startStr, to: endStr }
+    );
 
     if (aErr) throw new Error(aErr.message);
+    const acts = scope.filterRows(allActs);
 
     const wb = new ExcelJS.Workbook();
     const ws = wb.addWorksheet("Activities");
@@ -1732,4 +7137,8 @@ app.get("/api/pm/export-xlsx", async (req, res) => {
 });
 
 const port = Number(process.env.PORT || 8787);
-app.listen(port, () => console.log(`✅ server on http://localhost:${port}`));
\ No newline at end of file
+app.listen(port, () => {
+  console.log(`✅ server on http://localhost:${port}`);
+  startReminderScheduler();
+  startWebhookWorker();
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+// src/lib/absences.js
+import { dayKind, eachDay } from "./calendar.js";
+
+/**
+ * ---------------------------
+ * Absences sur une période (congés, alternance, arrêt maladie)
+ * ---------------------------
+ * Table Supabase "absences":
+ *   id, user_id, kind, from_day, to_day,
+ *   start_half (true = commence l'après-midi), end_half (true = se termine à midi),
+ *   comment, created_at
+ * Table "absence_days" (lignes générées, pour annuler exactement ce qui a été créé) :
+ *   id, absence_id, user_id, day, activity_id (activities.id, on delete set null)
+ *
+ * Une ligne par jour ouvré dû au contrat, heures = plafond du jour (moitié sur les
+ * demi-journées). Pas de type dédié à la maladie dans l'enum Supabase : l'arrêt est
+ * saisi en "Congés" avec le sujet "Arrêt maladie".
+ */
+export const ABSENCE_KINDS = {
+  conges: { type: "Congés", sujet: "Congés", label: "Congés" },
+  alternance: { type: "Alternance", sujet: "Alternance", label: "Alternance" },
+  maladie: { type: "Congés", sujet: "Arrêt maladie", label: "Arrêt maladie" },
+};
+
+export const ABSENCE_COLUMNS =
+  "id, user_id, kind, from_day, to_day, start_half, end_half, comment, created_at";
+
+export async function loadAbsences(supabaseClient, userId, { from, to } = {}) {
+  let q = supabaseClient
+    .from("absences")
+    .select(ABSENCE_COLUMNS)
+    .eq("user_id", userId)
+    .order("from_day", { ascending: false });
+
+  if (from) q = q.gte("to_day", from);
+  if (to) q = q.lte("from_day", to);
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+export async function loadAbsenceDays(supabaseClient, absenceIds) {
+  if (!absenceIds?.length) return [];
+
+  const { data, error } = await supabaseClient
+    .from("absence_days")
+    .select("id, absence_id, user_id, day, activity_id")
+    .in("absence_id", absenceIds);
+
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+// Part de la journée couverte : 1, ou 0.5 sur une demi-journée de début / fin
+export function absenceFraction({ from_day, to_day, start_half, end_half }, day) {
+  let fraction = 1;
+  if (day === from_day && start_half) fraction -= 0.5;
+  if (day === to_day && end_half) fraction -= 0.5;
+  // un seul jour, commence l'après-midi et finit à midi : au moins une demi-journée
+  return fraction > 0 ? fraction : 0.5;
+}
+
+/**
+ * Plan jour par jour (aucune écriture) :
+ *   status "create"   -> ligne à générer (hours)
+ *          "conflict" -> activité déjà saisie, l'absence ne tient pas dans le plafond
+ *                        (ou même absence déjà déclarée) ; jour non modifié
+ *          "skipped"  -> week-end / férié / fermeture, non travaillé, clôturé, semaine validée
+ * ctx : closures, capacityOf(day), expectedOf(day), existingByDay (Map day -> rows),
+ *       blockedReason(day) -> "" | message
+ */
+export function planAbsenceDays(absence, ctx) {
+  const kind = ABSENCE_KINDS[absence.kind];
+
+  return eachDay(absence.from_day, absence.to_day).map((day) => {
+    const { kind: dk, label } = dayKind(day, { closures: ctx.closures });
+    if (dk !== "working") return { day, status: "skipped", reason: label, hours: 0 };
+    if (ctx.expectedOf(day) <= 0) {
+      return { day, status: "skipped", reason: "Non travaillé (contrat)", hours: 0 };
+    }
+
+    const blocked = ctx.blockedReason(day);
+    if (blocked) return { day, status: "skipped", reason: blocked, hours: 0 };
+
+    const capacity = ctx.capacityOf(day);
+    const hours = Math.round(capacity * absenceFraction(absence, day) * 100) / 100;
+    const existing = ctx.existingByDay.get(day) ?? [];
+    const existingHours = existing.reduce((acc, r) => acc + Number(r.temps_passe_h || 0), 0);
+
+    if (existing.some((r) => r.type === kind.type && r.sujet === kind.sujet)) {
+      return { day, status: "conflict", reason: `${kind.label} déjà saisi`, hours, existing };
+    }
+    if (existingHours + hours > capacity + 1e-9) {
+      return {
+        day,
+        status: "conflict",
+        reason: `Activité déjà saisie (${Math.round(existingHours * 100) / 100}h)`,
+        hours,
+        existing,
+      };
+    }
+    return { day, status: "create", reason: "", hours, existing };
+  });
+}
@@ -0,0 +1,72 @@
+// src/lib/access.js
+
+/**
+ * ---------------------------
+ * Accès : domaines autorisés + invitations
+ * ---------------------------
+ * Table Supabase "allowed_email_domains" : id, domain (unique, minuscules), created_by, created_at
+ *   Vide = DEFAULT_EMAIL_DOMAINS (comportement historique).
+ * Table "user_invitations" : id, email (minuscules), role ("dev" | "pm"), is_admin,
+ *   team_id (null | on delete set null), invited_by, created_at, expires_at,
+ *   accepted_at, accepted_by, revoked_at
+ * Une invitation en cours autorise l'email quel que soit son domaine et fixe
+ * rôle / admin / équipe à la complétion du profil.
+ * profiles.is_admin (default false) / profiles.is_active (not null default true) :
+ *   droits admin et désactivation, gérés en base.
+ */
+export const DEFAULT_EMAIL_DOMAINS = ["keyrus.com"];
+
+export const INVITATION_COLUMNS =
+  "id, email, role, is_admin, team_id, invited_by, created_at, expires_at, accepted_at, accepted_by, revoked_at";
+
+// "@Keyrus.com " -> "keyrus.com" ; "" si invalide
+export function normalizeDomain(raw) {
+  const d = String(raw ?? "").trim().toLowerCase().replace(/^@/, "");
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(d) ? d : "";
+}
+
+export function emailDomain(email) {
+  const at = String(email ?? "").lastIndexOf("@");
+  return at < 0 ? "" : String(email).slice(at + 1).trim().toLowerCase();
+}
+
+export async function loadEmailDomains(supabaseClient) {
+  const { data, error } = await supabaseClient
+    .from("allowed_email_domains")
+    .select("id, domain, created_by, created_at")
+    .order("domain", { ascending: true });
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+// domains : lignes allowed_email_domains (vide = défaut)
+export function isEmailAllowed(email, domains) {
+  const list = domains?.length ? domains.map((d) => d.domain) : DEFAULT_EMAIL_DOMAINS;
+  return list.includes(emailDomain(email));
+}
+
+export function invitationStatus(inv, now = new Date().toISOString()) {
+  if (inv.accepted_at) return "accepted";
+  if (inv.revoked_at) return "revoked";
+  if (inv.expires_at && inv.expires_at < now) return "expired";
+  return "pending";
+}
+
+export async function loadInvitations(supabaseClient, { email } = {}) {
+  let q = supabaseClient
+    .from("user_invitations")
+    .select(INVITATION_COLUMNS)
+    .order("created_at", { ascending: false });
+  if (email) q = q.eq("email", String(email).toLowerCase());
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+// invitation en cours la plus récente pour cet email (null sinon)
+export async function findPendingInvitation(supabaseClient, email) {
+  if (!email) return null;
+  const invitations = await loadInvitations(supabaseClient, { email });
+  return invitations.find((i) => invitationStatus(i) === "pending") ?? null;
+}
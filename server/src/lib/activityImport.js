@@ -0,0 +1,163 @@
+// src/lib/activityImport.js
+import ExcelJS from "exceljs";
+
+/**
+ * ---------------------------
+ * Import d'activités (CSV / XLSX)
+ * ---------------------------
+ * Accepte les mêmes mises en page que nos exports :
+ *   - CSV ";" avec BOM : day;id_ticket;ticket_url;sujet;projet;temps_passe_h;type;impute
+ *     (CP : full_name;user_id;... en tête)
+ *   - XLSX : Date | ID Ticket | Sujet | Projet | Charge réelle (h) / Temps (h) | Type | Code VSA
+ *     (CP : Nom | User ID | ...)
+ * Ce module ne fait que lire le fichier : validation et écriture côté route.
+ */
+const HEADER_ALIASES = {
+  day: ["day", "date", "jour"],
+  id_ticket: ["id_ticket", "id ticket", "ticket"],
+  ticket_url: ["ticket_url", "url"],
+  sujet: ["sujet", "subject"],
+  projet: ["projet", "project"],
+  temps_passe_h: ["temps_passe_h", "charge reelle (h)", "temps (h)", "heures", "hours"],
+  type: ["type"],
+  impute: ["impute", "code vsa"],
+  full_name: ["full_name", "nom", "name"],
+  user_id: ["user_id", "user id"],
+};
+
+function foldHeader(h) {
+  return String(h ?? "")
+    .replace(/^\uFEFF/, "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const FIELD_BY_HEADER = new Map(
+  Object.entries(HEADER_ALIASES).flatMap(([field, aliases]) => aliases.map((a) => [a, field]))
+);
+
+/**
+ * En-têtes du fichier -> champs connus ; "day" obligatoire
+ */
+export function mapImportHeaders(headers) {
+  const fields = headers.map((h) => FIELD_BY_HEADER.get(foldHeader(h)) ?? null);
+  if (!fields.includes("day")) {
+    throw new Error("Colonne date introuvable (attendu : day / Date).");
+  }
+  return fields;
+}
+
+// export CSV : "'" ajouté devant =, +, -, @ (injection Excel)
+function unprotectCell(v) {
+  const s = String(v ?? "").trim();
+  return /^'[=+\-@]/.test(s) ? s.slice(1) : s;
+}
+
+/**
+ * "2026-03-12", "12/03/2026" ou Date Excel -> "YYYY-MM-DD" (sinon texte brut, rejeté ensuite)
+ */
+export function normalizeImportDay(v) {
+  if (v instanceof Date && !Number.isNaN(v.getTime())) return v.toISOString().slice(0, 10);
+
+  const s = String(v ?? "").trim();
+  const fr = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (fr) return `${fr[3]}-${fr[2].padStart(2, "0")}-${fr[1].padStart(2, "0")}`;
+  return s.slice(0, 10);
+}
+
+export function normalizeImportHours(v) {
+  if (typeof v === "number") return v;
+  const s = String(v ?? "").trim().replace(",", ".");
+  return s === "" ? 0 : Number(s);
+}
+
+function rowFromValues(fields, values, line) {
+  const out = { line };
+  fields.forEach((f, i) => {
+    if (!f || f === "ticket_url") return;
+    out[f] = values[i];
+  });
+  return {
+    line,
+    user_id: unprotectCell(out.user_id),
+    full_name: unprotectCell(out.full_name),
+    day: normalizeImportDay(out.day),
+    id_ticket: unprotectCell(out.id_ticket),
+    sujet: unprotectCell(out.sujet),
+    projet: unprotectCell(out.projet),
+    temps_passe_h: normalizeImportHours(out.temps_passe_h),
+    type: unprotectCell(out.type),
+    impute: unprotectCell(out.impute),
+  };
+}
+
+function isBlank(values) {
+  return values.every((v) => String(v ?? "").trim() === "");
+}
+
+export function parseImportCsv(text) {
+  const lines = String(text ?? "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/);
+
+  const headerLine = lines.shift() ?? "";
+  const sep = headerLine.includes(";") ? ";" : ",";
+  const fields = mapImportHeaders(headerLine.split(sep));
+
+  const rows = [];
+  lines.forEach((l, i) => {
+    const values = l.split(sep);
+    if (isBlank(values)) return;
+    // ligne 1 = en-tête
+    rows.push(rowFromValues(fields, values, i + 2));
+  });
+  return rows;
+}
+
+// Cellule ExcelJS -> valeur simple (lien, texte riche, formule)
+function cellValue(v) {
+  if (v == null) return "";
+  if (v instanceof Date) return v;
+  if (typeof v === "object") {
+    if ("text" in v) return typeof v.text === "string" ? v.text : cellValue(v.text);
+    if ("richText" in v) return v.richText.map((t) => t.text).join("");
+    if ("result" in v) return cellValue(v.result);
+    return "";
+  }
+  return v;
+}
+
+export async function parseImportXlsx(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+
+  const ws = wb.worksheets[0];
+  if (!ws) throw new Error("Classeur vide.");
+
+  const width = ws.columnCount;
+  const read = (row) => Array.from({ length: width }, (_, i) => cellValue(row.getCell(i + 1).value));
+
+  const fields = mapImportHeaders(read(ws.getRow(1)));
+  const rows = [];
+  ws.eachRow((row, n) => {
+    if (n === 1) return;
+    const values = read(row);
+    if (isBlank(values)) return;
+    rows.push(rowFromValues(fields, values, n));
+  });
+  return rows;
+}
+
+/**
+ * format : "csv" | "xlsx" (déduit du nom de fichier / de la signature ZIP sinon)
+ */
+export async function parseImportFile(buffer, { format, filename = "" } = {}) {
+  const kind =
+    format ||
+    (/\.xlsx$/i.test(filename) || (buffer[0] === 0x50 && buffer[1] === 0x4b) ? "xlsx" : "csv");
+
+  return kind === "xlsx" ? parseImportXlsx(buffer) : parseImportCsv(buffer.toString("utf8"));
+}
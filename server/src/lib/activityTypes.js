@@ -0,0 +1,120 @@
+// src/lib/activityTypes.js
+
+/**
+ * ---------------------------
+ * Activity types (ALIGN with Supabase enum)
+ * Supabase enum currently: Travail, Réunion, Support, Congés, Week-end, Autre
+ * ---------------------------
+ */
+export const ActivityType = [
+  "Travail",
+  "Réunion",
+  "Support",
+  "Projet",
+  "Congés",
+  "Alternance",
+  "Week-end",
+  "Autre",
+  "Evol",
+  "Ano",
+  "Incident Applicatif",
+  "Non défini",
+];
+
+// Vocabulaire (texte simplifié -> type), partagé avec le parseur hors-ligne
+export const TYPE_KEYWORDS = {
+  // ----- Travail
+  travail: "Travail",
+  dev: "Travail",
+  developpement: "Travail",
+  developper: "Travail",
+  "dev sur": "Travail",
+
+  // ----- Réunion
+  reunion: "Réunion",
+  meeting: "Réunion",
+  daily: "Réunion",
+  point: "Réunion",
+  sync: "Réunion",
+
+  // ----- Support (hors incident applicatif)
+  support: "Support",
+  assistance: "Support",
+  debug: "Support",
+  bug: "Support",
+  correction: "Support",
+
+  // ----- Incident Applicatif
+  incident: "Incident Applicatif",
+  "incident applicatif": "Incident Applicatif",
+  "incident appli": "Incident Applicatif",
+  "incident application": "Incident Applicatif",
+
+  // ----- Projet
+  projet: "Projet",
+  project: "Projet",
+
+  // ----- Evol (legacy)
+  evol: "Evol",
+  evolution: "Evol",
+  "evolution technique": "Evol",
+  "feature": "Evol",
+
+  // ----- Ano (legacy)
+  ano: "Ano",
+  anomalie: "Ano",
+  anomalies: "Ano",
+
+  // ----- Ticket Non défini (legacy)
+  "ticket non defini": "Non défini",
+  "non defini": "Non défini",
+  ticket: "Non défini",
+
+  // ----- Congés
+  conge: "Congés",
+  conges: "Congés",
+  cp: "Congés",
+  vacances: "Congés",
+
+  // ----- Alternance
+  alternance: "Alternance",
+  ecole: "Alternance",
+  cfa: "Alternance",
+  cours: "Alternance",
+  formation: "Alternance",    // si le LLM dit “formation”
+  "formation ia": "Alternance",
+
+  // ----- Week-end
+  weekend: "Week-end",
+  "week end": "Week-end",
+  "week-end": "Week-end",
+  we: "Week-end",
+
+  // ----- Autre
+  autre: "Autre",
+  divers: "Autre",
+};
+
+// minuscules, sans accents, séparateurs "_" "/" -> espace
+export function foldTypeText(v) {
+  return String(v ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // remove accents
+    .replace(/[_/]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Normalisation robuste (accents, tirets, variantes)
+export function normalizeType(v) {
+  const s0 = String(v ?? "")
+    .replace(/[\u200B-\u200D\uFEFF]/g, "") // zero-width
+    .trim()
+    .normalize("NFC");
+
+  const simplified = foldTypeText(s0);
+
+  if (ActivityType.includes(s0)) return s0;
+  return TYPE_KEYWORDS[simplified] ?? "Autre";
+}
@@ -0,0 +1,190 @@
+// src/lib/audit.js
+import { randomUUID } from "node:crypto";
+
+/**
+ * ---------------------------
+ * Historique des activités (audit append-only)
+ * ---------------------------
+ * Table Supabase "activity_audit" (insert via service role uniquement) :
+ *   id, batch_id, activity_id, action (insert|update|delete),
+ *   actor_id, target_user_id, day, before (jsonb|null), after (jsonb|null),
+ *   reason, created_at
+ *
+ * Un "batch" = une sauvegarde (plusieurs lignes modifiées en même temps) :
+ * c'est l'unité de version pour l'affichage et la restauration d'un jour.
+ */
+export const AUDITED_FIELDS = [
+  "id_ticket",
+  "sujet",
+  "projet",
+  "temps_passe_h",
+  "type",
+  "impute",
+];
+
+export function auditSnapshot(row) {
+  if (!row) return null;
+  const out = {};
+  for (const f of AUDITED_FIELDS) out[f] = row[f] ?? (f === "temps_passe_h" ? 0 : "");
+  return out;
+}
+
+/**
+ * changes: [{ action, activityId, userId, day, before, after }]
+ */
+export async function recordActivityAudit(supabaseClient, changes, { actorId, reason = "" }) {
+  const list = (changes ?? []).filter(Boolean);
+  if (!list.length) return null;
+
+  const batchId = randomUUID();
+  const payload = list.map((c) => ({
+    batch_id: batchId,
+    activity_id: c.activityId,
+    action: c.action,
+    actor_id: actorId,
+    target_user_id: c.userId,
+    day: c.day,
+    before: auditSnapshot(c.before),
+    after: auditSnapshot(c.after),
+    reason,
+  }));
+
+  const { error } = await supabaseClient.from("activity_audit").insert(payload);
+  if (error) throw new Error(error.message);
+  return batchId;
+}
+
+/**
+ * Annule des changements déjà appliqués (ordre inverse) : insert -> delete,
+ * update -> valeurs "before", delete -> ré-insertion avec le même id.
+ */
+export async function undoActivityChanges(supabaseClient, changes) {
+  const failures = [];
+
+  for (const c of [...(changes ?? [])].filter(Boolean).reverse()) {
+    let result;
+    if (c.action === "insert") {
+      result = await supabaseClient.from("activities").delete().eq("id", c.activityId);
+    } else if (c.action === "update") {
+      result = await supabaseClient
+        .from("activities")
+        .update(auditSnapshot(c.before))
+        .eq("id", c.activityId);
+    } else {
+      result = await supabaseClient
+        .from("activities")
+        .insert({ id: c.activityId, user_id: c.userId, day: c.day, ...auditSnapshot(c.before) });
+    }
+    if (result.error) failures.push(result.error.message);
+  }
+
+  if (failures.length) throw new Error(failures.join(" ; "));
+}
+
+/**
+ * Échec au milieu d'une série d'écritures : ce qui a déjà été appliqué est
+ * annulé (rien ne reste hors historique), puis l'erreur d'origine est relancée.
+ */
+export async function undoActivityChangesAndThrow(supabaseClient, changes, err) {
+  const reason = err?.message || String(err);
+  if ((changes ?? []).length) {
+    try {
+      await undoActivityChanges(supabaseClient, changes);
+    } catch (undoErr) {
+      console.error(`❌ Undo after partial failure failed: ${undoErr?.message || undoErr}`);
+      throw new Error(
+        `${reason} — annulation incomplète, données possiblement incohérentes : ${undoErr?.message || undoErr}`
+      );
+    }
+  }
+  throw err instanceof Error ? err : new Error(reason);
+}
+
+/**
+ * L'audit fait partie de l'opération : si l'historique ne peut pas être écrit,
+ * les changements (déjà appliqués) sont annulés et la requête échoue.
+ * undo : compensation spécifique (par défaut undoActivityChanges).
+ */
+export async function recordActivityAuditOrUndo(supabaseClient, changes, { undo, ...opts }) {
+  try {
+    return await recordActivityAudit(supabaseClient, changes, opts);
+  } catch (e) {
+    const reason = e?.message || String(e);
+    console.error(`❌ Audit write failed, undoing changes: ${reason}`);
+
+    try {
+      await (undo ? undo() : undoActivityChanges(supabaseClient, changes));
+    } catch (undoErr) {
+      console.error(`❌ Undo after audit failure failed: ${undoErr?.message || undoErr}`);
+      throw new Error(
+        `Historique non enregistré et annulation en échec, données possiblement incohérentes : ${reason}`
+      );
+    }
+    throw new Error(`Historique non enregistré, modification annulée : ${reason}`);
+  }
+}
+
+export async function loadDayAudit(supabaseClient, { userId, day }) {
+  const { data, error } = await supabaseClient
+    .from("activity_audit")
+    .select("id, batch_id, activity_id, action, actor_id, target_user_id, day, before, after, reason, created_at")
+    .eq("target_user_id", userId)
+    .eq("day", day)
+    .order("created_at", { ascending: true })
+    .order("id", { ascending: true });
+
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+/**
+ * Rejoue l'historique d'un jour : une version par batch, avec l'état complet
+ * du jour après ce batch et les changements qui l'ont produit.
+ * Lignes antérieures à l'audit : l'état initial est amorcé avec le "before" de
+ * leur première entrée (update / delete) et, pour celles jamais modifiées depuis,
+ * avec les lignes actuelles (current) -> une restauration ne les supprime pas.
+ */
+export function buildDayVersions(entries, { current = [] } = {}) {
+  const state = new Map(); // activity_id -> snapshot
+  const versions = [];
+  let version = null;
+
+  const firstEntry = new Map();
+  for (const e of entries ?? []) {
+    if (!firstEntry.has(String(e.activity_id))) firstEntry.set(String(e.activity_id), e);
+  }
+  for (const r of current ?? []) {
+    if (!firstEntry.has(String(r.id))) state.set(String(r.id), auditSnapshot(r));
+  }
+  for (const [id, e] of firstEntry) {
+    if (e.action !== "insert" && e.before) state.set(id, e.before);
+  }
+
+  for (const e of entries ?? []) {
+    if (!version || version.batchId !== e.batch_id) {
+      version = {
+        batchId: e.batch_id,
+        at: e.created_at,
+        actorId: e.actor_id,
+        reason: e.reason ?? "",
+        changes: [],
+        rows: [],
+      };
+      versions.push(version);
+    }
+
+    version.changes.push({
+      action: e.action,
+      activityId: e.activity_id,
+      before: e.before,
+      after: e.after,
+    });
+
+    if (e.action === "delete") state.delete(String(e.activity_id));
+    else state.set(String(e.activity_id), e.after);
+
+    version.rows = Array.from(state.entries()).map(([id, r]) => ({ id, ...r }));
+  }
+
+  return versions;
+}
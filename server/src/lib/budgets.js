@@ -0,0 +1,262 @@
+// src/lib/budgets.js
+import { addDays, startOfWeek } from "./calendar.js";
+
+/**
+ * ---------------------------
+ * Budgets projets (jours vendus) et burn-down
+ * ---------------------------
+ * Table Supabase "project_budgets" (unique(project_id, dimension, dim_value)) :
+ *   id, project_id (on delete cascade), dimension ("total" | "type" | "impute"),
+ *   dim_value ("" pour total ; type d'activité ou code VSA sinon), budget_days,
+ *   start_day (date|null, début du burn-down), alert_thresholds (int[]|null),
+ *   updated_by, updated_at
+ * La ligne "total" porte le budget du projet, start_day et les seuils d'alerte
+ * (null = BUDGET_ALERT_THRESHOLDS). Les lignes "type" / "impute" sont un découpage
+ * optionnel : leur somme par dimension ne dépasse pas le total.
+ *
+ * Consommé = activités dont "projet" = nom du projet (un renommage réécrit les
+ * saisies : voir renameProjectReferences).
+ */
+export const BUDGET_DIMENSIONS = ["total", "type", "impute"];
+
+export const DEFAULT_BUDGET_THRESHOLDS = [80, 100];
+
+export const PROJECT_BUDGET_COLUMNS =
+  "id, project_id, dimension, dim_value, budget_days, start_day, alert_thresholds, updated_by, updated_at";
+
+// "80,100" -> [80, 100] (triés, dédoublonnés) ; vide / invalide -> fallback
+export function parseBudgetThresholds(raw, fallback = DEFAULT_BUDGET_THRESHOLDS) {
+  const list = (Array.isArray(raw) ? raw : String(raw ?? "").split(","))
+    .map((x) => Number(String(x).trim()))
+    .filter((n) => Number.isInteger(n) && n > 0 && n <= 1000);
+  return list.length ? Array.from(new Set(list)).sort((a, b) => a - b) : fallback;
+}
+
+export async function loadProjectBudgets(supabaseClient, { projectIds } = {}) {
+  if (projectIds && !projectIds.length) return [];
+
+  let q = supabaseClient.from("project_budgets").select(PROJECT_BUDGET_COLUMNS);
+  if (projectIds) q = q.in("project_id", projectIds);
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+/**
+ * Lignes -> Map projectId -> { budgetDays, startDay, thresholds (null = défaut), splits[] }
+ * Un projet sans ligne "total" n'a pas de budget (découpage ignoré).
+ */
+export function groupProjectBudgets(lines) {
+  const byProject = new Map();
+
+  for (const l of lines ?? []) {
+    if (l.dimension !== "total") continue;
+    byProject.set(String(l.project_id), {
+      budgetDays: Number(l.budget_days || 0),
+      startDay: l.start_day ?? null,
+      thresholds: l.alert_thresholds?.length ? l.alert_thresholds : null,
+      updatedAt: l.updated_at ?? null,
+      splits: [],
+    });
+  }
+
+  for (const l of lines ?? []) {
+    if (l.dimension === "total") continue;
+    byProject.get(String(l.project_id))?.splits.push({
+      dimension: l.dimension,
+      value: l.dim_value ?? "",
+      budgetDays: Number(l.budget_days || 0),
+    });
+  }
+
+  return byProject;
+}
+
+/**
+ * Activités des projets (pagination : une requête Supabase plafonne à 1000 lignes)
+ */
+// userIds : restreint aux saisies de ces users (périmètre CP), null = tout le monde
+export async function loadProjectActivities(
+  supabaseClient,
+  projectNames,
+  { userIds = null, pageSize = 1000 } = {}
+) {
+  if (!projectNames?.length || (userIds && !userIds.length)) return [];
+
+  const out = [];
+  for (let offset = 0; ; offset += pageSize) {
+    let q = supabaseClient
+      .from("activities")
+      .select("id, user_id, day, type, projet, impute, temps_passe_h")
+      .in("projet", projectNames);
+    if (userIds) q = q.in("user_id", userIds);
+
+    const { data, error } = await q
+      .order("day", { ascending: true })
+      .order("id", { ascending: true })
+      .range(offset, offset + pageSize - 1);
+    if (error) throw new Error(error.message);
+
+    out.push(...(data ?? []));
+    if ((data ?? []).length < pageSize) break;
+  }
+  return out;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function dimensionValue(a, dimension) {
+  if (dimension === "type") return String(a.type ?? "");
+  if (dimension === "impute") return String(a.impute ?? "").trim();
+  return "";
+}
+
+function budgetLine({ dimension, value, budgetDays, consumedDays, thresholds }) {
+  const consumed = round2(consumedDays);
+  const percent = budgetDays > 0 ? Math.round((consumed / budgetDays) * 100) : null;
+  // seuil le plus haut franchi
+  const reached = percent === null ? [] : thresholds.filter((t) => percent >= t);
+
+  return {
+    dimension,
+    value,
+    budgetDays,
+    consumedDays: consumed,
+    remainingDays: round2(budgetDays - consumed),
+    percent,
+    threshold: reached.length ? reached[reached.length - 1] : null,
+  };
+}
+
+/**
+ * Consommé vs budget + burn-down hebdomadaire d'un projet.
+ * activities : lignes du projet ; daysOf(a) -> jours (contrat du user)
+ * Rythme = moyenne des paceWeeks dernières semaines (semaine en cours incluse),
+ * date de fin projetée = aujourd'hui + reste / rythme (jours calendaires),
+ * ou date de dépassement si le budget est déjà consommé.
+ */
+export function computeProjectBurn({
+  project,
+  budget,
+  activities,
+  daysOf,
+  today,
+  thresholds,
+  paceWeeks = 4,
+}) {
+  const levels = budget.thresholds ?? thresholds;
+  const from = budget.startDay;
+  const acts = (activities ?? [])
+    .filter((a) => !from || a.day >= from)
+    .map((a) => ({ ...a, days: daysOf(a) }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+
+  // ---- consommé total / par découpage
+  let consumed = 0;
+  const bySplit = new Map();
+  let exhaustedOn = null;
+
+  for (const a of acts) {
+    consumed += a.days;
+    if (!exhaustedOn && budget.budgetDays > 0 && round2(consumed) > budget.budgetDays) {
+      exhaustedOn = a.day;
+    }
+    for (const dimension of ["type", "impute"]) {
+      const key = `${dimension}|${dimensionValue(a, dimension)}`;
+      bySplit.set(key, (bySplit.get(key) ?? 0) + a.days);
+    }
+  }
+
+  const total = budgetLine({
+    dimension: "total",
+    value: "",
+    budgetDays: budget.budgetDays,
+    consumedDays: consumed,
+    thresholds: levels,
+  });
+
+  const splits = budget.splits.map((s) =>
+    budgetLine({
+      ...s,
+      consumedDays: bySplit.get(`${s.dimension}|${s.value}`) ?? 0,
+      thresholds: levels,
+    })
+  );
+
+  // ---- série hebdomadaire (lundis), du début au plus tard (aujourd'hui / dernière saisie)
+  const firstDay = from || acts[0]?.day || today;
+  const lastDay = acts.length && acts[acts.length - 1].day > today ? acts[acts.length - 1].day : today;
+  const byWeek = new Map();
+  for (const a of acts) {
+    const w = startOfWeek(a.day);
+    byWeek.set(w, (byWeek.get(w) ?? 0) + a.days);
+  }
+
+  const weeks = [];
+  let cumulative = 0;
+  for (let w = startOfWeek(firstDay); w <= startOfWeek(lastDay); w = addDays(w, 7)) {
+    const days = byWeek.get(w) ?? 0;
+    cumulative += days;
+    weeks.push({
+      week: w,
+      days: round2(days),
+      cumulative: round2(cumulative),
+      remaining: round2(budget.budgetDays - cumulative),
+    });
+  }
+
+  // ---- projection
+  const currentWeek = startOfWeek(today);
+  const recent = weeks.filter((w) => w.week <= currentWeek).slice(-paceWeeks);
+  const pace = recent.length ? round2(recent.reduce((s, w) => s + w.days, 0) / recent.length) : 0;
+
+  let projectedEndDate = null;
+  if (exhaustedOn) projectedEndDate = exhaustedOn;
+  else if (total.remainingDays <= 0 && acts.length) projectedEndDate = acts[acts.length - 1].day;
+  else if (pace > 0) projectedEndDate = addDays(today, Math.ceil((total.remainingDays / pace) * 7));
+
+  return {
+    projectId: project.id,
+    project: project.name,
+    client: project.client ?? "",
+    isActive: !!project.is_active,
+    validTo: project.valid_to ?? null,
+    startDay: from,
+    thresholds: levels,
+    ...total,
+    splits,
+    weeks,
+    pacePerWeek: pace,
+    projectedEndDate,
+    overrun: total.remainingDays < 0,
+    // budget épuisé (au rythme actuel) avant la date de fin prévue du projet
+    exhaustsBeforeEnd: !!(projectedEndDate && project.valid_to && projectedEndDate < project.valid_to),
+  };
+}
+
+/**
+ * Alertes : une par ligne (total ou découpage) ayant franchi un seuil
+ */
+export function budgetAlerts(reports) {
+  const alerts = [];
+  for (const r of reports ?? []) {
+    for (const line of [r, ...r.splits]) {
+      if (line.threshold === null) continue;
+      alerts.push({
+        projectId: r.projectId,
+        project: r.project,
+        dimension: line.dimension,
+        value: line.value,
+        budgetDays: line.budgetDays,
+        consumedDays: line.consumedDays,
+        percent: line.percent,
+        threshold: line.threshold,
+        level: line.threshold >= 100 ? "over" : "warning",
+      });
+    }
+  }
+  return alerts.sort((a, b) => b.percent - a.percent);
+}
@@ -0,0 +1,177 @@
+// src/lib/calendar.js
+
+/**
+ * ---------------------------
+ * Calendrier des jours ouvrés (France)
+ * ---------------------------
+ * Jours fériés français (dont ceux calculés depuis Pâques), week-ends
+ * et jours de fermeture entreprise optionnels (COMPANY_CLOSURE_DAYS).
+ * Toutes les dates sont manipulées en "YYYY-MM-DD" (UTC) pour éviter les
+ * décalages de fuseau.
+ */
+
+export function parseYmd(ymd) {
+  const m = String(ymd ?? "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) throw new Error(`Date invalide: ${ymd}`);
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  // refuse les débordements ("2026-02-31" ne devient pas le 3 mars)
+  if (d.toISOString().slice(0, 10) !== m[0]) throw new Error(`Date invalide: ${ymd}`);
+  return d;
+}
+
+export function isValidYmd(ymd) {
+  try {
+    parseYmd(ymd);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function toYmd(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function addDays(ymd, n) {
+  const d = parseYmd(ymd);
+  d.setUTCDate(d.getUTCDate() + n);
+  return toYmd(d);
+}
+
+// Nombre de jours de from à to (négatif si to < from), sans construire la liste
+export function daysBetween(from, to) {
+  return Math.round((parseYmd(to) - parseYmd(from)) / 86400000);
+}
+
+// 0 = dimanche .. 6 = samedi
+export function weekdayOf(ymd) {
+  return parseYmd(ymd).getUTCDay();
+}
+
+export function isWeekend(ymd) {
+  const w = weekdayOf(ymd);
+  return w === 0 || w === 6;
+}
+
+// Lundi de la semaine (ISO) contenant ce jour
+export function startOfWeek(ymd) {
+  const w = weekdayOf(ymd);
+  return addDays(ymd, w === 0 ? -6 : 1 - w);
+}
+
+export function todayYmd() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Dimanche de Pâques (algorithme de Meeus / Butcher, calendrier grégorien)
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return toYmd(new Date(Date.UTC(year, month - 1, day)));
+}
+
+const holidaysCache = new Map();
+
+/**
+ * Jours fériés français d'une année: Map "YYYY-MM-DD" -> libellé
+ */
+export function frenchPublicHolidays(year) {
+  if (holidaysCache.has(year)) return holidaysCache.get(year);
+
+  const easter = easterSunday(year);
+  const y = String(year);
+
+  const list = [
+    [`${y}-01-01`, "Jour de l'an"],
+    [addDays(easter, 1), "Lundi de Pâques"],
+    [`${y}-05-01`, "Fête du Travail"],
+    [`${y}-05-08`, "Victoire 1945"],
+    [addDays(easter, 39), "Ascension"],
+    [addDays(easter, 50), "Lundi de Pentecôte"],
+    [`${y}-07-14`, "Fête nationale"],
+    [`${y}-08-15`, "Assomption"],
+    [`${y}-11-01`, "Toussaint"],
+    [`${y}-11-11`, "Armistice 1918"],
+    [`${y}-12-25`, "Noël"],
+  ];
+
+  const map = new Map(list);
+  holidaysCache.set(year, map);
+  return map;
+}
+
+/**
+ * Jours de fermeture entreprise: "2025-12-26,2025-05-30" (env COMPANY_CLOSURE_DAYS)
+ */
+export function parseClosureDays(raw) {
+  return new Set(
+    String(raw ?? "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter((s) => /^\d{4}-\d{2}-\d{2}$/.test(s))
+  );
+}
+
+/**
+ * Nature d'un jour: { kind: "working" | "weekend" | "holiday" | "closure", label }
+ */
+export function dayKind(ymd, { closures = new Set() } = {}) {
+  if (isWeekend(ymd)) return { kind: "weekend", label: "Week-end" };
+
+  const holiday = frenchPublicHolidays(Number(ymd.slice(0, 4))).get(ymd);
+  if (holiday) return { kind: "holiday", label: holiday };
+
+  if (closures.has(ymd)) return { kind: "closure", label: "Fermeture entreprise" };
+
+  return { kind: "working", label: "" };
+}
+
+export function isWorkingDay(ymd, opts) {
+  return dayKind(ymd, opts).kind === "working";
+}
+
+/**
+ * Liste des jours (bornes incluses) entre from et to
+ */
+export function eachDay(from, to) {
+  const out = [];
+  if (from > to) return out;
+  for (let d = from; d <= to; d = addDays(d, 1)) out.push(d);
+  return out;
+}
+
+export function workingDaysBetween(from, to, opts) {
+  return eachDay(from, to).filter((d) => isWorkingDay(d, opts));
+}
+
+/**
+ * Jours ouvrés attendus vs remplis sur une période.
+ * Les jours futurs ne sont pas comptés comme manquants (until = aujourd'hui par défaut).
+ * isExpected permet d'exclure des jours propres au user (ex: mercredi non travaillé).
+ */
+export function completionForDays(
+  filledDays,
+  { from, to, closures, until = todayYmd(), isExpected = () => true }
+) {
+  const filled = filledDays instanceof Set ? filledDays : new Set(filledDays);
+  const expected = workingDaysBetween(from, to, { closures }).filter(isExpected);
+  const missing = expected.filter((d) => d <= until && !filled.has(d));
+
+  return {
+    expectedDays: expected.length,
+    filledWorkingDays: expected.filter((d) => filled.has(d)).length,
+    missingDays: missing,
+  };
+}
@@ -0,0 +1,38 @@
+// src/lib/dayTemplates.js
+
+/**
+ * ---------------------------
+ * Modèles de journée (par utilisateur)
+ * ---------------------------
+ * Table Supabase "day_templates":
+ *   id, user_id, name (unique par user), rows (jsonb), created_at, updated_at
+ * rows : [{ id_ticket, sujet, projet, temps_passe_h, type }] (sans jour ni Code VSA,
+ * le Code VSA est re-suggéré à l'application).
+ */
+export const DAY_TEMPLATE_COLUMNS = "id, user_id, name, rows, created_at, updated_at";
+
+export const COPY_MODES = ["merge", "replace"];
+
+export async function loadDayTemplates(supabaseClient, userId) {
+  const { data, error } = await supabaseClient
+    .from("day_templates")
+    .select(DAY_TEMPLATE_COLUMNS)
+    .eq("user_id", userId)
+    .order("name", { ascending: true });
+
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+/**
+ * Lignes réutilisables (copie / modèle) : champs saisis seulement
+ */
+export function templateRows(rows) {
+  return (rows ?? []).map((r) => ({
+    id_ticket: String(r.id_ticket ?? ""),
+    sujet: String(r.sujet ?? ""),
+    projet: String(r.projet ?? ""),
+    temps_passe_h: Number(r.temps_passe_h || 0),
+    type: r.type || "Autre",
+  }));
+}
@@ -0,0 +1,443 @@
+// src/lib/icsImport.js
+import { addDays, parseYmd, startOfWeek, weekdayOf } from "./calendar.js";
+import { projectIsValidOn } from "./projects.js";
+
+/**
+ * ---------------------------
+ * Import agenda (.ics) -> lignes "Réunion" proposées
+ * ---------------------------
+ * Lecture minimale d'un export iCalendar (Outlook, Google, Teams) :
+ *   - VEVENT : SUMMARY, DTSTART / DTEND / DURATION, STATUS, TRANSP
+ *   - récurrences : RRULE (DAILY / WEEKLY / MONTHLY / YEARLY, INTERVAL, COUNT, UNTIL,
+ *     BYDAY, BYMONTHDAY, BYMONTH), EXDATE, occurrences modifiées (RECURRENCE-ID)
+ *   - journées entières (VALUE=DATE, DTEND exclusif)
+ * Les heures sont ramenées en heure locale (ICS_TIMEZONE, Europe/Paris par défaut).
+ * Les VTIMEZONE ne sont pas interprétés : un TZID non IANA (ex. "Romance Standard Time"
+ * d'Outlook) est lu comme heure locale.
+ * Ce module n'écrit rien : proposition seulement, validée côté client.
+ */
+export const ICS_TIMEZONE = process.env.ICS_TIMEZONE || "Europe/Paris";
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+function fold(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function unescapeText(v) {
+  return String(v ?? "")
+    .replace(/\\n/gi, " ")
+    .replace(/\\([,;\\])/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Lignes dépliées -> [{ name, params, value }]
+ */
+function readProperties(text) {
+  const lines = String(text ?? "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+
+  const props = [];
+  for (const line of lines) {
+    const m = line.match(/^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/);
+    if (!m) continue;
+
+    const params = {};
+    for (const p of m[2].split(";").filter(Boolean)) {
+      const [k, ...v] = p.split("=");
+      params[k.toUpperCase()] = v.join("=").replace(/^"|"$/g, "");
+    }
+    props.push({ name: m[1].toUpperCase(), params, value: m[3] });
+  }
+  return props;
+}
+
+// ---- fuseaux : instant UTC <-> heure locale
+
+function wallClockIn(timeZone, utcMs) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).formatToParts(new Date(utcMs));
+  const get = (t) => parts.find((p) => p.type === t)?.value ?? "00";
+  return {
+    day: `${get("year")}-${get("month")}-${get("day")}`,
+    minutes: Number(get("hour")) * 60 + Number(get("minute")),
+  };
+}
+
+function isIanaZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// heure murale dans "tz" -> instant UTC (décalage du fuseau à cette date)
+function wallToUtc(tz, day, minutes) {
+  const guess = parseYmd(day).getTime() + minutes * 60000;
+  const seen = wallClockIn(tz, guess);
+  const offset = parseYmd(seen.day).getTime() + seen.minutes * 60000 - guess;
+  return guess - offset;
+}
+
+/**
+ * Valeur DATE / DATE-TIME -> { day, minutes, allDay } en heure locale
+ */
+function readDateValue(prop, timeZone) {
+  const v = String(prop?.value ?? "").trim();
+  const m = v.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return null;
+
+  const day = `${m[1]}-${m[2]}-${m[3]}`;
+  if (!m[4] || prop.params?.VALUE === "DATE") return { day, minutes: 0, allDay: true };
+
+  const minutes = Number(m[4]) * 60 + Number(m[5]);
+  const tzid = prop.params?.TZID;
+
+  let utc = null;
+  if (m[7]) utc = parseYmd(day).getTime() + minutes * 60000;
+  else if (tzid && tzid !== timeZone && isIanaZone(tzid)) utc = wallToUtc(tzid, day, minutes);
+
+  if (utc == null) return { day, minutes, allDay: false };
+  return { ...wallClockIn(timeZone, utc), allDay: false };
+}
+
+// DURATION (P1D, PT1H30M, P1W...) -> minutes
+function readDuration(v) {
+  const m = String(v ?? "").match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [, sign, w, d, h, min] = m;
+  const total = Number(w || 0) * 7 * 1440 + Number(d || 0) * 1440 + Number(h || 0) * 60 + Number(min || 0);
+  return sign === "-" ? -total : total;
+}
+
+function readRule(v) {
+  const rule = {};
+  for (const part of String(v ?? "").split(";")) {
+    const [k, val] = part.split("=");
+    if (k && val != null) rule[k.toUpperCase()] = val.toUpperCase();
+  }
+  return rule;
+}
+
+/**
+ * Texte .ics -> événements
+ * { uid, summary, start {day, minutes}, durationMin, allDay, busy, cancelled,
+ *   rrule, exdates (Set de jours), recurrenceDay (occurrence modifiée) }
+ */
+export function parseIcsEvents(text, { timeZone = ICS_TIMEZONE } = {}) {
+  const events = [];
+  let cur = null;
+
+  for (const p of readProperties(text)) {
+    if (p.name === "BEGIN" && p.value.toUpperCase() === "VEVENT") {
+      cur = { props: [] };
+      continue;
+    }
+    if (p.name === "END" && p.value.toUpperCase() === "VEVENT") {
+      if (cur) events.push(cur.props);
+      cur = null;
+      continue;
+    }
+    if (cur) cur.props.push(p);
+  }
+
+  return events
+    .map((props) => {
+      const one = (name) => props.find((p) => p.name === name);
+      const start = readDateValue(one("DTSTART"), timeZone);
+      if (!start) return null;
+
+      const endValue = one("DTEND") ? readDateValue(one("DTEND"), timeZone) : null;
+      let durationMin;
+      if (endValue) {
+        durationMin =
+          (parseYmd(endValue.day) - parseYmd(start.day)) / 60000 + endValue.minutes - start.minutes;
+      } else {
+        durationMin = readDuration(one("DURATION")?.value) ?? (start.allDay ? 1440 : 0);
+      }
+
+      const exdates = new Set();
+      for (const p of props.filter((x) => x.name === "EXDATE")) {
+        for (const value of p.value.split(",")) {
+          const d = readDateValue({ ...p, value }, timeZone);
+          if (d) exdates.add(d.day);
+        }
+      }
+
+      const status = String(one("STATUS")?.value ?? "").toUpperCase();
+      const transp = String(one("TRANSP")?.value ?? "").toUpperCase();
+      const busyStatus = String(one("X-MICROSOFT-CDO-BUSYSTATUS")?.value ?? "").toUpperCase();
+      const summary = unescapeText(one("SUMMARY")?.value);
+      const rrule = one("RRULE");
+      const recurrence = one("RECURRENCE-ID");
+
+      return {
+        uid: String(one("UID")?.value ?? "").trim(),
+        summary,
+        start: { day: start.day, minutes: start.minutes },
+        durationMin: Math.max(0, durationMin),
+        allDay: start.allDay,
+        busy: busyStatus ? busyStatus !== "FREE" : transp !== "TRANSPARENT",
+        cancelled: status === "CANCELLED" || /^(annul[eé]|cancel+ed)\s*:/i.test(summary),
+        rrule: rrule ? readRule(rrule.value) : null,
+        exdates,
+        recurrenceDay: recurrence ? readDateValue(recurrence, timeZone)?.day ?? null : null,
+      };
+    })
+    .filter(Boolean);
+}
+
+// ---- récurrences
+
+function monthsBetween(a, b) {
+  return (Number(b.slice(0, 4)) - Number(a.slice(0, 4))) * 12 + Number(b.slice(5, 7)) - Number(a.slice(5, 7));
+}
+
+function daysInMonth(day) {
+  const d = parseYmd(`${day.slice(0, 7)}-01`);
+  d.setUTCMonth(d.getUTCMonth() + 1, 0);
+  return d.getUTCDate();
+}
+
+// BYDAY ("MO", "2TU", "-1FR") appliqué dans le mois du jour
+function matchesByDay(byDay, day, { inMonth }) {
+  const wd = WEEKDAYS[weekdayOf(day)];
+  const dom = Number(day.slice(8, 10));
+
+  return byDay.some((token) => {
+    const m = token.match(/^([+-]?\d+)?([A-Z]{2})$/);
+    if (!m || m[2] !== wd) return false;
+    if (!m[1] || !inMonth) return true;
+
+    const n = Number(m[1]);
+    if (n > 0) return Math.ceil(dom / 7) === n;
+    return Math.ceil((daysInMonth(day) - dom + 1) / 7) === -n;
+  });
+}
+
+function matchesMonthDay(byMonthDay, day) {
+  const dom = Number(day.slice(8, 10));
+  const last = daysInMonth(day);
+  return byMonthDay.some((n) => (n > 0 ? n === dom : last + n + 1 === dom));
+}
+
+function ruleMatches(rule, startDay, day) {
+  const interval = Math.max(1, Number(rule.INTERVAL || 1));
+  const byDay = rule.BYDAY ? rule.BYDAY.split(",") : [];
+  const byMonthDay = rule.BYMONTHDAY ? rule.BYMONTHDAY.split(",").map(Number) : [];
+  const byMonth = rule.BYMONTH ? rule.BYMONTH.split(",").map(Number) : [];
+
+  if (byMonth.length && !byMonth.includes(Number(day.slice(5, 7)))) return false;
+
+  switch (rule.FREQ) {
+    case "DAILY": {
+      const n = Math.round((parseYmd(day) - parseYmd(startDay)) / 86400000);
+      return n % interval === 0 && (!byDay.length || matchesByDay(byDay, day, { inMonth: false }));
+    }
+    case "WEEKLY": {
+      const weeks = Math.round((parseYmd(startOfWeek(day)) - parseYmd(startOfWeek(startDay))) / (7 * 86400000));
+      if (weeks % interval !== 0) return false;
+      return matchesByDay(byDay.length ? byDay : [WEEKDAYS[weekdayOf(startDay)]], day, { inMonth: false });
+    }
+    case "MONTHLY": {
+      if (monthsBetween(startDay, day) % interval !== 0) return false;
+      if (byDay.length) return matchesByDay(byDay, day, { inMonth: true });
+      return matchesMonthDay(byMonthDay.length ? byMonthDay : [Number(startDay.slice(8, 10))], day);
+    }
+    case "YEARLY": {
+      if ((Number(day.slice(0, 4)) - Number(startDay.slice(0, 4))) % interval !== 0) return false;
+      if (!byMonth.length && day.slice(5, 7) !== startDay.slice(5, 7)) return false;
+      if (byDay.length) return matchesByDay(byDay, day, { inMonth: true });
+      return matchesMonthDay(byMonthDay.length ? byMonthDay : [Number(startDay.slice(8, 10))], day);
+    }
+    default:
+      return day === startDay;
+  }
+}
+
+/**
+ * Jours de début des occurrences d'un événement, bornés à [from, to]
+ * (COUNT compte depuis DTSTART, EXDATE retirées après comptage)
+ */
+function occurrenceDays(ev, from, to) {
+  if (!ev.rrule) return ev.start.day <= to ? [ev.start.day] : [];
+
+  const until = ev.rrule.UNTIL ? readDateValue({ value: ev.rrule.UNTIL, params: {} }, ICS_TIMEZONE)?.day : null;
+  const count = ev.rrule.COUNT ? Number(ev.rrule.COUNT) : null;
+  const last = until && until < to ? until : to;
+
+  // sans COUNT, la règle reste ancrée sur DTSTART : on part directement de la période
+  let day = ev.start.day;
+  if (!count && day < from) day = from;
+
+  const out = [];
+  let seen = 0;
+  for (; day <= last; day = addDays(day, 1)) {
+    if (day !== ev.start.day && !ruleMatches(ev.rrule, ev.start.day, day)) continue;
+    seen += 1;
+    if (count && seen > count) break;
+    if (!ev.exdates.has(day)) out.push(day);
+  }
+  return out;
+}
+
+/**
+ * Événements -> plages par jour local, sur [from, to] :
+ * Map day -> { timed: [{ start, end, summary }], allDay: [summary] }
+ * Les événements sur plusieurs jours sont découpés à minuit.
+ */
+export function expandIcsEvents(events, { from, to }) {
+  // occurrences modifiées : remplacent l'occurrence d'origine (même UID, même jour)
+  const overridden = new Set(
+    events.filter((e) => e.recurrenceDay).map((e) => `${e.uid}|${e.recurrenceDay}`)
+  );
+
+  const byDay = new Map();
+  const slot = (day) => {
+    if (!byDay.has(day)) byDay.set(day, { timed: [], allDay: [] });
+    return byDay.get(day);
+  };
+  let ignored = 0;
+
+  for (const ev of events) {
+    const days = occurrenceDays(ev, addDays(from, -1), to).filter(
+      (d) => ev.recurrenceDay || !overridden.has(`${ev.uid}|${d}`)
+    );
+
+    for (const startDay of days) {
+      if (ev.cancelled || !ev.busy) {
+        if (startDay >= from && startDay <= to) ignored += 1;
+        continue;
+      }
+
+      if (ev.allDay) {
+        const n = Math.max(1, Math.round(ev.durationMin / 1440));
+        for (let i = 0; i < n; i += 1) {
+          const d = addDays(startDay, i);
+          if (d >= from && d <= to) slot(d).allDay.push(ev.summary);
+        }
+        continue;
+      }
+
+      let start = ev.start.minutes;
+      let remaining = ev.durationMin;
+      for (let d = startDay; remaining > 0; d = addDays(d, 1)) {
+        const end = Math.min(1440, start + remaining);
+        if (d >= from && d <= to && end > start) {
+          slot(d).timed.push({ start, end, summary: ev.summary });
+        }
+        remaining -= end - start;
+        start = 0;
+      }
+    }
+  }
+
+  return { byDay, ignored };
+}
+
+/**
+ * Plages qui se chevauchent fusionnées : une ligne par bloc continu
+ * -> [{ start, end, summaries }]
+ */
+export function mergeOverlaps(slots) {
+  const sorted = [...(slots ?? [])].sort((a, b) => a.start - b.start || a.end - b.end);
+  const blocks = [];
+
+  for (const s of sorted) {
+    const last = blocks[blocks.length - 1];
+    if (last && s.start < last.end) {
+      last.end = Math.max(last.end, s.end);
+      if (!last.summaries.includes(s.summary)) last.summaries.push(s.summary);
+      continue;
+    }
+    blocks.push({ start: s.start, end: s.end, summaries: [s.summary] });
+  }
+  return blocks;
+}
+
+/**
+ * Projet deviné depuis l'objet : nom ou code d'un projet valide ce jour, en mot entier
+ * (le plus long l'emporte). "" si rien de probant.
+ */
+export function guessProject(summary, projects, day) {
+  const text = ` ${fold(summary)} `;
+  let best = "";
+  let bestLen = 0;
+
+  for (const p of projects ?? []) {
+    if (!projectIsValidOn(p, day)) continue;
+    for (const key of [p.name, p.code].map(fold).filter((k) => k.length >= 2)) {
+      if (text.includes(` ${key} `) && key.length > bestLen) {
+        best = p.name;
+        bestLen = key.length;
+      }
+    }
+  }
+  return best;
+}
+
+function hhmm(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+// au quart d'heure, au moins 0.25h
+function quarterHours(minutes) {
+  return Math.max(0.25, Math.round(minutes / 15) / 4);
+}
+
+/**
+ * Lignes proposées pour un jour (type Réunion).
+ * capacity : plafond du jour, utilisé pour les journées entières.
+ */
+export function meetingRowsForDay(slot, { day, projects, capacity }) {
+  const rows = mergeOverlaps(slot?.timed).map((b) => {
+    const sujet = b.summaries.filter(Boolean).join(" / ") || "Réunion";
+    return {
+      id_ticket: "",
+      sujet,
+      projet: b.summaries.map((s) => guessProject(s, projects, day)).find(Boolean) || "",
+      temps_passe_h: quarterHours(b.end - b.start),
+      type: "Réunion",
+      start: hhmm(b.start),
+      end: hhmm(b.end),
+    };
+  });
+
+  for (const summary of new Set(slot?.allDay ?? [])) {
+    rows.push({
+      id_ticket: "",
+      sujet: summary || "Réunion",
+      projet: guessProject(summary, projects, day),
+      temps_passe_h: capacity,
+      type: "Réunion",
+      allDay: true,
+    });
+  }
+  return rows;
+}
+
+export function icsRange(day, scope) {
+  if (scope === "day") return { from: day, to: day };
+  const from = startOfWeek(day);
+  return { from, to: addDays(from, 6) };
+}
@@ -0,0 +1,86 @@
+// src/lib/imputeRules.js
+
+/**
+ * ---------------------------
+ * Règles d'attribution du Code VSA (impute)
+ * ---------------------------
+ * Table Supabase "impute_rules":
+ *   id, position (ordre d'évaluation), name, projet, type,
+ *   ticket_pattern (regex sur id_ticket), user_id, from_day, to_day,
+ *   impute (Code VSA), is_active
+ *
+ * Une condition vide = "peu importe". Les règles sont évaluées dans l'ordre
+ * (position croissante) : la première qui correspond donne le code.
+ */
+export const IMPUTE_RULE_COLUMNS =
+  "id, position, name, projet, type, ticket_pattern, user_id, from_day, to_day, impute, is_active";
+
+export async function loadImputeRules(supabaseClient, { activeOnly = false } = {}) {
+  let q = supabaseClient
+    .from("impute_rules")
+    .select(IMPUTE_RULE_COLUMNS)
+    .order("position", { ascending: true })
+    .order("id", { ascending: true });
+
+  if (activeOnly) q = q.eq("is_active", true);
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+/**
+ * Retourne le message d'erreur si le motif n'est pas une regex valide
+ */
+export function ticketPatternError(pattern) {
+  if (!String(pattern ?? "").trim()) return null;
+  try {
+    new RegExp(pattern, "i");
+    return null;
+  } catch (e) {
+    return e?.message || "Regex invalide";
+  }
+}
+
+function norm(v) {
+  return String(v ?? "").trim().toLowerCase();
+}
+
+/**
+ * Précompile les regex (une règle au motif invalide ne matche jamais)
+ */
+export function compileImputeRules(rules) {
+  return (rules ?? [])
+    .filter((r) => r.is_active !== false && String(r.impute ?? "").trim())
+    .map((r) => {
+      let ticket = null;
+      if (String(r.ticket_pattern ?? "").trim()) {
+        try {
+          ticket = new RegExp(r.ticket_pattern, "i");
+        } catch {
+          ticket = /(?!)/;
+        }
+      }
+      return { rule: r, ticket };
+    });
+}
+
+function ruleMatches({ rule, ticket }, row) {
+  if (rule.projet && norm(rule.projet) !== norm(row.projet)) return false;
+  if (rule.type && norm(rule.type) !== norm(row.type)) return false;
+  if (rule.user_id && rule.user_id !== row.user_id) return false;
+  if (rule.from_day && row.day < rule.from_day) return false;
+  if (rule.to_day && row.day > rule.to_day) return false;
+  if (ticket && !ticket.test(String(row.id_ticket ?? ""))) return false;
+  return true;
+}
+
+/**
+ * Première règle qui correspond à la ligne (row: { user_id, day, projet, type, id_ticket })
+ */
+export function matchImputeRule(compiled, row) {
+  for (const c of compiled ?? []) {
+    if (ruleMatches(c, row)) return c.rule;
+  }
+  return null;
+}
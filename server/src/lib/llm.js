@@ -0,0 +1,229 @@
+// src/lib/llm.js
+import fs from "node:fs";
+import { Mistral } from "@mistralai/mistralai";
+
+/**
+ * ---------------------------
+ * Couche LLM (provider choisi par configuration)
+ * ---------------------------
+ * LLM_PROVIDER:
+ *   - "mistral" (défaut) : SDK Mistral (MISTRAL_API_KEY / MISTRAL_MODEL)
+ *   - "openai"           : tout endpoint compatible OpenAI /chat/completions
+ *                          (OpenAI, Ollama, llama.cpp, vLLM...) via LLM_BASE_URL
+ *   - "fake"             : réponses scriptées (LLM_FAKE_RESPONSES_FILE), tests hors-ligne
+ *
+ * chat({ messages, temperature, json }) -> texte
+ * chatJson(...)                         -> objet (mode JSON + extraction tolérante)
+ * Timeout et retry (429 / 5xx / réseau) communs à tous les providers.
+ */
+export class LlmError extends Error {
+  constructor(message, { status, retryable = false } = {}) {
+    super(message);
+    this.name = "LlmError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+
+// Contenu de message (string ou chunks [{ type:"text", text }]) -> texte
+export function contentToText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content
+      .map((c) => (typeof c === "string" ? c : (c?.text ?? "")))
+      .join("");
+  }
+  return "";
+}
+
+/**
+ * JSON strict, sinon premier bloc {...} (les modèles ajoutent parfois du texte)
+ */
+export function parseJsonText(outText) {
+  const text = String(outText ?? "").trim();
+  try {
+    return JSON.parse(text);
+  } catch {
+    const m = text.match(/\{[\s\S]*\}/);
+    if (!m) throw new LlmError("Réponse IA non-JSON.");
+    try {
+      return JSON.parse(m[0]);
+    } catch {
+      throw new LlmError("Réponse IA non-JSON.");
+    }
+  }
+}
+
+function isRetryable(e) {
+  if (e instanceof LlmError) return e.retryable;
+  const status = Number(e?.statusCode ?? e?.status ?? 0);
+  if (status) return RETRYABLE_STATUSES.has(status);
+  // réseau / timeout
+  return ["AbortError", "TimeoutError", "TypeError", "ConnectionError", "RequestTimeoutError"].includes(
+    e?.name
+  );
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function withRetry(fn, { retries, baseDelayMs }) {
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (attempt >= retries || !isRetryable(e)) throw e;
+      await sleep(baseDelayMs * 2 ** attempt);
+      attempt += 1;
+    }
+  }
+}
+
+async function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new LlmError(`LLM timeout après ${ms} ms`, { retryable: true })),
+      ms
+    );
+  });
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function createMistralProvider({ apiKey, model, timeoutMs }) {
+  const client = new Mistral({ apiKey });
+
+  return {
+    configured: !!String(apiKey ?? "").trim(),
+    async complete({ messages, temperature, json }) {
+      const response = await client.chat.complete(
+        {
+          model,
+          temperature,
+          messages,
+          ...(json ? { responseFormat: { type: "json_object" } } : {}),
+        },
+        { timeoutMs }
+      );
+      return contentToText(response?.choices?.[0]?.message?.content);
+    },
+  };
+}
+
+function createOpenAiProvider({ baseUrl, apiKey, model, timeoutMs }) {
+  const root = String(baseUrl ?? "").replace(/\/+$/, "");
+
+  return {
+    configured: !!root,
+    async complete({ messages, temperature, json }) {
+      const resp = await fetch(`${root}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          temperature,
+          messages,
+          ...(json ? { response_format: { type: "json_object" } } : {}),
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!resp.ok) {
+        const detail = (await resp.text().catch(() => "")).slice(0, 300);
+        throw new LlmError(`LLM HTTP ${resp.status}${detail ? `: ${detail}` : ""}`, {
+          status: resp.status,
+          retryable: RETRYABLE_STATUSES.has(resp.status),
+        });
+      }
+
+      const data = await resp.json();
+      return contentToText(data?.choices?.[0]?.message?.content);
+    },
+  };
+}
+
+/**
+ * responses : tableau de réponses (string ou objet -> JSON), rejouées en boucle.
+ * Un élément { error: "..." , status } simule une erreur du provider.
+ */
+export function createFakeProvider(responses = []) {
+  const script = responses.length ? responses : [{ rows: [] }];
+  let i = 0;
+
+  return {
+    configured: true,
+    calls: [],
+    async complete(request) {
+      this.calls.push(request);
+      const next = script[i % script.length];
+      i += 1;
+
+      if (next && typeof next === "object" && "error" in next) {
+        throw new LlmError(String(next.error), {
+          status: next.status,
+          retryable: RETRYABLE_STATUSES.has(Number(next.status)),
+        });
+      }
+      return typeof next === "string" ? next : JSON.stringify(next);
+    },
+  };
+}
+
+function loadFakeResponses(file) {
+  if (!file) return [];
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(data) ? data : [data];
+}
+
+export function createLlmClient({
+  provider = "mistral",
+  model = "",
+  apiKey = "",
+  baseUrl = "",
+  timeoutMs = 30000,
+  retries = 2,
+  retryDelayMs = 500,
+  fakeResponsesFile = "",
+  fakeResponses,
+} = {}) {
+  let impl;
+  if (provider === "mistral") {
+    impl = createMistralProvider({ apiKey, model, timeoutMs });
+  } else if (provider === "openai") {
+    impl = createOpenAiProvider({ baseUrl, apiKey, model, timeoutMs });
+  } else if (provider === "fake") {
+    impl = createFakeProvider(fakeResponses ?? loadFakeResponses(fakeResponsesFile));
+  } else {
+    throw new Error(`LLM_PROVIDER inconnu: ${provider}`);
+  }
+
+  async function chat({ messages, temperature = 0.2, json = false }) {
+    return withRetry(
+      () => withTimeout(impl.complete({ messages, temperature, json }), timeoutMs),
+      { retries, baseDelayMs: retryDelayMs }
+    );
+  }
+
+  async function chatJson(opts) {
+    return parseJsonText(await chat({ ...opts, json: true }));
+  }
+
+  return {
+    provider,
+    model,
+    configured: impl.configured,
+    chat,
+    chatJson,
+  };
+}
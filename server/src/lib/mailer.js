@@ -0,0 +1,42 @@
+// src/lib/mailer.js
+import nodemailer from "nodemailer";
+
+/**
+ * ---------------------------
+ * Envoi d'emails (SMTP)
+ * ---------------------------
+ * SMTP_HOST vide -> non configuré : send() lève une erreur, le job de relance
+ * reste utilisable en simulation (dryRun).
+ * En local : npm run smtp-stub puis SMTP_HOST=localhost SMTP_PORT=1025
+ */
+export function createMailer({
+  host = "",
+  port = 587,
+  secure = false,
+  user = "",
+  pass = "",
+  from = "",
+  timeoutMs = 10000,
+} = {}) {
+  const configured = !!host;
+
+  const transport = configured
+    ? nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: timeoutMs,
+        greetingTimeout: timeoutMs,
+        socketTimeout: timeoutMs,
+      })
+    : null;
+
+  async function send({ to, subject, text }) {
+    if (!transport) throw new Error("SMTP non configuré (SMTP_HOST).");
+    const info = await transport.sendMail({ from: from || user, to, subject, text });
+    return { messageId: info.messageId ?? "" };
+  }
+
+  return { configured, from: from || user, send };
+}
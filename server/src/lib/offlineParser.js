@@ -0,0 +1,189 @@
+// src/lib/offlineParser.js
+import { foldTypeText, TYPE_KEYWORDS } from "./activityTypes.js";
+
+/**
+ * ---------------------------
+ * Parseur hors-ligne (règles, français)
+ * ---------------------------
+ * Secours quand le LLM est absent / en erreur, et "mode rapide" sans service externe.
+ *   "Matin daily 30min puis incident AX. Aprem evol CRM, 1h réunion client"
+ * - découpage en phrases (. ; , retour ligne, "puis", "ensuite", "matin" / "aprem")
+ * - durées : 2h, 1h30, 30min, 0.5j, 1 jour, demi-journée, journée, matin, aprem
+ * - type : vocabulaire de normalizeType (TYPE_KEYWORDS), mot entier
+ * - projet : correspondance approchée sur la liste des projets connus
+ * Le temps non précisé se répartit sur la journée (plafond maxHours).
+ */
+const ZERO_HOUR_TYPES = new Set(["Congés", "Week-end"]);
+
+const HALF_DAY_RE = /\b(?:demi[\s-]?journee|1\/2\s*journee|matin(?:ee)?|apres[\s-]?midi|aprem|aprm)\b/;
+const FULL_DAY_RE = /\b(?:toute\s+la\s+journee|journee\s+complete|la\s+journee|journee)\b/;
+
+// "l'après-midi", "l’aprem", "l après-midi" (apostrophe oubliée), "le matin", "en matinée"...
+const ARTICLE = String.raw`(?:l['’]\s*|l\s+|le\s+|la\s+|en\s+)`;
+const MORNING = String.raw`matin(?:[ée]e)?`;
+const AFTERNOON = String.raw`apr[eè]s[\s-]?midi|aprem`;
+
+const SPLIT_RE = new RegExp(
+  String.raw`[.;\n]+(?!\d)|,(?!\d)\s*|\s+(?:puis|ensuite)\s+` +
+    String.raw`|\s+et\s+(?=${ARTICLE}?(?:${MORNING}|${AFTERNOON})\b)` +
+    String.raw`|(?<!\b(?:l|le|la|en))\s+(?=${ARTICLE}?(?:${AFTERNOON})\b)`,
+  "i"
+);
+
+// minuscules sans accents (espaces conservés pour les positions)
+function fold(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[’]/g, "'");
+}
+
+function roundQuarter(h) {
+  return Math.round(Number(h || 0) * 4) / 4;
+}
+
+/**
+ * Durée explicite de la phrase (heures) ou null ; renvoie aussi le texte sans la durée
+ */
+export function extractDuration(sentence, maxHours) {
+  let rest = String(sentence ?? "").normalize("NFC");
+  const f = fold(rest);
+  let hours = 0;
+  let found = false;
+
+  const patterns = [
+    // 1h30, 1 h 30
+    [/(\d+)\s*h\s*(\d{2})\b/g, (m) => Number(m[1]) + Number(m[2]) / 60],
+    // 2h, 2.5 h, 2 heures
+    [/(\d+(?:[.,]\d+)?)\s*(?:h|heures?)\b/g, (m) => Number(m[1].replace(",", "."))],
+    // 30min, 45 minutes
+    [/(\d+)\s*(?:min|mn|minutes?)\b/g, (m) => Number(m[1]) / 60],
+    // 1j, 0,5 jour
+    [/(\d+(?:[.,]\d+)?)\s*(?:j|jours?)\b/g, (m) => Number(m[1].replace(",", ".")) * maxHours],
+  ];
+
+  let masked = f;
+  for (const [re, toHours] of patterns) {
+    for (const m of masked.matchAll(re)) {
+      hours += toHours(m);
+      found = true;
+      rest = rest.slice(0, m.index) + " ".repeat(m[0].length) + rest.slice(m.index + m[0].length);
+    }
+    masked = fold(rest);
+  }
+
+  if (!found) {
+    if (HALF_DAY_RE.test(masked)) {
+      hours = maxHours / 2;
+      found = true;
+    } else if (FULL_DAY_RE.test(masked)) {
+      hours = maxHours;
+      found = true;
+    }
+  }
+
+  return { hours: found ? roundQuarter(hours) : null, rest };
+}
+
+const KEYWORDS_BY_LENGTH = Object.keys(TYPE_KEYWORDS).sort((a, b) => b.length - a.length);
+
+export function detectType(sentence) {
+  const f = ` ${foldTypeText(sentence).replace(/[^a-z0-9 ]+/g, " ")} `;
+  for (const k of KEYWORDS_BY_LENGTH) {
+    if (f.includes(` ${k} `)) return TYPE_KEYWORDS[k];
+  }
+  return null;
+}
+
+export function levenshtein(a, b) {
+  const dp = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = dp[0];
+    dp[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = dp[j];
+      dp[j] = Math.min(dp[j] + 1, dp[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return dp[b.length];
+}
+
+/**
+ * Projet connu le plus proche cité dans la phrase (mot exact, ou 1 faute si >= 5 lettres)
+ */
+export function matchProject(sentence, projectNames) {
+  const words = fold(sentence).split(/[^a-z0-9]+/).filter(Boolean);
+  const text = ` ${words.join(" ")} `;
+
+  let best = null;
+  for (const name of projectNames ?? []) {
+    const key = fold(name).split(/[^a-z0-9]+/).filter(Boolean).join(" ");
+    if (!key) continue;
+
+    let score = 0;
+    if (text.includes(` ${key} `)) score = 2 + key.length / 100;
+    else if (!key.includes(" ") && key.length >= 5 && words.some((w) => levenshtein(w, key) <= 1)) {
+      score = 1 + key.length / 100;
+    }
+
+    if (score && (!best || score > best.score)) best = { name, score };
+  }
+  return best?.name ?? "";
+}
+
+export function splitSentences(text) {
+  const parts = String(text ?? "")
+    .split(SPLIT_RE)
+    .map((s) => (s ?? "").trim())
+    .filter((s) => /[a-z0-9]/i.test(fold(s)));
+
+  // "dev 4521 l'après-midi" : un moment de la journée seul précise la phrase précédente
+  const out = [];
+  for (const s of parts) {
+    if (out.length && !cleanSujet(s)) out[out.length - 1] += ` ${s}`;
+    else out.push(s);
+  }
+  return out;
+}
+
+function cleanSujet(s) {
+  const out = String(s ?? "")
+    .replace(new RegExp(String.raw`(?:^|\s)${ARTICLE}?(?:${MORNING}|${AFTERNOON})\b`, "gi"), " ")
+    .replace(/\b(?:pendant|durant)\s*$/i, " ")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s,;:\-–]+|[\s,;:\-–]+$/g, "")
+    .trim();
+  return out ? out.charAt(0).toUpperCase() + out.slice(1) : "";
+}
+
+/**
+ * Retourne des lignes au format de /api/ai/parse (hors id_ticket, posé ensuite par applyTicketRefs)
+ */
+export function parseActivityTextOffline(text, { maxHours, fillDay = true, projectNames = [] }) {
+  const items = splitSentences(text).map((sentence) => {
+    const { hours, rest } = extractDuration(sentence, maxHours);
+    const type = detectType(sentence) ?? "Non défini";
+    return {
+      id_ticket: "",
+      sujet: cleanSujet(rest) || cleanSujet(sentence),
+      projet: matchProject(sentence, projectNames),
+      temps_passe_h: ZERO_HOUR_TYPES.has(type) ? 0 : hours,
+      type,
+      impute: "",
+    };
+  });
+
+  // temps non précisé : reste de la journée réparti à parts égales
+  const open = items.filter((r) => r.temps_passe_h === null);
+  const explicit = items.reduce((acc, r) => acc + (r.temps_passe_h ?? 0), 0);
+  const remaining = fillDay ? Math.max(0, maxHours - explicit) : 0;
+
+  open.forEach((r, i) => {
+    const share = roundQuarter(remaining / open.length);
+    r.temps_passe_h = i === open.length - 1 ? roundQuarter(remaining - share * (open.length - 1)) : share;
+  });
+
+  return items;
+}
@@ -0,0 +1,61 @@
+// src/lib/periodLocks.js
+
+/**
+ * ---------------------------
+ * Clôture de période (mois facturés)
+ * ---------------------------
+ * Table Supabase "period_locks":
+ *   id, from_day (date), to_day (date), user_id (uuid|null = toute l'équipe),
+ *   reason, created_by, created_at
+ */
+
+/**
+ * Verrous qui chevauchent [from, to] (tous users)
+ */
+export async function loadPeriodLocks(supabaseClient, { from, to }) {
+  const { data, error } = await supabaseClient
+    .from("period_locks")
+    .select("id, from_day, to_day, user_id, reason, created_by, created_at")
+    .lte("from_day", to)
+    .gte("to_day", from)
+    .order("from_day", { ascending: true });
+
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+export function findLock(locks, userId, day) {
+  return (
+    (locks ?? []).find(
+      (l) =>
+        l.from_day <= day &&
+        l.to_day >= day &&
+        (!l.user_id || String(l.user_id) === String(userId))
+    ) ?? null
+  );
+}
+
+export function periodLockedMessage(lock, day) {
+  const reason = lock?.reason ? ` (${lock.reason})` : "";
+  return `Période clôturée du ${lock.from_day} au ${lock.to_day}${reason} : ${day} n'est plus modifiable.`;
+}
+
+/**
+ * Premier couple (userId, day) verrouillé parmi `targets`, ou null
+ */
+export async function findLockedTarget(supabaseClient, targets) {
+  const list = (targets ?? []).filter((t) => t?.day);
+  if (!list.length) return null;
+
+  const days = list.map((t) => t.day).sort();
+  const locks = await loadPeriodLocks(supabaseClient, {
+    from: days[0],
+    to: days[days.length - 1],
+  });
+
+  for (const t of list) {
+    const lock = findLock(locks, t.userId, t.day);
+    if (lock) return { ...t, lock, message: periodLockedMessage(lock, t.day) };
+  }
+  return null;
+}
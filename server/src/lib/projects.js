@@ -0,0 +1,117 @@
+// src/lib/projects.js
+
+/**
+ * ---------------------------
+ * Référentiel projets
+ * ---------------------------
+ * Table Supabase "projects":
+ *   id, name (unique), code, client, description, is_active,
+ *   default_impute (Code VSA par défaut), valid_from (date|null), valid_to (date|null)
+ */
+export const PROJECT_COLUMNS =
+  "id, name, code, client, description, is_active, default_impute, valid_from, valid_to";
+
+export async function loadProjects(supabaseClient, { activeOnly = false } = {}) {
+  let q = supabaseClient
+    .from("projects")
+    .select(PROJECT_COLUMNS)
+    .order("name", { ascending: true });
+
+  if (activeOnly) q = q.eq("is_active", true);
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+export function projectIsValidOn(project, day) {
+  if (!project?.is_active) return false;
+  if (project.valid_from && day < project.valid_from) return false;
+  if (project.valid_to && day > project.valid_to) return false;
+  return true;
+}
+
+function projectKey(name) {
+  return String(name ?? "").trim().toLowerCase();
+}
+
+/**
+ * Vérifie les "projet" des lignes contre les projets actifs à cette date.
+ * - "" reste autorisé (projet non défini)
+ * - la casse est corrigée vers le nom officiel
+ * - allowed : projets déjà présents sur le jour (ligne existante non modifiée)
+ * Retourne { rows, unknown }
+ */
+export function resolveRowProjects(projects, rows, { day, allowed = [] } = {}) {
+  const valid = new Map();
+  for (const p of projects ?? []) {
+    if (projectIsValidOn(p, day)) valid.set(projectKey(p.name), p.name);
+  }
+  const allowedKeys = new Set(allowed.map(projectKey));
+
+  const unknown = new Set();
+  const out = (rows ?? []).map((r) => {
+    const raw = String(r.projet ?? "").trim();
+    if (!raw) return { ...r, projet: "" };
+
+    const name = valid.get(projectKey(raw));
+    if (name) return { ...r, projet: name };
+    if (allowedKeys.has(projectKey(raw))) return { ...r, projet: raw };
+
+    unknown.add(raw);
+    return r;
+  });
+
+  return { rows: out, unknown: Array.from(unknown) };
+}
+
+export function defaultImputeByProject(projects) {
+  return new Map(
+    (projects ?? [])
+      .filter((p) => String(p.default_impute ?? "").trim())
+      .map((p) => [p.name, String(p.default_impute).trim()])
+  );
+}
+
+// Tables qui référencent un projet par son nom (pas de clé étrangère)
+export const PROJECT_NAME_REFERENCES = [
+  { table: "activities", column: "projet" },
+  { table: "recurring_activities", column: "projet" },
+  { table: "impute_rules", column: "projet" },
+];
+
+/**
+ * Renommage : les références par nom suivent le nouveau nom (budgets et plan de
+ * charge gardent l'historique saisi). Simple changement de libellé : pas d'entrée
+ * d'historique par ligne, périodes clôturées comprises.
+ * En cas d'échec, les tables déjà réécrites reprennent l'ancien nom.
+ */
+export async function renameProjectReferences(supabaseClient, from, to) {
+  const done = [];
+  try {
+    for (const ref of PROJECT_NAME_REFERENCES) {
+      const { error } = await supabaseClient
+        .from(ref.table)
+        .update({ [ref.column]: to })
+        .eq(ref.column, from);
+      if (error) throw new Error(error.message);
+      done.push(ref);
+    }
+  } catch (e) {
+    const failures = [];
+    for (const ref of done.reverse()) {
+      const { error } = await supabaseClient
+        .from(ref.table)
+        .update({ [ref.column]: from })
+        .eq(ref.column, to);
+      if (error) failures.push(`${ref.table} : ${error.message}`);
+    }
+    if (failures.length) {
+      console.error(`❌ Project rename rollback failed (${from}): ${failures.join(" ; ")}`);
+      throw new Error(
+        `${e?.message || e} — annulation incomplète, saisies possiblement sous le nom "${to}" : ${failures.join(" ; ")}`
+      );
+    }
+    throw e;
+  }
+}
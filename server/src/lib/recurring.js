@@ -0,0 +1,96 @@
+// src/lib/recurring.js
+import { parseYmd, startOfWeek, weekdayOf } from "./calendar.js";
+import { WEEKDAY_KEYS } from "./workSchedule.js";
+
+/**
+ * ---------------------------
+ * Activités récurrentes (daily, jours d'école...)
+ * ---------------------------
+ * Table Supabase "recurring_activities":
+ *   id, user_id, sujet, projet, id_ticket, type, temps_passe_h,
+ *   rule ("weekdays" = lundi -> vendredi | "weekly" = jours choisis),
+ *   weekdays (text[] de WEEKDAY_KEYS, rule "weekly"), interval_weeks (1 = chaque semaine),
+ *   from_day (date, ancre du rythme N semaines), to_day (date|null), is_active, created_at
+ *
+ * Table "recurring_occurrences" (une ligne par récurrence et par jour, unique(recurring_id, day)) :
+ *   id, recurring_id, user_id, day, status ("done" | "skipped"),
+ *   activity_id (activities.id, on delete set null)
+ * Une occurrence déjà traitée n'est jamais re-générée : une ligne générée puis
+ * supprimée par l'utilisateur ne revient pas.
+ */
+export const RECURRING_RULES = ["weekdays", "weekly"];
+
+export const RECURRING_COLUMNS =
+  "id, user_id, sujet, projet, id_ticket, type, temps_passe_h, rule, weekdays, interval_weeks, from_day, to_day, is_active, created_at";
+
+const WORKWEEK = ["mon", "tue", "wed", "thu", "fri"];
+
+export async function loadRecurring(supabaseClient, userId, { activeOnly = false } = {}) {
+  let q = supabaseClient
+    .from("recurring_activities")
+    .select(RECURRING_COLUMNS)
+    .eq("user_id", userId)
+    .order("created_at", { ascending: true });
+
+  if (activeOnly) q = q.eq("is_active", true);
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+export async function loadOccurrences(supabaseClient, userId, day) {
+  const { data, error } = await supabaseClient
+    .from("recurring_occurrences")
+    .select("id, recurring_id, user_id, day, status, activity_id")
+    .eq("user_id", userId)
+    .eq("day", day);
+
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+function weeksBetween(a, b) {
+  const ms = parseYmd(startOfWeek(b)) - parseYmd(startOfWeek(a));
+  return Math.round(ms / (7 * 86400000));
+}
+
+/**
+ * La récurrence tombe-t-elle ce jour ? (hors fériés / contrat : vérifiés par l'appelant)
+ */
+export function occursOn(rec, day) {
+  if (!rec?.is_active) return false;
+  if (rec.from_day && day < rec.from_day) return false;
+  if (rec.to_day && day > rec.to_day) return false;
+
+  const key = WEEKDAY_KEYS[weekdayOf(day)];
+  const days = rec.rule === "weekly" ? (rec.weekdays ?? []) : WORKWEEK;
+  if (!days.includes(key)) return false;
+
+  const interval = Math.max(1, Number(rec.interval_weeks || 1));
+  if (interval > 1 && rec.from_day) {
+    return weeksBetween(rec.from_day, day) % interval === 0;
+  }
+  return true;
+}
+
+/**
+ * Récurrences dues ce jour et pas encore traitées (ni générées, ni ignorées)
+ */
+export function pendingRecurring(recs, occurrences, day) {
+  const handled = new Set((occurrences ?? []).map((o) => String(o.recurring_id)));
+  return (recs ?? []).filter((r) => occursOn(r, day) && !handled.has(String(r.id)));
+}
+
+export function describeRecurring(rec) {
+  const labels = { mon: "lun", tue: "mar", wed: "mer", thu: "jeu", fri: "ven", sat: "sam", sun: "dim" };
+  const days =
+    rec.rule === "weekly"
+      ? Object.keys(labels)
+          .filter((k) => (rec.weekdays ?? []).includes(k))
+          .map((k) => labels[k])
+          .join(", ")
+      : "jours ouvrés";
+  const interval = Number(rec.interval_weeks || 1);
+  return interval > 1 ? `${days}, toutes les ${interval} semaines` : days;
+}
@@ -0,0 +1,176 @@
+// src/lib/reminders.js
+import { addDays, completionForDays, eachDay, isWorkingDay, startOfWeek } from "./calendar.js";
+
+/**
+ * ---------------------------
+ * Relances email (saisie manquante)
+ * ---------------------------
+ * Table Supabase "reminder_preferences" (absente = valeurs par défaut) :
+ *   user_id (pk), frequency ("daily" | "weekly" | "monthly"), opt_out (bool), updated_at
+ * Table "reminder_log" (anti-doublon, unique(kind, user_id, period_key)) :
+ *   id, kind ("user" | "pm_digest"), user_id (destinataire), period_key,
+ *   missing_days (int), status ("sent" | "failed"), error, sent_at
+ *
+ * Fréquences :
+ *   daily   -> chaque jour ouvré, semaine en cours (jusqu'à aujourd'hui)
+ *   weekly  -> dernier jour ouvré de la semaine, semaine en cours (défaut)
+ *   monthly -> dernier jour ouvré du mois, mois en cours
+ * Un seul envoi par (destinataire, période) : le job peut tourner plusieurs fois.
+ */
+export const REMINDER_FREQUENCIES = ["daily", "weekly", "monthly"];
+
+export const DEFAULT_REMINDER_PREFERENCES = { frequency: "weekly", opt_out: false };
+
+// Fuseau du job planifié : REMINDER_HOUR et le jour de relance s'y lisent, pas en heure serveur
+export const REMINDER_TIMEZONE = process.env.REMINDER_TIMEZONE || "Europe/Paris";
+
+// Jour (YYYY-MM-DD) et heure (0-23) courants dans le fuseau donné
+export function clockIn(timeZone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+  }).formatToParts(date);
+  const get = (t) => parts.find((p) => p.type === t)?.value ?? "00";
+  return { day: `${get("year")}-${get("month")}-${get("day")}`, hour: Number(get("hour")) };
+}
+
+export async function loadReminderPreferences(supabaseClient, userIds) {
+  const map = new Map();
+  if (userIds && !userIds.length) return map;
+
+  let q = supabaseClient.from("reminder_preferences").select("user_id, frequency, opt_out, updated_at");
+  if (userIds) q = q.in("user_id", userIds);
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+
+  for (const p of data ?? []) map.set(String(p.user_id), p);
+  return map;
+}
+
+export async function loadReminderLog(supabaseClient, { from, to, limit = 200 } = {}) {
+  let q = supabaseClient
+    .from("reminder_log")
+    .select("id, kind, user_id, period_key, missing_days, status, error, sent_at")
+    .order("sent_at", { ascending: false })
+    .limit(limit);
+
+  if (from) q = q.gte("sent_at", `${from}T00:00:00Z`);
+  if (to) q = q.lte("sent_at", `${to}T23:59:59Z`);
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+function lastWorkingDay(from, to, closures) {
+  const days = eachDay(from, to).filter((d) => isWorkingDay(d, { closures }));
+  return days[days.length - 1] ?? null;
+}
+
+/**
+ * Période couverte + clé anti-doublon pour une fréquence, ou null si pas d'envoi aujourd'hui
+ */
+export function reminderPeriod(frequency, today, { closures } = {}) {
+  if (!isWorkingDay(today, { closures })) return null;
+
+  const weekStart = startOfWeek(today);
+  if (frequency === "daily") return { from: weekStart, to: today, periodKey: today };
+
+  if (frequency === "monthly") {
+    const monthStart = `${today.slice(0, 7)}-01`;
+    const monthEnd = addDays(`${addDays(monthStart, 31).slice(0, 7)}-01`, -1);
+    if (lastWorkingDay(monthStart, monthEnd, closures) !== today) return null;
+    return { from: monthStart, to: today, periodKey: today.slice(0, 7) };
+  }
+
+  if (lastWorkingDay(weekStart, addDays(weekStart, 6), closures) !== today) return null;
+  return { from: weekStart, to: today, periodKey: weekStart };
+}
+
+/**
+ * Plan des relances (aucun envoi) :
+ * users [{ id, full_name, email }], preferences Map (user_id -> préférences),
+ * filledByUser Map userId -> Set(days), sent Set("kind|userId|periodKey"),
+ * expectedOf(userId, day) -> heures dues.
+ * Chaque entrée : { userId, name, email, frequency, from, to, periodKey, missingDays,
+ *                   status: "due" | "already_sent" | "opt_out" | "not_due" | "complete" | "no_email" }
+ */
+export function planReminders({ today, users, preferences, filledByUser, sent, expectedOf, closures }) {
+  return (users ?? []).map((u) => {
+    const userId = String(u.id);
+    const pref = { ...DEFAULT_REMINDER_PREFERENCES, ...(preferences.get(userId) ?? {}) };
+    const base = { userId, name: u.full_name || userId, email: u.email || "", frequency: pref.frequency };
+
+    if (pref.opt_out) return { ...base, status: "opt_out", missingDays: [] };
+
+    const period = reminderPeriod(pref.frequency, today, { closures });
+    if (!period) return { ...base, status: "not_due", missingDays: [] };
+
+    const { missingDays } = completionForDays(filledByUser.get(userId) ?? new Set(), {
+      from: period.from,
+      to: period.to,
+      closures,
+      until: today,
+      isExpected: (d) => expectedOf(userId, d) > 0,
+    });
+
+    const entry = { ...base, ...period, missingDays };
+    if (!missingDays.length) return { ...entry, status: "complete" };
+    if (!u.email) return { ...entry, status: "no_email" };
+    if (sent.has(`user|${userId}|${period.periodKey}`)) return { ...entry, status: "already_sent" };
+    return { ...entry, status: "due" };
+  });
+}
+
+function frDay(ymd) {
+  const [y, m, d] = ymd.split("-");
+  return `${d}/${m}/${y}`;
+}
+
+export function reminderEmail(entry, { appUrl = "" } = {}) {
+  const scope = entry.frequency === "monthly" ? "ce mois-ci" : "cette semaine";
+
+  const lines = [
+    `Bonjour ${entry.name},`,
+    "",
+    `Il manque ta saisie d'activité ${scope} pour :`,
+    ...entry.missingDays.map((d) => `  - ${frDay(d)}`),
+    "",
+  ];
+  if (appUrl) lines.push(`Saisir : ${appUrl.replace(/\/$/, "")}/activity`, "");
+  lines.push("Tu peux changer la fréquence de ces rappels (ou les désactiver) depuis la page de saisie.");
+
+  return {
+    to: entry.email,
+    subject: `Saisie d'activité : ${entry.missingDays.length} jour(s) à compléter`,
+    text: lines.join("\n"),
+  };
+}
+
+/**
+ * Récapitulatif CP : users en retard sur la période du CP (sa propre fréquence),
+ * quelle que soit la fréquence de chacun. late [{ name, missingDays }]
+ */
+export function pmDigestEmail({ pm, late, from, today, appUrl = "" }) {
+  const lines = [
+    pm.full_name ? `Bonjour ${pm.full_name},` : "Bonjour,",
+    "",
+    `Saisies manquantes du ${frDay(from)} au ${frDay(today)} :`,
+    ...late
+      .slice()
+      .sort((a, b) => b.missingDays.length - a.missingDays.length || a.name.localeCompare(b.name))
+      .map((u) => `  - ${u.name} : ${u.missingDays.length} jour(s) (${u.missingDays.map(frDay).join(", ")})`),
+  ];
+  if (appUrl) lines.push("", `Tableau de bord : ${appUrl.replace(/\/$/, "")}/pm-dashboard`);
+
+  return {
+    to: pm.email,
+    subject: `Saisies en retard : ${late.length} personne(s)`,
+    text: lines.join("\n"),
+  };
+}
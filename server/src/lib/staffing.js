@@ -0,0 +1,171 @@
+// src/lib/staffing.js
+import { addDays, daysBetween, startOfWeek } from "./calendar.js";
+
+/**
+ * ---------------------------
+ * Plan de charge (prévu) vs réalisé
+ * ---------------------------
+ * Table Supabase "staffing_plan" (unique(user_id, project_id, week)) :
+ *   id, user_id, project_id (on delete cascade), week (date, lundi), planned_days,
+ *   note, updated_by, updated_at
+ * Réalisé = activities (jours selon le contrat de chacun), rattachées au projet par
+ * leur nom (suivi lors d'un renommage) ; une saisie sur un projet non planifié
+ * apparaît avec 0 j prévu.
+ */
+export const STAFFING_COLUMNS = "id, user_id, project_id, week, planned_days, note, updated_by, updated_at";
+
+// Nombre de semaines (lundis) couvertes, calculé sans construire la liste
+export function staffingWeekCount(from, to) {
+  return Math.max(0, daysBetween(startOfWeek(from), startOfWeek(to)) / 7 + 1);
+}
+
+// lundis couvrant [from, to]
+export function staffingWeeks(from, to) {
+  const weeks = [];
+  for (let w = startOfWeek(from); w <= startOfWeek(to); w = addDays(w, 7)) weeks.push(w);
+  return weeks;
+}
+
+export async function loadStaffingPlan(supabaseClient, { from, to, userId, projectId } = {}) {
+  let q = supabaseClient
+    .from("staffing_plan")
+    .select(STAFFING_COLUMNS)
+    .order("week", { ascending: true });
+
+  if (from) q = q.gte("week", startOfWeek(from));
+  if (to) q = q.lte("week", startOfWeek(to));
+  if (userId) q = q.eq("user_id", userId);
+  if (projectId) q = q.eq("project_id", projectId);
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function variance(planned, actual) {
+  return {
+    plannedDays: round2(planned),
+    actualDays: round2(actual),
+    varianceDays: round2(actual - planned),
+    // écart relatif au prévu (null si rien de prévu)
+    variancePct: planned > 0 ? Math.round(((actual - planned) / planned) * 100) : null,
+  };
+}
+
+/**
+ * Comparaison prévu / réalisé.
+ * plan : lignes staffing_plan ; activities : { user_id, day, projet, ... } de la période
+ * projects : référentiel (id, name) ; nameOf(userId) ; daysOf(activity) -> jours
+ * Retourne { weeks, rows (user × projet, avec le détail par semaine), byUser, byProject, totals }
+ */
+export function compareStaffing({ plan, activities, projects, nameOf, daysOf, from, to }) {
+  const weeks = staffingWeeks(from, to);
+  const weekSet = new Set(weeks);
+
+  const projectById = new Map((projects ?? []).map((p) => [String(p.id), p]));
+  const projectByName = new Map((projects ?? []).map((p) => [p.name.trim().toLowerCase(), p]));
+
+  const rows = new Map();
+  const rowFor = (userId, project) => {
+    const key = `${userId}|${project.key}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        userId,
+        name: nameOf(userId),
+        projectId: project.id,
+        project: project.name,
+        cells: new Map(weeks.map((w) => [w, { planned: 0, actual: 0, planId: null, note: "" }])),
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const p of plan ?? []) {
+    if (!weekSet.has(p.week)) continue;
+    const project = projectById.get(String(p.project_id));
+    const key = project ? project.name.trim().toLowerCase() : `#${p.project_id}`;
+    const cell = rowFor(String(p.user_id), {
+      key,
+      id: String(p.project_id),
+      name: project?.name ?? String(p.project_id),
+    }).cells.get(p.week);
+    cell.planned += Number(p.planned_days || 0);
+    cell.planId = p.id;
+    cell.note = p.note ?? "";
+  }
+
+  for (const a of activities ?? []) {
+    const name = String(a.projet ?? "").trim();
+    if (!name) continue;
+    const week = startOfWeek(a.day);
+    if (!weekSet.has(week)) continue;
+
+    const project = projectByName.get(name.toLowerCase());
+    const cell = rowFor(String(a.user_id), {
+      key: name.toLowerCase(),
+      id: project ? String(project.id) : null,
+      name: project?.name ?? name,
+    }).cells.get(week);
+    cell.actual += daysOf(a);
+  }
+
+  // ---- agrégats
+  const out = [];
+  const byUser = new Map();
+  const byProject = new Map();
+  const totals = { planned: 0, actual: 0 };
+
+  for (const r of rows.values()) {
+    let planned = 0;
+    let actual = 0;
+    const cells = weeks.map((week) => {
+      const c = r.cells.get(week);
+      planned += c.planned;
+      actual += c.actual;
+      return { week, planId: c.planId, note: c.note, ...variance(c.planned, c.actual) };
+    });
+
+    out.push({
+      userId: r.userId,
+      name: r.name,
+      projectId: r.projectId,
+      project: r.project,
+      cells,
+      ...variance(planned, actual),
+    });
+
+    const u = byUser.get(r.userId) ?? { userId: r.userId, name: r.name, planned: 0, actual: 0 };
+    u.planned += planned;
+    u.actual += actual;
+    byUser.set(r.userId, u);
+
+    const p = byProject.get(r.project) ?? {
+      projectId: r.projectId,
+      project: r.project,
+      planned: 0,
+      actual: 0,
+    };
+    p.planned += planned;
+    p.actual += actual;
+    byProject.set(r.project, p);
+
+    totals.planned += planned;
+    totals.actual += actual;
+  }
+
+  const finish = ({ planned, actual, ...rest }) => ({ ...rest, ...variance(planned, actual) });
+
+  return {
+    weeks,
+    rows: out.sort((a, b) => a.name.localeCompare(b.name) || a.project.localeCompare(b.project)),
+    byUser: Array.from(byUser.values()).map(finish).sort((a, b) => a.name.localeCompare(b.name)),
+    byProject: Array.from(byProject.values())
+      .map(finish)
+      .sort((a, b) => a.project.localeCompare(b.project)),
+    totals: variance(totals.planned, totals.actual),
+  };
+}
@@ -0,0 +1,142 @@
+// src/lib/teams.js
+
+/**
+ * ---------------------------
+ * Équipes et périmètre CP
+ * ---------------------------
+ * Table Supabase "teams" : id, name (unique), description, created_at
+ * Table "team_owners" (unique(team_id, user_id)) : id, team_id (on delete cascade), user_id (CP)
+ * Table "team_members" : id, team_id (on delete cascade), user_id,
+ *   from_day (date|null), to_day (date|null) -> appartenance datée, un user peut
+ *   changer d'équipe (ou être dans plusieurs) au fil du temps.
+ *
+ * Un CP ne voit que les (user, jour) couverts par une équipe qu'il gère.
+ *
+ * PM_SCOPE_MODES (variable PM_SCOPE côté API) :
+ *   auto  (défaut) : pas de restriction tant qu'aucune équipe n'existe (mise en place),
+ *                    puis restriction pour tous : un CP sans équipe ne voit plus personne
+ *   teams : restriction dès le départ (un CP sans équipe ne voit personne)
+ *   all   : pas de restriction (équipes = simple sélecteur du dashboard)
+ */
+export const PM_SCOPE_MODES = ["auto", "teams", "all"];
+
+export const TEAM_COLUMNS = "id, name, description, created_at";
+
+export const TEAM_MEMBER_COLUMNS = "id, team_id, user_id, from_day, to_day";
+
+export async function loadTeams(supabaseClient, { teamIds } = {}) {
+  if (teamIds && !teamIds.length) return [];
+
+  let q = supabaseClient.from("teams").select(TEAM_COLUMNS).order("name", { ascending: true });
+  if (teamIds) q = q.in("id", teamIds);
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+export async function loadTeamOwners(supabaseClient, { teamIds, userId } = {}) {
+  if (teamIds && !teamIds.length) return [];
+
+  let q = supabaseClient.from("team_owners").select("id, team_id, user_id");
+  if (teamIds) q = q.in("team_id", teamIds);
+  if (userId) q = q.eq("user_id", userId);
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+export async function loadTeamMembers(supabaseClient, { teamIds, userId } = {}) {
+  if (teamIds && !teamIds.length) return [];
+
+  let q = supabaseClient
+    .from("team_members")
+    .select(TEAM_MEMBER_COLUMNS)
+    .order("from_day", { ascending: true, nullsFirst: true });
+  if (teamIds) q = q.in("team_id", teamIds);
+  if (userId) q = q.eq("user_id", userId);
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+  return data ?? [];
+}
+
+export function membershipCovers(m, day) {
+  if (!day) return true;
+  if (m.from_day && day < m.from_day) return false;
+  if (m.to_day && day > m.to_day) return false;
+  return true;
+}
+
+function membershipOverlaps(m, from, to) {
+  if (from && m.to_day && m.to_day < from) return false;
+  if (to && m.from_day && m.from_day > to) return false;
+  return true;
+}
+
+function unrestrictedScope() {
+  return {
+    restricted: false,
+    teams: [],
+    covers: () => true,
+    usersIn: () => null,
+    filterRows: (rows) => rows ?? [],
+  };
+}
+
+/**
+ * Périmètre d'un CP : équipes gérées (ou la seule teamId demandée), selon mode (PM_SCOPE_MODES).
+ * null si teamId n'est pas une équipe du CP.
+ *   covers(userId, day?)   : user membre d'une de ces équipes ce jour-là (ou à un moment)
+ *   usersIn(from?, to?)    : ids des membres sur la période (null = pas de restriction)
+ *   filterRows(rows, keys) : garde les lignes { user_id, day } couvertes
+ */
+export async function loadPmScope(supabaseClient, pmId, { teamId, mode = "auto" } = {}) {
+  if (!PM_SCOPE_MODES.includes(mode)) throw new Error(`PM_SCOPE inconnu: ${mode}`);
+
+  if (mode === "auto") {
+    const { count, error } = await supabaseClient
+      .from("teams")
+      .select("id", { count: "exact", head: true });
+    if (error) throw new Error(error.message);
+    if (!count) return teamId ? null : unrestrictedScope();
+  }
+
+  const owned = await loadTeamOwners(supabaseClient, { userId: pmId });
+  let teamIds = Array.from(new Set(owned.map((o) => String(o.team_id))));
+  if (teamId) {
+    if (!teamIds.includes(String(teamId))) return null;
+    teamIds = [String(teamId)];
+  }
+
+  const [teams, members] = await Promise.all([
+    loadTeams(supabaseClient, { teamIds }),
+    loadTeamMembers(supabaseClient, { teamIds }),
+  ]);
+
+  const byUser = new Map();
+  for (const m of members) {
+    const id = String(m.user_id);
+    if (!byUser.has(id)) byUser.set(id, []);
+    byUser.get(id).push(m);
+  }
+
+  // "all" : équipe demandée = filtre du dashboard, sinon tout le monde
+  if (mode === "all" && !teamId) return { ...unrestrictedScope(), teams };
+
+  const covers = (userId, day) =>
+    (byUser.get(String(userId)) ?? []).some((m) => membershipCovers(m, day));
+
+  return {
+    restricted: true,
+    teams,
+    covers,
+    usersIn: (from, to) =>
+      Array.from(byUser.entries())
+        .filter(([, ms]) => ms.some((m) => membershipOverlaps(m, from, to)))
+        .map(([id]) => id),
+    filterRows: (rows, { userKey = "user_id", dayKey = "day" } = {}) =>
+      (rows ?? []).filter((r) => covers(r[userKey], r[dayKey])),
+  };
+}
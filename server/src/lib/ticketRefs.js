@@ -0,0 +1,110 @@
+// src/lib/ticketRefs.js
+
+/**
+ * ---------------------------
+ * Références de tickets dans le texte libre (parsing IA)
+ * ---------------------------
+ * Détection déterministe, avant et après le LLM :
+ *   "#48213", "ticket 48213", "US 48213", "bug n°48213",
+ *   ".../_workitems/edit/48213", "..._workitems?id=48213"
+ * Listes après un mot-clé : "tickets 48213, 48214 et 48215", "US 48213/48214".
+ * Un ticket = au moins 3 chiffres (évite "2h", "#1"...).
+ */
+const URL_RE = /https?:\/\/\S*?_workitems(?:\/edit\/(\d+)|\S*?[?&]id=(\d+))\S*/gi;
+const HASH_RE = /(?<![\w&])#\s?(\d{3,})\b/g;
+const KEYWORD_RE =
+  /\b(?:tickets?|tk|us|user\s+story|bugs?|ano(?:malie)?|incident|evol(?:ution)?|feature|pbi|wi|work\s*item)\s*(?:n°|no\.?|num(?:éro|ero)?\.?)?\s*[#:-]?\s*(\d{3,}(?:\s*(?:,|\/|&|\+|\bet\b)\s*(?:n°\s*)?#?\s*\d{3,}\b)*)\b/gi;
+
+/**
+ * Retourne [{ id, raw, index }] dans l'ordre d'apparition, sans doublon d'id
+ */
+export function extractTicketRefs(text) {
+  const src = String(text ?? "");
+  const found = [];
+
+  for (const re of [URL_RE, HASH_RE, KEYWORD_RE]) {
+    for (const m of src.matchAll(re)) {
+      const group = m[1] ?? m[2];
+      if (!group) continue;
+      const overlaps = found.some(
+        (f) => m.index < f.index + f.raw.length && f.index < m.index + m[0].length
+      );
+      if (overlaps) continue;
+
+      // liste "48213 et 48214" : un ref par id, même texte source (retiré en bloc du sujet)
+      group.match(/\d{3,}/g).forEach((id, i) => found.push({ id, raw: m[0], index: m.index, order: i }));
+    }
+  }
+
+  found.sort((a, b) => a.index - b.index || a.order - b.order);
+
+  const seen = new Set();
+  return found
+    .filter((f) => (seen.has(f.id) ? false : (seen.add(f.id), true)))
+    .map(({ id, raw, index }) => ({ id, raw, index }));
+}
+
+/**
+ * Texte envoyé au LLM : URLs ADO remplacées par "#id" (plus court, non ambigu)
+ */
+export function normalizeTicketText(text) {
+  return String(text ?? "").replace(URL_RE, (_m, a, b) => `#${a ?? b}`);
+}
+
+function stripRefs(sujet, refs) {
+  let out = String(sujet ?? "");
+  for (const r of refs) out = out.split(r.raw).join(" ");
+  return out
+    .replace(/\s+([,.;:)])/g, "$1")
+    .replace(/\(\s*\)/g, "")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s,;:-]+|[\s,;:-]+$/g, "")
+    .replace(/^(?:et|and|&)\s+|\s+(?:et|and|&)$/gi, "")
+    .trim();
+}
+
+function splitHours(total, n) {
+  const each = Math.floor((Number(total || 0) / n) * 100) / 100;
+  const parts = Array.from({ length: n }, () => each);
+  parts[n - 1] = Math.round((Number(total || 0) - each * (n - 1)) * 100) / 100;
+  return parts;
+}
+
+/**
+ * Post-traitement des lignes renvoyées par le LLM :
+ * - id_ticket normalisé (chiffres seuls) ; références trouvées dans le sujet déplacées
+ * - plusieurs tickets sur une ligne -> une ligne par ticket (heures réparties)
+ * - tickets détectés dans le texte mais absents de la sortie -> posés sur les lignes sans ticket
+ */
+export function applyTicketRefs(rows, textRefs = []) {
+  const out = [];
+
+  for (const r of rows ?? []) {
+    const field = String(r.id_ticket ?? "").trim();
+    const fieldIds = /^#?\s*\d+$/.test(field)
+      ? [field.replace(/\D/g, "")]
+      : extractTicketRefs(field).map((x) => x.id);
+    const fromSujet = extractTicketRefs(r.sujet);
+    const ids = Array.from(new Set([...fieldIds, ...fromSujet.map((x) => x.id)]));
+    const sujet = stripRefs(r.sujet, fromSujet) || String(r.sujet ?? "").trim();
+
+    if (ids.length <= 1) {
+      // id non numérique (ex: "INC12345") conservé tel quel
+      out.push({ ...r, id_ticket: ids[0] ?? field, sujet });
+      continue;
+    }
+
+    const hours = splitHours(r.temps_passe_h, ids.length);
+    ids.forEach((id, i) => out.push({ ...r, id_ticket: id, sujet, temps_passe_h: hours[i] }));
+  }
+
+  const used = new Set(out.map((r) => r.id_ticket).filter(Boolean));
+  const pending = textRefs.map((t) => t.id).filter((id) => !used.has(id));
+
+  for (const r of out) {
+    if (!pending.length) break;
+    if (!r.id_ticket && Number(r.temps_passe_h) > 0) r.id_ticket = pending.shift();
+  }
+
+  return out;
+}
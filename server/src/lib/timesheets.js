@@ -0,0 +1,92 @@
+// src/lib/timesheets.js
+import { addDays, startOfWeek } from "./calendar.js";
+
+/**
+ * ---------------------------
+ * Feuilles de temps hebdomadaires (soumission / validation CP)
+ * ---------------------------
+ * Table Supabase "timesheets":
+ *   id, user_id, week_start (date, lundi), status, comment,
+ *   submitted_at, reviewed_at, reviewed_by
+ *   unique (user_id, week_start)
+ *
+ * Pas de ligne en base = semaine en "draft".
+ */
+export const TIMESHEET_STATUSES = ["draft", "submitted", "approved", "rejected"];
+
+const TRANSITIONS = {
+  submit: { from: ["draft", "rejected"], to: "submitted" },
+  approve: { from: ["submitted"], to: "approved" },
+  reject: { from: ["submitted"], to: "rejected" },
+  reopen: { from: ["submitted", "approved", "rejected"], to: "draft" },
+};
+
+export function nextTimesheetStatus(current, action) {
+  const t = TRANSITIONS[action];
+  if (!t) throw new Error(`Action inconnue: ${action}`);
+  if (!t.from.includes(current)) {
+    throw new Error(`Transition interdite: ${current} -> ${t.to}`);
+  }
+  return t.to;
+}
+
+export function weekBounds(ymd) {
+  const weekStart = startOfWeek(ymd);
+  return { weekStart, weekEnd: addDays(weekStart, 6) };
+}
+
+export async function getTimesheet(supabaseClient, userId, weekStart) {
+  const { data, error } = await supabaseClient
+    .from("timesheets")
+    .select("id, user_id, week_start, status, comment, submitted_at, reviewed_at, reviewed_by")
+    .eq("user_id", userId)
+    .eq("week_start", weekStart)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data ?? { user_id: userId, week_start: weekStart, status: "draft", comment: "" };
+}
+
+/**
+ * Applique une action (submit/approve/reject/reopen) et retourne la ligne à jour
+ */
+export async function applyTimesheetAction(
+  supabaseClient,
+  { userId, weekStart, action, comment = "", actorId }
+) {
+  const current = await getTimesheet(supabaseClient, userId, weekStart);
+  const status = nextTimesheetStatus(current.status, action);
+  const now = new Date().toISOString();
+
+  const payload = {
+    user_id: userId,
+    week_start: weekStart,
+    status,
+    // le commentaire de refus est effacé à la re-soumission
+    comment: action === "submit" ? "" : comment,
+  };
+
+  if (action === "submit") payload.submitted_at = now;
+  if (action === "approve" || action === "reject" || action === "reopen") {
+    payload.reviewed_at = now;
+    payload.reviewed_by = actorId;
+  }
+
+  const { data, error } = await supabaseClient
+    .from("timesheets")
+    .upsert(payload, { onConflict: "user_id,week_start" })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Semaine validée => saisie dev refusée
+ */
+export async function isWeekApproved(supabaseClient, userId, day) {
+  const { weekStart } = weekBounds(day);
+  const ts = await getTimesheet(supabaseClient, userId, weekStart);
+  return ts.status === "approved";
+}
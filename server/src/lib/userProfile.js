@@ -0,0 +1,257 @@
+// src/lib/userProfile.js
+import { addDays } from "./calendar.js";
+import { levenshtein } from "./offlineParser.js";
+
+/**
+ * ---------------------------
+ * Profil d'habitudes (parsing IA personnalisé)
+ * ---------------------------
+ * Résumé compact des saisies récentes d'un utilisateur :
+ *   - projets fréquents + type habituel par projet
+ *   - sujets récurrents (avec projet / type / ticket)
+ *   - tickets récents (avec projet / type)
+ * Sert de contexte au prompt et au post-traitement snapRowsToProfile.
+ */
+const PROFILE_DAYS = 60;
+const IGNORED_TYPES = new Set(["Congés", "Week-end", "Alternance"]);
+const VAGUE_TYPES = new Set(["Non défini", "Autre", ""]);
+
+function fold(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function topEntry(counts) {
+  let best = "";
+  let max = 0;
+  for (const [k, n] of counts) {
+    if (n > max) {
+      best = k;
+      max = n;
+    }
+  }
+  return best;
+}
+
+function bump(map, key, n = 1) {
+  map.set(key, (map.get(key) ?? 0) + n);
+}
+
+/**
+ * rows : lignes d'activité ({ day, id_ticket, sujet, projet, temps_passe_h, type })
+ */
+export function buildUserProfile(rows, { maxProjects = 8, maxSujets = 10, maxTickets = 10 } = {}) {
+  const projects = new Map(); // name -> { count, hours, types }
+  const sujets = new Map(); // fold(sujet) -> { sujet, count, projets, types, tickets }
+  const tickets = new Map(); // id -> { count, lastDay, sujet, projets, types }
+
+  for (const r of rows ?? []) {
+    const type = String(r.type ?? "");
+    if (IGNORED_TYPES.has(type)) continue;
+
+    const projet = String(r.projet ?? "").trim();
+    const sujet = String(r.sujet ?? "").trim();
+    const ticket = String(r.id_ticket ?? "").trim();
+
+    if (projet) {
+      if (!projects.has(projet)) projects.set(projet, { count: 0, hours: 0, types: new Map() });
+      const p = projects.get(projet);
+      p.count += 1;
+      p.hours += Number(r.temps_passe_h || 0);
+      if (!VAGUE_TYPES.has(type)) bump(p.types, type);
+    }
+
+    const key = fold(sujet);
+    if (key) {
+      if (!sujets.has(key)) {
+        sujets.set(key, { sujet, count: 0, projets: new Map(), types: new Map(), tickets: new Map() });
+      }
+      const s = sujets.get(key);
+      s.count += 1;
+      if (projet) bump(s.projets, projet);
+      if (!VAGUE_TYPES.has(type)) bump(s.types, type);
+      if (ticket) bump(s.tickets, ticket);
+    }
+
+    if (ticket) {
+      if (!tickets.has(ticket)) {
+        tickets.set(ticket, { count: 0, lastDay: "", sujet: "", projets: new Map(), types: new Map() });
+      }
+      const t = tickets.get(ticket);
+      t.count += 1;
+      if (String(r.day ?? "") >= t.lastDay) {
+        t.lastDay = String(r.day ?? "");
+        if (sujet) t.sujet = sujet;
+      }
+      if (projet) bump(t.projets, projet);
+      if (!VAGUE_TYPES.has(type)) bump(t.types, type);
+    }
+  }
+
+  return {
+    projects: Array.from(projects, ([name, p]) => ({
+      name,
+      count: p.count,
+      hours: Math.round(p.hours * 100) / 100,
+      usualType: topEntry(p.types),
+    }))
+      .sort((a, b) => b.count - a.count || b.hours - a.hours)
+      .slice(0, maxProjects),
+
+    // récurrent = au moins 2 saisies
+    sujets: Array.from(sujets.values())
+      .filter((s) => s.count >= 2)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, maxSujets)
+      .map((s) => ({
+        sujet: s.sujet,
+        count: s.count,
+        projet: topEntry(s.projets),
+        type: topEntry(s.types),
+        id_ticket: topEntry(s.tickets),
+      })),
+
+    tickets: Array.from(tickets, ([id, t]) => ({
+      id,
+      count: t.count,
+      lastDay: t.lastDay,
+      sujet: t.sujet,
+      projet: topEntry(t.projets),
+      type: topEntry(t.types),
+    }))
+      .sort((a, b) => b.lastDay.localeCompare(a.lastDay) || b.count - a.count)
+      .slice(0, maxTickets),
+  };
+}
+
+export async function loadUserProfile(supabaseClient, userId, { today, days = PROFILE_DAYS } = {}) {
+  const { data, error } = await supabaseClient
+    .from("activities")
+    .select("day, id_ticket, sujet, projet, temps_passe_h, type")
+    .eq("user_id", userId)
+    .gte("day", addDays(today, -days))
+    .lte("day", today);
+
+  if (error) throw new Error(error.message);
+  return buildUserProfile(data ?? []);
+}
+
+export function profileIsEmpty(profile) {
+  return !profile || (!profile.projects.length && !profile.sujets.length && !profile.tickets.length);
+}
+
+/**
+ * Contexte compact pour le prompt (une ligne JSON par rubrique)
+ */
+export function profilePromptLines(profile) {
+  if (profileIsEmpty(profile)) return [];
+
+  const lines = [];
+  if (profile.projects.length) {
+    lines.push(
+      `- Projets habituels (type habituel): ${JSON.stringify(
+        profile.projects.map((p) => (p.usualType ? `${p.name} (${p.usualType})` : p.name))
+      )}`
+    );
+  }
+  if (profile.sujets.length) {
+    lines.push(
+      `- Sujets récurrents: ${JSON.stringify(
+        profile.sujets.map((s) => ({ sujet: s.sujet, projet: s.projet, type: s.type, id_ticket: s.id_ticket }))
+      )}`
+    );
+  }
+  if (profile.tickets.length) {
+    lines.push(
+      `- Tickets récents: ${JSON.stringify(
+        profile.tickets.map((t) => ({ id_ticket: t.id, sujet: t.sujet, projet: t.projet, type: t.type }))
+      )}`
+    );
+  }
+  return lines;
+}
+
+/**
+ * Projet habituel le plus proche d'un nom approximatif (casse, accents, 1-2 fautes, préfixe)
+ */
+function snapProjectName(raw, names) {
+  const key = fold(raw);
+  if (!key) return "";
+
+  let best = null;
+  for (const name of names) {
+    const k = fold(name);
+    if (!k) continue;
+
+    let score = 0;
+    if (k === key) score = 3;
+    else if (key.length >= 3 && (k.startsWith(key) || key.startsWith(k))) score = 2;
+    else if (Math.min(k.length, key.length) >= 4 && levenshtein(k, key) <= (k.length >= 8 ? 2 : 1)) score = 1;
+
+    if (score && (!best || score > best.score)) best = { name, score };
+  }
+  return best?.name ?? "";
+}
+
+/**
+ * Post-traitement : aligne projets / types des lignes parsées sur les habitudes.
+ * - projet hors référentiel (ou approximatif) -> projet habituel le plus proche
+ * - projet vide -> projet du ticket ou du sujet récurrent correspondant
+ * - type vague ("Non défini" / "Autre") -> type du ticket, du sujet, ou habituel du projet
+ * validNames : projets acceptés à la sauvegarde (un projet valide n'est jamais remplacé)
+ * Retourne { rows, snapped } (snapped = nombre de champs corrigés)
+ */
+export function snapRowsToProfile(rows, profile, { validNames = [] } = {}) {
+  if (profileIsEmpty(profile)) return { rows: rows ?? [], snapped: 0 };
+
+  const valid = new Set(validNames.map((n) => fold(n)));
+  const usual = profile.projects.map((p) => p.name).filter((n) => !valid.size || valid.has(fold(n)));
+  const usualType = new Map(profile.projects.map((p) => [p.name, p.usualType]));
+  const byTicket = new Map(profile.tickets.map((t) => [t.id, t]));
+  const bySujet = new Map(profile.sujets.map((s) => [fold(s.sujet), s]));
+
+  let snapped = 0;
+  const out = (rows ?? []).map((r) => {
+    const row = { ...r };
+    if (IGNORED_TYPES.has(row.type)) return row;
+
+    const ticket = byTicket.get(String(row.id_ticket ?? "").trim());
+    const recurring = bySujet.get(fold(row.sujet));
+
+    const projet = String(row.projet ?? "").trim();
+    if (projet && !valid.has(fold(projet))) {
+      const name = snapProjectName(projet, usual);
+      if (name) {
+        row.projet = name;
+        snapped += 1;
+      }
+    } else if (!projet) {
+      const name = ticket?.projet || recurring?.projet || "";
+      if (name && (!valid.size || valid.has(fold(name)))) {
+        row.projet = name;
+        snapped += 1;
+      }
+    }
+
+    if (VAGUE_TYPES.has(String(row.type ?? ""))) {
+      const type = ticket?.type || recurring?.type || usualType.get(row.projet) || "";
+      if (type) {
+        row.type = type;
+        snapped += 1;
+      }
+    }
+
+    if (!String(row.id_ticket ?? "").trim() && recurring?.id_ticket) {
+      row.id_ticket = recurring.id_ticket;
+      snapped += 1;
+    }
+
+    return row;
+  });
+
+  return { rows: out, snapped };
+}
@@ -0,0 +1,178 @@
+// src/lib/webhooks.js
+import crypto from "node:crypto";
+import dns from "node:dns/promises";
+import net from "node:net";
+
+/**
+ * ---------------------------
+ * Webhooks sortants (signés HMAC)
+ * ---------------------------
+ * Table Supabase "webhook_endpoints":
+ *   id, url, secret, events (text[] de WEBHOOK_EVENTS), description, is_active,
+ *   created_by, created_at
+ * Table "webhook_deliveries" (une ligne par tentative d'acheminement d'un événement) :
+ *   id, endpoint_id (on delete cascade), event, event_id, payload (jsonb),
+ *   status ("pending" | "success" | "failed"), attempts, last_status_code, last_error,
+ *   next_attempt_at, created_at, delivered_at, replay_of (delivery rejouée, nullable)
+ *
+ * Requête : POST JSON { id, type, createdAt, data } avec en-têtes
+ *   X-Activity-Event, X-Activity-Delivery,
+ *   X-Activity-Signature: t=<unix>,v1=<hex hmac-sha256(secret, "<t>.<body>")>
+ * Le destinataire recalcule la signature et rejette un t trop ancien (rejeu).
+ *
+ * SSRF : localhost et adresses internes (loopback, privées, link-local...) refusés à la
+ * déclaration et à chaque envoi (nom résolu), redirections non suivies.
+ * allowPrivateHosts lève ce contrôle (récepteur local en dev).
+ */
+export const WEBHOOK_EVENTS = ["day.saved", "day.pm_edited", "activity.vsa_updated", "profile.completed"];
+
+export const WEBHOOK_ENDPOINT_COLUMNS = "id, url, events, description, is_active, created_by, created_at";
+
+export const WEBHOOK_DELIVERY_COLUMNS =
+  "id, endpoint_id, event, event_id, payload, status, attempts, last_status_code, last_error, next_attempt_at, created_at, delivered_at, replay_of";
+
+const BLOCKED_RANGES = new net.BlockList();
+BLOCKED_RANGES.addSubnet("0.0.0.0", 8);
+BLOCKED_RANGES.addSubnet("10.0.0.0", 8);
+BLOCKED_RANGES.addSubnet("100.64.0.0", 10);
+BLOCKED_RANGES.addSubnet("127.0.0.0", 8);
+BLOCKED_RANGES.addSubnet("169.254.0.0", 16);
+BLOCKED_RANGES.addSubnet("172.16.0.0", 12);
+BLOCKED_RANGES.addSubnet("192.168.0.0", 16);
+BLOCKED_RANGES.addAddress("::", "ipv6");
+BLOCKED_RANGES.addAddress("::1", "ipv6");
+BLOCKED_RANGES.addSubnet("fc00::", 7, "ipv6");
+BLOCKED_RANGES.addSubnet("fe80::", 10, "ipv6");
+
+// IPv4-mapped (::ffff:7f00:1) comparée comme l'IPv4 correspondante
+export function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (!family) return false;
+  if (family === 6) {
+    const mapped = ip.toLowerCase().match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mapped) {
+      const hi = parseInt(mapped[1], 16);
+      const lo = parseInt(mapped[2], 16);
+      return isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+    }
+    const dotted = ip.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) return isPrivateAddress(dotted[1]);
+  }
+  return BLOCKED_RANGES.check(ip, family === 6 ? "ipv6" : "ipv4");
+}
+
+function urlHostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+}
+
+// Contrôle sans réseau (saisie) : "" si l'URL est acceptable, sinon le motif du refus
+export function webhookUrlError(url, { allowPrivateHosts = false } = {}) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return "URL invalide";
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") return "URL http(s) attendue";
+  if (allowPrivateHosts) return "";
+
+  const host = urlHostname(u);
+  if (host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host)) {
+    return `Adresse interne refusée (${host})`;
+  }
+  return "";
+}
+
+// Contrôle complet (déclaration et envoi) : le nom est résolu, une seule adresse interne suffit à refuser
+export async function checkWebhookTarget(url, { allowPrivateHosts = false } = {}) {
+  const staticError = webhookUrlError(url, { allowPrivateHosts });
+  if (staticError || allowPrivateHosts) return staticError;
+
+  const host = urlHostname(new URL(url));
+  if (net.isIP(host)) return "";
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch (e) {
+    return `Hôte introuvable (${host}) : ${e?.code || e?.message || e}`;
+  }
+  const internal = addresses.find((a) => isPrivateAddress(a.address));
+  return internal ? `Adresse interne refusée (${host} -> ${internal.address})` : "";
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+export function signWebhookBody(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Vérification côté destinataire (stub local, outils internes en JS)
+ */
+export function verifyWebhookSignature(secret, body, header, { toleranceSec = 300 } = {}) {
+  const parts = Object.fromEntries(
+    String(header ?? "")
+      .split(",")
+      .map((p) => p.split("="))
+      .filter((p) => p.length === 2)
+  );
+  const t = Number(parts.t);
+  if (!t || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - t) > toleranceSec) return false;
+
+  const expected = signWebhookBody(secret, body, t).split("v1=")[1];
+  const a = Buffer.from(expected, "hex");
+  const b = Buffer.from(String(parts.v1), "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export function webhookPayload(event, data, { eventId = crypto.randomUUID(), createdAt } = {}) {
+  return { id: eventId, type: event, createdAt: createdAt || new Date().toISOString(), data };
+}
+
+// 30s, 1min, 2min, 4min... plafonné à 1h
+export function webhookBackoffMs(attempts, { baseMs = 30 * 1000, maxMs = 60 * 60 * 1000 } = {}) {
+  return Math.min(maxMs, baseMs * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Un envoi HTTP : { ok, statusCode, error }
+ * 2xx = succès ; tout le reste (timeout, 4xx, 5xx) est retenté par l'appelant
+ */
+export async function sendWebhook(endpoint, delivery, { timeoutMs = 10000, allowPrivateHosts = false } = {}) {
+  const body = JSON.stringify(delivery.payload);
+
+  try {
+    const refused = await checkWebhookTarget(endpoint.url, { allowPrivateHosts });
+    if (refused) return { ok: false, statusCode: null, error: refused };
+
+    const resp = await fetch(endpoint.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "activity-team-webhooks/1",
+        "X-Activity-Event": delivery.event,
+        "X-Activity-Delivery": String(delivery.id),
+        "X-Activity-Signature": signWebhookBody(endpoint.secret, body),
+      },
+      body,
+      // une redirection (3xx) compte comme un échec : pas de rebond vers une adresse interne
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (resp.ok) return { ok: true, statusCode: resp.status, error: "" };
+    const text = await resp.text().catch(() => "");
+    return { ok: false, statusCode: resp.status, error: `HTTP ${resp.status} ${text}`.trim().slice(0, 500) };
+  } catch (e) {
+    return { ok: false, statusCode: null, error: String(e?.message || e).slice(0, 500) };
+  }
+}
+
+export function endpointWantsEvent(endpoint, event) {
+  return !!endpoint?.is_active && (endpoint.events ?? []).includes(event);
+}
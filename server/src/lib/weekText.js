@@ -0,0 +1,171 @@
+// src/lib/weekText.js
+import { addDays, dayKind, eachDay, startOfWeek } from "./calendar.js";
+
+/**
+ * ---------------------------
+ * Saisie "semaine" en langage naturel
+ * ---------------------------
+ * Découpe déterministe du texte par références de jours, résolues sur la
+ * semaine de référence (lundi -> dimanche) :
+ *   "lundi et mardi dev SCP, mercredi congé, jeudi-vendredi support"
+ *   -> [{ days: [lun, mar], text: "dev SCP" }, { days: [mer], text: "congé" }, ...]
+ * Jours nommés : lundi..dimanche (et lun., mar., ...), aujourd'hui / hier / demain,
+ * dates "12/03" ; plages "jeudi-vendredi", "du lundi au mercredi" ; "toute la semaine".
+ * Les plages et "semaine" ne gardent que les jours ouvrés.
+ */
+const WEEKDAY_OFFSETS = {
+  lundi: 0,
+  lun: 0,
+  mardi: 1,
+  mar: 1,
+  mercredi: 2,
+  mer: 2,
+  jeudi: 3,
+  jeu: 3,
+  vendredi: 4,
+  ven: 4,
+  samedi: 5,
+  sam: 5,
+  dimanche: 6,
+  dim: 6,
+};
+
+const DAY_TOKEN =
+  "(?:lundi|mardi|mercredi|jeudi|vendredi|samedi|dimanche|lun|mar|mer|jeu|ven|sam|dim)\\.?" +
+  "|aujourd'?\\s?hui|hier|demain|\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?";
+const CONNECTOR = "\\s*(?:,|et|-|–|a|au|jusqu'?\\s?au)\\s*";
+const RANGE_CONNECTORS = new Set(["-", "–", "a", "au", "jusqu'au", "jusqu au", "jusquau"]);
+
+const GROUP_RE = new RegExp(
+  `(?:\\b(?:du|le|les)\\s+)?\\b(?:${DAY_TOKEN})(?:${CONNECTOR}(?:${DAY_TOKEN}))*(?![\\w/])` +
+    `|\\b(?:toute\\s+la\\s+semaine|toute\\s+la\\s+sem|cette\\s+semaine)\\b`,
+  "g"
+);
+const TOKEN_RE = new RegExp(`(${DAY_TOKEN})|(${CONNECTOR.trim()})`, "g");
+
+// minuscules sans accents, même longueur que l'entrée (NFC)
+function fold(text) {
+  return String(text ?? "")
+    .normalize("NFC")
+    .split("")
+    .map((c) => c.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase() || c)
+    .join("")
+    .replace(/[’]/g, "'");
+}
+
+function resolveToken(token, { weekStart, today }) {
+  const t = token.replace(/\.$/, "").trim();
+  if (t in WEEKDAY_OFFSETS) return addDays(weekStart, WEEKDAY_OFFSETS[t]);
+  if (/^aujourd/.test(t)) return today;
+  if (t === "hier") return addDays(today, -1);
+  if (t === "demain") return addDays(today, 1);
+
+  const m = t.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+  if (m) {
+    const year = m[3] ? (m[3].length === 2 ? `20${m[3]}` : m[3]) : weekStart.slice(0, 4);
+    return `${year}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  }
+  return null;
+}
+
+function isWorking(ymd, closures) {
+  return dayKind(ymd, { closures }).kind === "working";
+}
+
+/**
+ * Résout un groupe ("lundi et mardi", "du jeudi au vendredi") en jours
+ */
+function resolveGroup(group, ctx) {
+  const weekEnd = addDays(ctx.weekStart, 6);
+
+  if (/semaine|\bsem\b/.test(group)) {
+    return eachDay(ctx.weekStart, weekEnd).filter((d) => isWorking(d, ctx.closures));
+  }
+
+  const days = [];
+  let pendingRange = false;
+  for (const m of group.matchAll(TOKEN_RE)) {
+    if (m[2] !== undefined) {
+      if (RANGE_CONNECTORS.has(m[2].trim())) pendingRange = true;
+      continue;
+    }
+
+    const d = resolveToken(m[1], ctx);
+    if (!d) continue;
+
+    const prev = days[days.length - 1];
+    if (pendingRange && prev && d > prev) {
+      for (const x of eachDay(addDays(prev, 1), d)) {
+        if (x === d || isWorking(x, ctx.closures)) days.push(x);
+      }
+    } else {
+      days.push(d);
+    }
+    pendingRange = false;
+  }
+  return Array.from(new Set(days));
+}
+
+function cleanText(s) {
+  return String(s ?? "")
+    .replace(/^[\s,;.:\-–]+|[\s,;.:\-–]+$/g, "")
+    .replace(/^(?:et|puis|ensuite)\s+|\s+(?:et|puis|ensuite)$/gi, "")
+    .trim();
+}
+
+/**
+ * Retourne { weekStart, weekEnd, segments: [{ days, text }], unassigned: [{ text, reason }] }
+ */
+export function splitWeekText(text, { day, today, closures = new Set() }) {
+  const source = String(text ?? "").normalize("NFC");
+  const folded = fold(source);
+  const weekStart = startOfWeek(day);
+  const weekEnd = addDays(weekStart, 6);
+  const ctx = { weekStart, today: today ?? day, closures };
+
+  const groups = Array.from(folded.matchAll(GROUP_RE)).map((m) => ({
+    start: m.index,
+    end: m.index + m[0].length,
+    days: resolveGroup(m[0], ctx),
+    raw: source.slice(m.index, m.index + m[0].length),
+  }));
+
+  const segments = [];
+  const unassigned = [];
+
+  let orphan = cleanText(source.slice(0, groups[0]?.start ?? source.length));
+
+  groups.forEach((g, i) => {
+    let body = cleanText(source.slice(g.end, groups[i + 1]?.start ?? source.length));
+
+    // "dev SCP lundi et mardi" : le texte précède les jours
+    if (!body && orphan) {
+      body = orphan;
+      orphan = "";
+    }
+
+    const inWeek = g.days.filter((d) => d >= weekStart && d <= weekEnd);
+    const outOfWeek = g.days.filter((d) => !inWeek.includes(d));
+
+    if (outOfWeek.length) {
+      unassigned.push({
+        text: `${g.raw} ${body}`.trim(),
+        reason: `Hors semaine du ${weekStart} : ${outOfWeek.join(", ")}`,
+      });
+    }
+    if (!inWeek.length) return;
+
+    if (!body) {
+      unassigned.push({ text: g.raw, reason: "Aucune activité décrite pour ces jours" });
+      return;
+    }
+
+    segments.push({ days: inWeek, text: body });
+  });
+
+  if (orphan) {
+    unassigned.push({ text: orphan, reason: "Aucun jour identifié" });
+  }
+
+  return { weekStart, weekEnd, segments, unassigned };
+}
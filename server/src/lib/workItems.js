@@ -0,0 +1,107 @@
+// src/lib/workItems.js
+
+/**
+ * ---------------------------
+ * Work items Azure DevOps (enrichissement de id_ticket)
+ * ---------------------------
+ * Providers:
+ *   - "ado"  : API REST ADO (_apis/wit/workitems/{id}), aussi utilisé avec le stub local
+ *              (src/stubs/adoStub.js) en pointant ADO_API_BASE_URL dessus
+ *   - "none" : pas de lookup (aucune validation du ticket)
+ *
+ * lookup(id) -> { id, title, state, type, areaPath, suggestedType } | null (introuvable)
+ * Erreur réseau / auth -> throw (l'appelant décide de bloquer ou non).
+ */
+const ADO_FIELDS = ["System.Title", "System.State", "System.WorkItemType", "System.AreaPath"];
+
+// Type de work item ADO -> type d'activité
+const TYPE_BY_WORK_ITEM = {
+  bug: "Ano",
+  incident: "Incident Applicatif",
+  issue: "Incident Applicatif",
+  feature: "Evol",
+  "user story": "Evol",
+  "product backlog item": "Evol",
+  epic: "Evol",
+  task: "Evol",
+};
+
+export function suggestActivityType(workItemType) {
+  return TYPE_BY_WORK_ITEM[String(workItemType ?? "").trim().toLowerCase()] ?? null;
+}
+
+/**
+ * "#1234" / " 1234 " -> "1234" ; "" si pas un id numérique
+ */
+export function normalizeTicketId(raw) {
+  const s = String(raw ?? "").trim().replace(/^#/, "");
+  return /^\d+$/.test(s) ? s : "";
+}
+
+function toWorkItem(json) {
+  const f = json?.fields ?? {};
+  const type = f["System.WorkItemType"] ?? "";
+  return {
+    id: String(json?.id ?? ""),
+    title: f["System.Title"] ?? "",
+    state: f["System.State"] ?? "",
+    type,
+    areaPath: f["System.AreaPath"] ?? "",
+    suggestedType: suggestActivityType(type),
+  };
+}
+
+function createAdoProvider({ baseUrl, project, pat, timeoutMs }) {
+  const root = String(baseUrl ?? "").replace(/\/+$/, "");
+  const headers = { Accept: "application/json" };
+  if (pat) headers.Authorization = `Basic ${Buffer.from(`:${pat}`).toString("base64")}`;
+
+  return async function fetchWorkItem(id) {
+    const url =
+      `${root}/${encodeURIComponent(project)}/_apis/wit/workitems/${id}` +
+      `?fields=${ADO_FIELDS.join(",")}&api-version=7.0`;
+
+    const resp = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+    if (resp.status === 404) return null;
+    if (!resp.ok) throw new Error(`ADO work item ${id}: HTTP ${resp.status}`);
+
+    return toWorkItem(await resp.json());
+  };
+}
+
+/**
+ * Client avec cache mémoire (TTL), y compris pour les tickets introuvables
+ */
+export function createWorkItemClient({
+  provider = "none",
+  baseUrl = "",
+  project = "",
+  pat = "",
+  timeoutMs = 5000,
+  cacheTtlMs = 10 * 60 * 1000,
+  notFoundTtlMs = 60 * 1000,
+} = {}) {
+  const enabled = provider === "ado";
+  const fetchWorkItem = enabled
+    ? createAdoProvider({ baseUrl, project, pat, timeoutMs })
+    : async () => null;
+
+  const cache = new Map(); // id -> { value, expiresAt }
+
+  async function lookup(rawId) {
+    const id = normalizeTicketId(rawId);
+    if (!enabled || !id) return null;
+
+    const hit = cache.get(id);
+    if (hit && hit.expiresAt > Date.now()) return hit.value;
+
+    const value = await fetchWorkItem(id);
+    cache.set(id, {
+      value,
+      expiresAt: Date.now() + (value ? cacheTtlMs : notFoundTtlMs),
+    });
+    return value;
+  }
+
+  return { enabled, provider, lookup };
+}
@@ -0,0 +1,100 @@
+// src/lib/workSchedule.js
+import { weekdayOf } from "./calendar.js";
+
+/**
+ * ---------------------------
+ * Contrats de temps de travail (par profil, datés)
+ * ---------------------------
+ * Table Supabase "work_schedules":
+ *   id, user_id, valid_from (date), valid_to (date|null),
+ *   hours (jsonb) { mon, tue, wed, thu, fri, sat, sun }
+ *
+ * - expectedHours(day) : heures dues ce jour-là (0 = jour non travaillé, ex: mercredi 4/5e)
+ * - dayCapacity(day)   : plafond de saisie et base de conversion 1J <-> heures
+ *                        (un jour non travaillé reste saisissable sur la base journée de référence)
+ */
+export const DEFAULT_HOURS_PER_DAY = 7;
+
+export const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+export const DEFAULT_WEEK_HOURS = {
+  mon: DEFAULT_HOURS_PER_DAY,
+  tue: DEFAULT_HOURS_PER_DAY,
+  wed: DEFAULT_HOURS_PER_DAY,
+  thu: DEFAULT_HOURS_PER_DAY,
+  fri: DEFAULT_HOURS_PER_DAY,
+  sat: 0,
+  sun: 0,
+};
+
+export function normalizeWeekHours(hours) {
+  const out = {};
+  for (const k of WEEKDAY_KEYS) {
+    const n = Number(hours?.[k] ?? 0);
+    out[k] = Number.isFinite(n) && n > 0 ? Math.min(n, 24) : 0;
+  }
+  return out;
+}
+
+/**
+ * Contrat applicable à une date (le plus récent valid_from gagne)
+ */
+export function scheduleForDay(schedules, ymd) {
+  let best = null;
+  for (const s of schedules ?? []) {
+    if (!s?.valid_from || s.valid_from > ymd) continue;
+    if (s.valid_to && s.valid_to < ymd) continue;
+    if (!best || s.valid_from > best.valid_from) best = s;
+  }
+  return best;
+}
+
+export function weekHoursForDay(schedules, ymd) {
+  const s = scheduleForDay(schedules, ymd);
+  return s ? normalizeWeekHours(s.hours) : DEFAULT_WEEK_HOURS;
+}
+
+// Base "1 journée" du contrat: max des heures de la semaine
+export function referenceDayHours(weekHours) {
+  const max = Math.max(...WEEKDAY_KEYS.map((k) => Number(weekHours?.[k] ?? 0)));
+  return max > 0 ? max : DEFAULT_HOURS_PER_DAY;
+}
+
+export function expectedHours(schedules, ymd) {
+  const week = weekHoursForDay(schedules, ymd);
+  return week[WEEKDAY_KEYS[weekdayOf(ymd)]];
+}
+
+export function dayCapacity(schedules, ymd) {
+  const week = weekHoursForDay(schedules, ymd);
+  const h = week[WEEKDAY_KEYS[weekdayOf(ymd)]];
+  return h > 0 ? h : referenceDayHours(week);
+}
+
+export function hoursToDays(hours, capacity) {
+  const cap = Number(capacity) > 0 ? Number(capacity) : DEFAULT_HOURS_PER_DAY;
+  return Number(hours || 0) / cap;
+}
+
+/**
+ * Charge les contrats de plusieurs users: Map userId -> schedules[]
+ */
+export async function loadWorkSchedules(supabaseClient, userIds) {
+  const ids = Array.from(new Set((userIds ?? []).filter(Boolean)));
+  const map = new Map(ids.map((id) => [id, []]));
+  if (!ids.length) return map;
+
+  const { data, error } = await supabaseClient
+    .from("work_schedules")
+    .select("id, user_id, valid_from, valid_to, hours")
+    .in("user_id", ids)
+    .order("valid_from", { ascending: true });
+
+  if (error) throw new Error(error.message);
+
+  for (const s of data ?? []) {
+    if (!map.has(s.user_id)) map.set(s.user_id, []);
+    map.get(s.user_id).push(s);
+  }
+  return map;
+}
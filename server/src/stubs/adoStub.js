@@ -0,0 +1,46 @@
+// src/stubs/adoStub.js
+// Faux Azure DevOps (work items) pour le dev local :
+//   npm run ado-stub
+//   puis côté API: WORK_ITEM_PROVIDER=ado ADO_API_BASE_URL=http://localhost:8790
+// ADO_STUB_FILE (optionnel) : JSON { "1234": { "title", "state", "type", "areaPath" }, ... }
+import "dotenv/config";
+import fs from "node:fs";
+import express from "express";
+
+const DEFAULT_ITEMS = {
+  1001: { title: "Erreur 500 sur l'export des commandes", state: "Active", type: "Bug", areaPath: "TMA\\eComm" },
+  1002: { title: "Ajout du filtre par client dans le CRM", state: "New", type: "Feature", areaPath: "TMA\\CRM" },
+  1003: { title: "Flux AX bloqué en production", state: "Active", type: "Incident", areaPath: "TMA\\AX" },
+  1004: { title: "Refonte de l'écran de connexion", state: "Closed", type: "User Story", areaPath: "TMA\\ORO" },
+};
+
+function loadItems() {
+  const file = process.env.ADO_STUB_FILE;
+  if (!file) return DEFAULT_ITEMS;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+const items = loadItems();
+const app = express();
+
+app.get("/:project/_apis/wit/workitems/:id", (req, res) => {
+  const item = items[req.params.id];
+  if (!item) {
+    return res.status(404).json({ message: `TF401232: Work item ${req.params.id} does not exist.` });
+  }
+
+  return res.json({
+    id: Number(req.params.id),
+    fields: {
+      "System.Title": item.title ?? "",
+      "System.State": item.state ?? "",
+      "System.WorkItemType": item.type ?? "",
+      "System.AreaPath": item.areaPath ?? "",
+    },
+  });
+});
+
+const port = Number(process.env.ADO_STUB_PORT || 8790);
+app.listen(port, () => {
+  console.log(`✅ ADO stub listening on http://localhost:${port} (${Object.keys(items).length} work items)`);
+});
@@ -0,0 +1,77 @@
+// src/stubs/smtpStub.js
+// Faux serveur SMTP (capture des relances) pour le dev local :
+//   npm run smtp-stub
+//   puis côté API: SMTP_HOST=localhost SMTP_PORT=1025
+// Chaque message reçu est affiché dans la console (aucun envoi réel).
+// SMTP_STUB_DIR (optionnel) : dossier où écrire chaque message en .eml
+import "dotenv/config";
+import fs from "node:fs";
+import net from "node:net";
+import path from "node:path";
+
+const port = Number(process.env.SMTP_STUB_PORT || 1025);
+const dir = process.env.SMTP_STUB_DIR || "";
+let count = 0;
+
+function saveMessage({ from, to, data }) {
+  count += 1;
+  const subject = data.match(/^Subject: (.*)$/im)?.[1] ?? "(sans objet)";
+  console.log(`📧 #${count} ${from} -> ${to.join(", ")} : ${subject}`);
+
+  if (dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${Date.now()}-${count}.eml`), data);
+  }
+}
+
+const server = net.createServer((socket) => {
+  let buffer = "";
+  let inData = false;
+  let mail = { from: "", to: [], data: "" };
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply("220 smtp-stub ready");
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+
+    let idx;
+    while ((idx = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+
+      if (inData) {
+        if (line === ".") {
+          inData = false;
+          saveMessage(mail);
+          mail = { from: "", to: [], data: "" };
+          reply("250 OK: queued");
+        } else {
+          mail.data += `${line.startsWith("..") ? line.slice(1) : line}\r\n`;
+        }
+        continue;
+      }
+
+      const cmd = line.slice(0, 4).toUpperCase();
+      if (cmd === "EHLO" || cmd === "HELO") reply("250 smtp-stub");
+      else if (cmd === "MAIL") {
+        mail.from = line.match(/<([^>]*)>/)?.[1] ?? "";
+        reply("250 OK");
+      } else if (cmd === "RCPT") {
+        mail.to.push(line.match(/<([^>]*)>/)?.[1] ?? "");
+        reply("250 OK");
+      } else if (cmd === "DATA") {
+        inData = true;
+        reply("354 End data with <CR><LF>.<CR><LF>");
+      } else if (cmd === "RSET" || cmd === "NOOP") reply("250 OK");
+      else if (cmd === "QUIT") {
+        reply("221 Bye");
+        socket.end();
+      } else reply("502 Command not implemented");
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`✅ SMTP stub on localhost:${port}`);
+});
@@ -0,0 +1,45 @@
+// src/stubs/webhookReceiver.js
+// Faux destinataire de webhooks pour le dev local :
+//   npm run webhook-stub
+//   puis, avec WEBHOOK_ALLOW_PRIVATE_HOSTS=1 côté API, déclarer l'endpoint
+//   http://localhost:8791/hook dans l'administration
+// WEBHOOK_STUB_SECRET : secret de l'endpoint (sinon la signature n'est pas vérifiée)
+// WEBHOOK_STUB_FAIL=N : répond 500 aux N premiers appels (test des reprises / du rejeu)
+import "dotenv/config";
+import express from "express";
+import { verifyWebhookSignature } from "../lib/webhooks.js";
+
+const port = Number(process.env.WEBHOOK_STUB_PORT || 8791);
+const secret = process.env.WEBHOOK_STUB_SECRET || "";
+let failures = Number(process.env.WEBHOOK_STUB_FAIL || 0);
+
+const app = express();
+const seen = new Set();
+
+app.post("/*", express.raw({ type: () => true, limit: "5mb" }), (req, res) => {
+  const body = req.body.toString("utf8");
+  const event = req.get("X-Activity-Event");
+  const delivery = req.get("X-Activity-Delivery");
+
+  if (secret && !verifyWebhookSignature(secret, body, req.get("X-Activity-Signature"))) {
+    console.log(`❌ ${event} (${delivery}) : signature invalide`);
+    return res.status(401).json({ error: "Invalid signature" });
+  }
+
+  if (failures > 0) {
+    failures -= 1;
+    console.log(`💥 ${event} (${delivery}) : échec simulé (${failures} restant(s))`);
+    return res.status(500).json({ error: "Simulated failure" });
+  }
+
+  const payload = JSON.parse(body);
+  const replay = seen.has(payload.id) ? " [déjà reçu]" : "";
+  seen.add(payload.id);
+
+  console.log(`📨 ${event} (${delivery})${replay} ${JSON.stringify(payload.data).slice(0, 300)}`);
+  return res.json({ ok: true });
+});
+
+app.listen(port, () => {
+  console.log(`✅ Webhook receiver stub on http://localhost:${port}${secret ? " (signature vérifiée)" : ""}`);
+});
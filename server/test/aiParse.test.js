@@ -0,0 +1,192 @@
+// test/aiParse.test.js
+// /api/ai/parse et /api/ai/parse-week hors-ligne : API lancée avec LLM_PROVIDER=fake
+// (réponses scriptées, rejouées dans l'ordre des appels) et un faux Supabase local.
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SERVER_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const USER = { id: "00000000-0000-4000-8000-000000000001", email: "dev@keyrus.com" };
+const PROJECTS = [
+  {
+    id: 1,
+    name: "SCP",
+    code: "SCP",
+    client: "",
+    description: "",
+    is_active: true,
+    default_impute: "",
+    valid_from: null,
+    valid_to: null,
+  },
+];
+
+// Une entrée par appel LLM, dans l'ordre des tests ci-dessous
+const FAKE_RESPONSES = [
+  // parse : ticket cité dans le texte, heures au-delà du plafond
+  { rows: [{ sujet: "Écran de connexion", projet: "scp", temps_passe_h: 9, type: "Travail" }] },
+  // parse : erreur provider non rejouable -> repli hors-ligne
+  { error: "invalid request", status: 400 },
+  // parse-week : un appel par segment
+  { rows: [{ sujet: "Dev export", projet: "SCP", temps_passe_h: 7, type: "Travail" }] },
+  { rows: [{ sujet: "Comité projet", projet: "", temps_passe_h: 2, type: "Réunion" }] },
+];
+
+let supabase;
+let server;
+let baseUrl;
+let tmpDir;
+
+// Faux Supabase : utilisateur fixe, tables vides sauf le référentiel projets
+function startSupabaseStub() {
+  const srv = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://stub");
+    res.setHeader("Content-Type", "application/json");
+
+    if (url.pathname === "/auth/v1/user") return res.end(JSON.stringify(USER));
+    if (url.pathname === "/rest/v1/projects") return res.end(JSON.stringify(PROJECTS));
+    if (String(req.headers.accept ?? "").includes("vnd.pgrst.object")) {
+      res.statusCode = 406;
+      return res.end(JSON.stringify({ code: "PGRST116", message: "0 rows" }));
+    }
+    return res.end("[]");
+  });
+  return new Promise((resolve) => srv.listen(0, "127.0.0.1", () => resolve(srv)));
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    const srv = http.createServer();
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+function startServer(env) {
+  const child = spawn(process.execPath, ["src/index.js"], {
+    cwd: SERVER_DIR,
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("API non démarrée")), 10000);
+    child.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("server on")) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`API arrêtée (code ${code})`));
+    });
+  });
+}
+
+async function post(route, body) {
+  const resp = await fetch(`${baseUrl}${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: "Bearer test-jwt" },
+    body: JSON.stringify(body),
+  });
+  return { status: resp.status, body: await resp.json() };
+}
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-parse-"));
+  const responsesFile = path.join(tmpDir, "llm.json");
+  fs.writeFileSync(responsesFile, JSON.stringify(FAKE_RESPONSES));
+
+  supabase = await startSupabaseStub();
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  server = await startServer({
+    PORT: String(port),
+    SUPABASE_URL: `http://127.0.0.1:${supabase.address().port}`,
+    SUPABASE_ANON_KEY: "anon",
+    SUPABASE_SERVICE_ROLE_KEY: "service",
+    LLM_PROVIDER: "fake",
+    LLM_FAKE_RESPONSES_FILE: responsesFile,
+    LLM_MAX_RETRIES: "0",
+    REMINDERS_ENABLED: "false",
+  });
+});
+
+after(() => {
+  server?.kill();
+  supabase?.close();
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("parse : lignes du LLM recalées (ticket du texte, projet, plafond)", async () => {
+  const { status, body } = await post("/api/ai/parse", {
+    day: "2025-03-10",
+    text: "ticket 4521 écran de connexion toute la journée",
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.engine, "llm");
+  assert.equal(body.warning, "");
+  assert.equal(body.rows.length, 1);
+  assert.equal(body.rows[0].id_ticket, "4521");
+  assert.equal(body.rows[0].projet, "SCP");
+  assert.equal(body.rows[0].day, "2025-03-10");
+  assert.equal(body.rows[0].temps_passe_h, 7);
+});
+
+test("parse : erreur du LLM -> repli hors-ligne avec avertissement", async () => {
+  const { status, body } = await post("/api/ai/parse", {
+    day: "2025-03-10",
+    text: "réunion SCP 2h",
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.engine, "offline");
+  assert.match(body.warning, /IA indisponible/);
+  assert.ok(body.rows.some((r) => r.type === "Réunion" && r.temps_passe_h === 2));
+});
+
+test("parse : mode fast sans appel LLM", async () => {
+  const { status, body } = await post("/api/ai/parse", {
+    day: "2025-03-10",
+    text: "support 3h",
+    mode: "fast",
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.engine, "offline");
+  assert.ok(body.rows.length > 0);
+});
+
+test("parse-week : un appel par segment, lignes réparties sur les jours cités", async () => {
+  const { status, body } = await post("/api/ai/parse-week", {
+    day: "2025-03-12",
+    text: "lundi et mardi dev export SCP, mercredi comité projet 2h",
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.engine, "llm");
+  assert.equal(body.weekStart, "2025-03-10");
+  assert.equal(body.days.length, 7);
+
+  const byDay = new Map(body.days.map((d) => [d.day, d]));
+  for (const d of ["2025-03-10", "2025-03-11"]) {
+    assert.deepEqual(
+      byDay.get(d).rows.map((r) => [r.sujet, r.projet, r.temps_passe_h]),
+      [["Dev export", "SCP", 7]]
+    );
+  }
+  assert.deepEqual(
+    byDay.get("2025-03-12").rows.map((r) => [r.sujet, r.type, r.temps_passe_h]),
+    [["Comité projet", "Réunion", 2]]
+  );
+  assert.deepEqual(body.missingDays, ["2025-03-13", "2025-03-14"]);
+});
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { daysBetween, eachDay, isValidYmd } from "../src/lib/calendar.js";
+
+test("isValidYmd : format et débordements refusés", () => {
+  assert.equal(isValidYmd("2024-02-29"), true);
+  assert.equal(isValidYmd("2026-02-31"), false);
+  assert.equal(isValidYmd("2026-13-01"), false);
+  assert.equal(isValidYmd("2026-1-01"), false);
+});
+
+test("daysBetween : écart calculé sans parcourir la période", () => {
+  assert.equal(daysBetween("2025-03-01", "2025-03-01"), 0);
+  assert.equal(daysBetween("2025-03-01", "2025-05-31"), eachDay("2025-03-01", "2025-05-31").length - 1);
+  assert.equal(daysBetween("2025-03-10", "2025-03-01"), -9);
+  // changement d'heure sans effet (dates UTC)
+  assert.equal(daysBetween("2025-03-29", "2025-03-31"), 2);
+  assert.ok(daysBetween("1000-01-01", "9999-12-30") > 3_000_000);
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  extractDuration,
+  matchProject,
+  parseActivityTextOffline,
+  splitSentences,
+} from "../src/lib/offlineParser.js";
+
+const MAX = 7;
+const PROJECTS = ["CRM", "Portail Client", "Facturation"];
+
+function rows(text, opts = {}) {
+  return parseActivityTextOffline(text, { maxHours: MAX, projectNames: PROJECTS, ...opts }).map((r) => ({
+    sujet: r.sujet,
+    projet: r.projet,
+    type: r.type,
+    h: r.temps_passe_h,
+  }));
+}
+
+test("extractDuration : formats explicites", () => {
+  assert.equal(extractDuration("daily 30min", MAX).hours, 0.5);
+  assert.equal(extractDuration("dev 2h", MAX).hours, 2);
+  assert.equal(extractDuration("dev 1h30", MAX).hours, 1.5);
+  assert.equal(extractDuration("dev 1 h 45", MAX).hours, 1.75);
+  assert.equal(extractDuration("réunion 2,5 heures", MAX).hours, 2.5);
+  assert.equal(extractDuration("recette 0,5j", MAX).hours, 3.5);
+  assert.equal(extractDuration("formation 1 jour", MAX).hours, 7);
+  assert.equal(extractDuration("point 45 minutes", MAX).hours, 0.75);
+});
+
+test("extractDuration : demi-journée / journée", () => {
+  assert.equal(extractDuration("support le matin", MAX).hours, 3.5);
+  assert.equal(extractDuration("dev l'après-midi", MAX).hours, 3.5);
+  assert.equal(extractDuration("dev aprem", MAX).hours, 3.5);
+  assert.equal(extractDuration("demi-journée de recette", MAX).hours, 3.5);
+  assert.equal(extractDuration("atelier toute la journée", MAX).hours, 7);
+});
+
+test("extractDuration : pas de durée, texte restant sans la durée", () => {
+  assert.equal(extractDuration("correction ticket 4521", MAX).hours, null);
+
+  const { hours, rest } = extractDuration("daily 30min équipe", MAX);
+  assert.equal(hours, 0.5);
+  assert.equal(rest.replace(/\s+/g, " ").trim(), "daily équipe");
+});
+
+test("matchProject : mot exact, casse et accents, 1 faute", () => {
+  assert.equal(matchProject("evol crm export", PROJECTS), "CRM");
+  assert.equal(matchProject("bug sur le portail client", PROJECTS), "Portail Client");
+  assert.equal(matchProject("relance facturaton", PROJECTS), "Facturation");
+  assert.equal(matchProject("réunion interne", PROJECTS), "");
+  // 1 faute tolérée seulement à partir de 5 lettres
+  assert.equal(matchProject("evol CRN", PROJECTS), "");
+});
+
+test("splitSentences : séparateurs et moments de la journée", () => {
+  assert.deepEqual(splitSentences("Matin daily 30min puis incident AX. Aprem evol CRM, 1h réunion client"), [
+    "Matin daily 30min",
+    "incident AX",
+    "Aprem evol CRM",
+    "1h réunion client",
+  ]);
+  assert.deepEqual(splitSentences("réunion le matin et l'après-midi dev"), ["réunion le matin", "l'après-midi dev"]);
+  // décimales non coupées
+  assert.deepEqual(splitSentences("recette 0.5j"), ["recette 0.5j"]);
+});
+
+test("parseActivityTextOffline : journée type", () => {
+  assert.deepEqual(rows("Matin daily 30min puis incident AX. Aprem evol CRM, 1h réunion client"), [
+    { sujet: "Daily", projet: "", type: "Réunion", h: 0.5 },
+    { sujet: "Incident AX", projet: "", type: "Incident Applicatif", h: 2 },
+    { sujet: "Evol CRM", projet: "CRM", type: "Evol", h: 3.5 },
+    { sujet: "Réunion client", projet: "", type: "Réunion", h: 1 },
+  ]);
+});
+
+test("parseActivityTextOffline : article du moment de la journée retiré du sujet", () => {
+  for (const text of [
+    "dev ticket 4521 l après-midi",
+    "dev ticket 4521 l'après-midi",
+    "dev ticket 4521 l’après-midi",
+    "dev ticket 4521 l'aprem",
+  ]) {
+    const [r] = rows(text);
+    assert.equal(r.sujet, "Dev ticket 4521", text);
+    assert.equal(r.h, 3.5, text);
+  }
+});
+
+test("parseActivityTextOffline : temps non précisé réparti sur la journée", () => {
+  const out = rows("dev CRM 2h, support, réunion");
+  assert.deepEqual(
+    out.map((r) => r.h),
+    [2, 2.5, 2.5]
+  );
+
+  assert.deepEqual(
+    rows("support, réunion", { fillDay: false }).map((r) => r.h),
+    [0, 0]
+  );
+});
+
+test("parseActivityTextOffline : congés à 0h", () => {
+  const [r] = rows("congés");
+  assert.equal(r.type, "Congés");
+  assert.equal(r.h, 0);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { renameProjectReferences } from "../src/lib/projects.js";
+
+// Client Supabase minimal : update().eq() sur des tables en mémoire, tables en échec simulées
+function fakeClient(tables, { failing = [] } = {}) {
+  return {
+    from(table) {
+      return {
+        update(values) {
+          return {
+            eq(col, value) {
+              if (failing.includes(table)) return Promise.resolve({ error: { message: `${table} KO` } });
+              for (const r of tables[table] ?? []) if (r[col] === value) Object.assign(r, values);
+              return Promise.resolve({ error: null });
+            },
+          };
+        },
+      };
+    },
+  };
+}
+
+test("renameProjectReferences : activités, récurrences et règles suivent le nouveau nom", async () => {
+  const tables = {
+    activities: [{ projet: "SCP" }, { projet: "Autre" }],
+    recurring_activities: [{ projet: "SCP" }],
+    impute_rules: [{ projet: "SCP" }],
+  };
+  await renameProjectReferences(fakeClient(tables), "SCP", "SCP Run");
+
+  assert.deepEqual(tables.activities.map((r) => r.projet), ["SCP Run", "Autre"]);
+  assert.equal(tables.recurring_activities[0].projet, "SCP Run");
+  assert.equal(tables.impute_rules[0].projet, "SCP Run");
+});
+
+test("renameProjectReferences : échec -> tables déjà réécrites remises à l'ancien nom", async () => {
+  const tables = {
+    activities: [{ projet: "SCP" }],
+    recurring_activities: [{ projet: "SCP" }],
+  };
+  await assert.rejects(
+    renameProjectReferences(fakeClient(tables, { failing: ["impute_rules"] }), "SCP", "SCP Run"),
+    /impute_rules KO/
+  );
+  assert.equal(tables.activities[0].projet, "SCP");
+  assert.equal(tables.recurring_activities[0].projet, "SCP");
+});
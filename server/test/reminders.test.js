@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { clockIn, reminderPeriod } from "../src/lib/reminders.js";
+
+test("clockIn : jour et heure lus dans le fuseau, pas en heure serveur", () => {
+  // 15h30 UTC = 17h30 à Paris (heure d'été)
+  assert.deepEqual(clockIn("Europe/Paris", new Date("2025-06-13T15:30:00Z")), {
+    day: "2025-06-13",
+    hour: 17,
+  });
+  // 23h30 UTC = lendemain 00h30 à Paris (heure d'hiver)
+  assert.deepEqual(clockIn("Europe/Paris", new Date("2025-01-09T23:30:00Z")), {
+    day: "2025-01-10",
+    hour: 0,
+  });
+  assert.deepEqual(clockIn("UTC", new Date("2025-01-09T23:30:00Z")), { day: "2025-01-09", hour: 23 });
+});
+
+test("reminderPeriod : hebdo le dernier jour ouvré, quotidien chaque jour ouvré", () => {
+  assert.deepEqual(reminderPeriod("weekly", "2025-06-13"), {
+    from: "2025-06-09",
+    to: "2025-06-13",
+    periodKey: "2025-06-09",
+  });
+  assert.equal(reminderPeriod("weekly", "2025-06-12"), null);
+  assert.equal(reminderPeriod("daily", "2025-06-14"), null);
+  assert.equal(reminderPeriod("monthly", "2025-06-30")?.periodKey, "2025-06");
+});
@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { staffingWeekCount, staffingWeeks } from "../src/lib/staffing.js";
+
+test("staffingWeekCount : même résultat que la liste, sans la construire", () => {
+  for (const [from, to] of [
+    ["2025-03-10", "2025-03-10"],
+    ["2025-03-09", "2025-03-10"],
+    ["2025-01-01", "2025-12-31"],
+    ["2024-12-30", "2026-01-04"],
+  ]) {
+    assert.equal(staffingWeekCount(from, to), staffingWeeks(from, to).length, `${from} -> ${to}`);
+  }
+  assert.equal(staffingWeekCount("2025-03-17", "2025-03-10"), 0);
+  assert.ok(staffingWeekCount("1000-01-01", "9999-12-30") > 400_000);
+});
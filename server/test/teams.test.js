@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadPmScope } from "../src/lib/teams.js";
+
+// Client Supabase minimal : select / eq / in / order sur des tables en mémoire
+function fakeClient(tables) {
+  return {
+    from(table) {
+      let rows = [...(tables[table] ?? [])];
+      let head = false;
+      const q = {
+        select(_cols, opts = {}) {
+          head = !!opts.head;
+          return q;
+        },
+        eq(col, value) {
+          rows = rows.filter((r) => String(r[col]) === String(value));
+          return q;
+        },
+        in(col, values) {
+          rows = rows.filter((r) => values.map(String).includes(String(r[col])));
+          return q;
+        },
+        order() {
+          return q;
+        },
+        then(resolve) {
+          resolve(head ? { count: rows.length, error: null } : { data: rows, error: null });
+        },
+      };
+      return q;
+    },
+  };
+}
+
+const TEAMS = {
+  teams: [{ id: "t1", name: "TMA" }],
+  team_owners: [{ id: "o1", team_id: "t1", user_id: "pm1" }],
+  team_members: [
+    { id: "m1", team_id: "t1", user_id: "dev1", from_day: null, to_day: null },
+    { id: "m2", team_id: "t1", user_id: "dev2", from_day: "2025-03-01", to_day: null },
+  ],
+};
+
+test("auto : pas de restriction tant qu'aucune équipe n'existe", async () => {
+  const scope = await loadPmScope(fakeClient({}), "pm1");
+  assert.equal(scope.restricted, false);
+  assert.equal(scope.covers("anyone"), true);
+  assert.equal(await loadPmScope(fakeClient({}), "pm1", { teamId: "t1" }), null);
+});
+
+test("auto : dès la première équipe, membres datés du CP uniquement", async () => {
+  const scope = await loadPmScope(fakeClient(TEAMS), "pm1");
+  assert.equal(scope.restricted, true);
+  assert.equal(scope.covers("dev1", "2025-01-10"), true);
+  assert.equal(scope.covers("dev2", "2025-01-10"), false);
+  assert.equal(scope.covers("dev2", "2025-03-10"), true);
+  assert.equal(scope.covers("dev3"), false);
+  assert.deepEqual(scope.usersIn("2025-01-01", "2025-01-31"), ["dev1"]);
+
+  // CP sans équipe : ne voit personne
+  const orphan = await loadPmScope(fakeClient(TEAMS), "pm2");
+  assert.equal(orphan.restricted, true);
+  assert.deepEqual(orphan.teams, []);
+  assert.equal(orphan.covers("dev1"), false);
+  assert.deepEqual(orphan.usersIn(), []);
+});
+
+test("teams : restreint même sans aucune équipe", async () => {
+  const scope = await loadPmScope(fakeClient({}), "pm1", { mode: "teams" });
+  assert.equal(scope.restricted, true);
+  assert.equal(scope.covers("dev1"), false);
+});
+
+test("all : tout le monde, l'équipe demandée reste un filtre", async () => {
+  const scope = await loadPmScope(fakeClient(TEAMS), "pm2", { mode: "all" });
+  assert.equal(scope.restricted, false);
+  assert.equal(scope.covers("dev3"), true);
+
+  const team = await loadPmScope(fakeClient(TEAMS), "pm1", { mode: "all", teamId: "t1" });
+  assert.equal(team.restricted, true);
+  assert.equal(team.covers("dev3"), false);
+  assert.equal(await loadPmScope(fakeClient(TEAMS), "pm2", { mode: "all", teamId: "t1" }), null);
+});
+
+test("mode inconnu refusé", async () => {
+  await assert.rejects(loadPmScope(fakeClient({}), "pm1", { mode: "none" }), /PM_SCOPE inconnu/);
+});
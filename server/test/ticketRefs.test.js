@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { applyTicketRefs, extractTicketRefs, normalizeTicketText } from "../src/lib/ticketRefs.js";
+
+// corpus de saisies réelles -> ids attendus (ordre d'apparition)
+const CORPUS = [
+  ["Correction #48213", ["48213"]],
+  ["correction # 48213 sur l'export", ["48213"]],
+  ["ticket 48213 : fix du tri", ["48213"]],
+  ["Ticket n°48213", ["48213"]],
+  ["tk-48213 revue", ["48213"]],
+  ["US 48213 dev écran liste", ["48213"]],
+  ["user story 48213", ["48213"]],
+  ["bug n°48213 prod", ["48213"]],
+  ["bug no. 48213", ["48213"]],
+  ["anomalie 48213", ["48213"]],
+  ["incident 48213 relance batch", ["48213"]],
+  ["evol 48213", ["48213"]],
+  ["PBI #48213", ["48213"]],
+  ["work item 48213", ["48213"]],
+  ["https://dev.azure.com/keyrus/CRM/_workitems/edit/48213", ["48213"]],
+  ["voir https://dev.azure.com/keyrus/CRM/_workitems/edit/48213/ pour le détail", ["48213"]],
+  ["https://dev.azure.com/keyrus/CRM/_workitems?id=48213&_a=edit", ["48213"]],
+  ["https://keyrus.visualstudio.com/CRM/_workitems?_a=edit&id=48213", ["48213"]],
+  // plusieurs tickets
+  ["ticket 48213 et 48214", ["48213", "48214"]],
+  ["tickets 48213, 48214 et 48215", ["48213", "48214", "48215"]],
+  ["US 48213/48214", ["48213", "48214"]],
+  ["bugs 48213 & 48214", ["48213", "48214"]],
+  ["#48213 et #48214", ["48213", "48214"]],
+  ["#48213, ticket 48214", ["48213", "48214"]],
+  ["ticket 48213 puis #48213 à nouveau", ["48213"]],
+  // faux positifs
+  ["réunion 2h", []],
+  ["dev 1h30 sur le CRM", []],
+  ["bilan 2025 avec le client", []],
+  ["ticket 48213 livré en 2025", ["48213"]],
+  ["#1 priorité", []],
+  ["ticket 12", []],
+  ["rdv&#48213", []],
+  ["US 48213 2h", ["48213"]],
+];
+
+test("extractTicketRefs : corpus de formulations", () => {
+  for (const [text, ids] of CORPUS) {
+    assert.deepEqual(
+      extractTicketRefs(text).map((r) => r.id),
+      ids,
+      text
+    );
+  }
+});
+
+test("extractTicketRefs : texte brut et position", () => {
+  const [ref] = extractTicketRefs("fix ticket 48213 export");
+  assert.equal(ref.raw, "ticket 48213");
+  assert.equal(ref.index, 4);
+});
+
+test("normalizeTicketText : URL ADO -> #id", () => {
+  assert.equal(
+    normalizeTicketText("voir https://dev.azure.com/keyrus/CRM/_workitems/edit/48213 svp"),
+    "voir #48213 svp"
+  );
+});
+
+test("applyTicketRefs : référence déplacée du sujet vers id_ticket", () => {
+  assert.deepEqual(applyTicketRefs([{ id_ticket: "", sujet: "Correction ticket 48213 export", temps_passe_h: 2 }]), [
+    { id_ticket: "48213", sujet: "Correction export", temps_passe_h: 2 },
+  ]);
+  assert.deepEqual(applyTicketRefs([{ id_ticket: "#48213", sujet: "Correction", temps_passe_h: 2 }]), [
+    { id_ticket: "48213", sujet: "Correction", temps_passe_h: 2 },
+  ]);
+});
+
+test("applyTicketRefs : plusieurs tickets -> une ligne par ticket, heures réparties", () => {
+  assert.deepEqual(applyTicketRefs([{ id_ticket: "", sujet: "Correction ticket 48213 et 48214", temps_passe_h: 3 }]), [
+    { id_ticket: "48213", sujet: "Correction", temps_passe_h: 1.5 },
+    { id_ticket: "48214", sujet: "Correction", temps_passe_h: 1.5 },
+  ]);
+
+  const rows = applyTicketRefs([{ id_ticket: "48213", sujet: "Revue #48214 et #48215", temps_passe_h: 1 }]);
+  assert.deepEqual(
+    rows.map((r) => [r.id_ticket, r.temps_passe_h]),
+    [
+      ["48213", 0.33],
+      ["48214", 0.33],
+      ["48215", 0.34],
+    ]
+  );
+});
+
+test("applyTicketRefs : tickets du texte posés sur les lignes sans ticket", () => {
+  const text = "ticket 48213 le matin, réunion d'équipe 1h";
+  const rows = applyTicketRefs(
+    [
+      { id_ticket: "", sujet: "Dev", temps_passe_h: 3.5 },
+      { id_ticket: "", sujet: "Réunion d'équipe", temps_passe_h: 1 },
+    ],
+    extractTicketRefs(text)
+  );
+  assert.deepEqual(
+    rows.map((r) => r.id_ticket),
+    ["48213", ""]
+  );
+});
+
+test("applyTicketRefs : id non numérique conservé", () => {
+  const [r] = applyTicketRefs([{ id_ticket: "INC12345", sujet: "Incident prod", temps_passe_h: 1 }]);
+  assert.equal(r.id_ticket, "INC12345");
+});
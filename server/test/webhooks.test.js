@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  checkWebhookTarget,
+  isPrivateAddress,
+  sendWebhook,
+  signWebhookBody,
+  verifyWebhookSignature,
+  webhookUrlError,
+} from "../src/lib/webhooks.js";
+
+test("isPrivateAddress : loopback, privées, link-local, ULA et IPv4-mapped", () => {
+  for (const ip of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.16.0.1",
+    "172.31.255.255",
+    "192.168.1.10",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::",
+    "::1",
+    "fd12:3456::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+    "::ffff:a9fe:a9fe",
+  ]) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ["8.8.8.8", "172.32.0.1", "2001:4860:4860::8888", "example.com"]) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test("webhookUrlError : hôtes internes refusés, écritures détournées comprises", () => {
+  assert.equal(webhookUrlError("https://hooks.example.com/activity"), "");
+  assert.equal(webhookUrlError("ftp://hooks.example.com/"), "URL http(s) attendue");
+  assert.equal(webhookUrlError("pas une url"), "URL invalide");
+
+  for (const url of [
+    "http://localhost:8791/hook",
+    "http://api.localhost/hook",
+    "http://127.0.0.1/hook",
+    "http://2130706433/hook",
+    "http://0x7f.1/hook",
+    "http://[::1]:8080/hook",
+    "http://[::ffff:127.0.0.1]/hook",
+    "http://169.254.169.254/latest/meta-data",
+  ]) {
+    assert.match(webhookUrlError(url), /Adresse interne refusée/, url);
+  }
+
+  assert.equal(webhookUrlError("http://localhost:8791/hook", { allowPrivateHosts: true }), "");
+});
+
+test("checkWebhookTarget / sendWebhook : aucun appel vers une adresse interne", async () => {
+  assert.match(await checkWebhookTarget("http://10.0.0.5/hook"), /Adresse interne refusée/);
+  assert.equal(await checkWebhookTarget("http://10.0.0.5/hook", { allowPrivateHosts: true }), "");
+
+  const result = await sendWebhook(
+    { url: "http://127.0.0.1:9/hook", secret: "whsec_test" },
+    { id: "d1", event: "ping", payload: { id: "e1" } }
+  );
+  assert.equal(result.ok, false);
+  assert.equal(result.statusCode, null);
+  assert.match(result.error, /Adresse interne refusée/);
+});
+
+test("signature : vérifiée avec le bon secret, refusée sinon", () => {
+  const body = JSON.stringify({ id: "e1", type: "ping" });
+  const header = signWebhookBody("whsec_a", body);
+
+  assert.equal(verifyWebhookSignature("whsec_a", body, header), true);
+  assert.equal(verifyWebhookSignature("whsec_b", body, header), false);
+  assert.equal(verifyWebhookSignature("whsec_a", `${body} `, header), false);
+  assert.equal(verifyWebhookSignature("whsec_a", body, signWebhookBody("whsec_a", body, 1000)), false);
+});